@@ -1,16 +1,95 @@
+importScripts('settings.js', 'filename-template.js', 'transcript-core.js', 'zip.js', 'transcript-search.js', 'transcript-library.js');
+
+const { EXPORT_FORMATS, loadSettings, upgradeStoredSettings } = globalThis.YouTubeTranscriptSettings;
+const { formatTemplateDate, renderFolderTemplate, sanitizeFilename } = globalThis.YouTubeTranscriptFilenames;
+const {
+  ExtensionError,
+  RateLimiter,
+  buildCaptionTrackUrl,
+  buildExportData,
+  buildExportResult,
+  buildTrackPolicy,
+  getCaptionTracks,
+  isAutoGeneratedTrack,
+  isPublishedInRange,
+  mayBePublishedInRange,
+  parseCaptionResponse,
+  parseChannelReference,
+  parsePlaylistUrl,
+  parseVideoUrl,
+  parseWatchPage,
+  readChapters,
+  readChannelContinuation,
+  readChannelPage,
+  readInnertubeConfig,
+  readPlaylistContinuation,
+  readPlaylistPage,
+  readVideoMetadata,
+  selectCaptionTrack
+} = globalThis.YouTubeTranscriptCore;
+const { createZip } = globalThis.YouTubeTranscriptZip;
+const { getLibraryTranscript, saveToLibrary, toExportData } = globalThis.YouTubeTranscriptLibrary;
+
+// Scripts injected into YouTube tabs; content.js reads the shared helpers
+const CONTENT_SCRIPT_FILES = ['settings.js', 'filename-template.js', 'transcript-core.js', 'content.js'];
+
 // Track active operations per tab to prevent conflicts
 const activeOperations = new Map();
 
 // Track pending extraction promises for event-driven communication
 const pendingExtractions = new Map();
 
-// Initialize extension menus when installed or updated
-chrome.runtime.onInstalled.addListener(() => {
+// AbortControllers of the batch exports running now; cancelling stops them all
+const runningBatches = new Set();
+
+// Tabs whose batch extraction was cancelled. Their late results are dropped
+// instead of being saved, until the tab is closed or a new extraction waits on it.
+const abandonedExtractions = new Set();
+
+// Background requests to YouTube share one rate limit, like the content script's
+const youtubeRateLimiter = new RateLimiter();
+
+// Initialize extension menus when installed or updated.
+// Chrome shows at most six top-level action menu items, so formats are submenus.
+chrome.runtime.onInstalled.addListener(async () => {
   console.log('YouTube Transcript extension loaded');
+
+  try {
+    await upgradeStoredSettings();
+  } catch (error) {
+    console.warn('Failed to upgrade stored settings:', error);
+  }
+
+  const settings = await loadSettings();
   chrome.contextMenus.removeAll(() => {
     chrome.contextMenus.create({
       id: 'yt-export-current',
-      title: 'Export This Tab Transcript (Markdown)',
+      title: 'Export This Tab Transcript',
+      contexts: ['action']
+    });
+    createFormatMenuItems('yt-export-current');
+    chrome.contextMenus.create({
+      id: 'yt-export-current-separator',
+      parentId: 'yt-export-current',
+      type: 'separator',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-export-translated',
+      parentId: 'yt-export-current',
+      title: getTranslatedMenuTitle(settings),
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-export-playlist',
+      parentId: 'yt-export-current',
+      title: 'Entire Playlist (default format)',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-export-channel',
+      parentId: 'yt-export-current',
+      title: 'Channel Uploads…',
       contexts: ['action']
     });
     chrome.contextMenus.create({
@@ -23,32 +102,150 @@ chrome.runtime.onInstalled.addListener(() => {
       title: 'Export All Open YouTube Transcripts',
       contexts: ['action']
     });
+    createFormatMenuItems('yt-export-all');
+    chrome.contextMenus.create({
+      id: 'yt-export-all-separator',
+      parentId: 'yt-export-all',
+      type: 'separator',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-export-all-document',
+      parentId: 'yt-export-all',
+      title: 'All as One Document (Markdown)',
+      contexts: ['action']
+    });
+    // Enabled while a batch export runs, see updateCancelMenuItem
+    chrome.contextMenus.create({
+      id: 'yt-cancel-batch',
+      parentId: 'yt-export-all',
+      title: 'Cancel Running Export',
+      enabled: false,
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-copy-all',
+      title: 'Copy All Open YouTube Transcripts to Clipboard',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-export-list',
+      title: 'Export Transcripts From a List of Links…',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'yt-show-progress',
+      title: 'Show Export Progress',
+      contexts: ['action']
+    });
+  });
+});
+
+function createFormatMenuItems(parentId) {
+  for (const format of EXPORT_FORMATS) {
+    chrome.contextMenus.create({
+      id: `${parentId}-${format.id}`,
+      parentId,
+      title: format.title,
+      contexts: ['action']
+    });
+  }
+}
+
+function getTranslatedMenuTitle(settings) {
+  return `Translated to ${getLanguageName(getTranslationLanguage(settings))} (Markdown)`;
+}
+
+// Keep the translated menu item in step with the options page
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || !changes.settings) {
+    return;
+  }
+
+  const settings = await loadSettings();
+  chrome.contextMenus.update('yt-export-translated', { title: getTranslatedMenuTitle(settings) }, () => {
+    // The menu may not exist yet during install
+    void chrome.runtime.lastError;
   });
 });
 
-// Handle direct click on extension icon - export all YouTube tabs
+// Read the format from a format submenu item id like "yt-export-all-srt"
+function getMenuItemFormat(menuItemId, parentId) {
+  const format = EXPORT_FORMATS.find(candidate => menuItemId === `${parentId}-${candidate.id}`);
+  return format ? format.id : null;
+}
+
+// Handle direct click on extension icon - export all YouTube tabs, or cancel
+// the batch exports already running, so a second click never starts a batch
+// that would fight the first one over the same tabs
 chrome.action.onClicked.addListener(() => {
-  void exportAllYouTubeTabs();
+  if (runningBatches.size > 0) {
+    cancelBatchExports();
+  } else {
+    void exportAllYouTubeTabs();
+  }
 });
 
 // Handle context menu interactions from extension icon
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === 'yt-export-current') {
+  const currentTabFormat = getMenuItemFormat(info.menuItemId, 'yt-export-current');
+  const allTabsFormat = getMenuItemFormat(info.menuItemId, 'yt-export-all');
+
+  if (currentTabFormat) {
+    if (tab) {
+      void executeTranscriptAction(tab, 'download', { format: currentTabFormat });
+    }
+  } else if (info.menuItemId === 'yt-export-translated') {
+    if (tab) {
+      void loadSettings().then(settings => executeTranscriptAction(tab, 'download', {
+        format: 'markdown',
+        translationLanguage: getTranslationLanguage(settings)
+      }));
+    }
+  } else if (info.menuItemId === 'yt-export-playlist') {
     if (tab) {
-      void executeTranscriptAction(tab, 'markdown');
+      void exportPlaylist(tab);
     }
+  } else if (info.menuItemId === 'yt-export-channel') {
+    void openListPage(tab && parseChannelReference(tab.url) ? { channel: tab.url } : {});
   } else if (info.menuItemId === 'yt-copy-current') {
     if (tab) {
       void executeTranscriptAction(tab, 'clipboard');
     }
-  } else if (info.menuItemId === 'yt-export-all') {
-    void exportAllYouTubeTabs();
+  } else if (allTabsFormat) {
+    void exportAllYouTubeTabs(allTabsFormat);
+  } else if (info.menuItemId === 'yt-export-all-document') {
+    void exportAllYouTubeTabs(null, { combine: 'download' });
+  } else if (info.menuItemId === 'yt-copy-all') {
+    void exportAllYouTubeTabs(null, { combine: 'clipboard' });
+  } else if (info.menuItemId === 'yt-cancel-batch') {
+    cancelBatchExports();
+  } else if (info.menuItemId === 'yt-export-list') {
+    void openListPage();
+  } else if (info.menuItemId === 'yt-show-progress') {
+    openProgressPanel(tab);
   }
 });
 
+// The list page, optionally with a channel link filled in
+function openListPage(params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return chrome.tabs.create({ url: chrome.runtime.getURL(`batch.html${query ? `?${query}` : ''}`) });
+}
+
+// Chrome only opens the side panel in direct response to a click, so this
+// runs before anything is awaited
+function openProgressPanel(tab) {
+  if (tab?.windowId === undefined) {
+    return;
+  }
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => {
+    console.warn('Could not open the progress panel:', error.message);
+  });
+}
 
 // Main function to execute transcript extraction
-async function executeTranscriptAction(tab, mode = 'markdown') {
+async function executeTranscriptAction(tab, mode = 'download', options = {}) {
   if (!tab || typeof tab.id !== 'number') {
     return false;
   }
@@ -78,16 +275,20 @@ async function executeTranscriptAction(tab, mode = 'markdown') {
   try {
     showBadge(tabId, '...', '#808080');
 
+    const settings = await loadSettings();
+
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content.js']
+      files: CONTENT_SCRIPT_FILES
     });
 
-    extractionPromise = waitForExtraction(tabId, mode === 'markdown' ? 45000 : 20000);
+    const { clipboardMs, downloadMs } = settings.timeouts;
+    extractionPromise = waitForExtraction(tabId, mode === 'clipboard' ? clipboardMs : downloadMs);
 
     await chrome.tabs.sendMessage(tabId, {
       type: 'START_EXTRACTION',
-      mode
+      mode,
+      ...options
     });
 
     await extractionPromise;
@@ -115,22 +316,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!sender.tab) return;
   
   const tabId = sender.tab.id;
+
+  // Nobody waits for these any more, so the file is not saved either
+  if (abandonedExtractions.has(tabId) && (message.type === 'EXTRACTION_SUCCESS' || message.type === 'EXTRACTION_ERROR')) {
+    abandonedExtractions.delete(tabId);
+    clearBadge(tabId);
+    return;
+  }
   
   switch (message.type) {
-    case 'EXTRACTION_SUCCESS':
+    case 'EXTRACTION_SUCCESS': {
+      const data = keepInLibrary(message.data);
+
+      // Files are saved here, so success waits for the real download outcome.
+      // ZIP batches collect the file instead and save it with the others.
+      if (data?.file && !pendingExtractions.get(tabId)?.collectFile) {
+        void saveTranscriptFile(tabId, data);
+        break;
+      }
+
       // Show success badge
       showBadge(tabId, "✓", "#4CAF50");
       setTimeout(() => clearBadge(tabId), 2000);
       activeOperations.delete(tabId);
       
       // Resolve pending extraction promise (event-driven)
-      if (pendingExtractions.has(tabId)) {
-        const { resolve, timeoutId } = pendingExtractions.get(tabId);
-        clearTimeout(timeoutId);
-        pendingExtractions.delete(tabId);
-        resolve();
-      }
+      resolvePendingExtraction(tabId, data);
       break;
+    }
       
     case 'EXTRACTION_ERROR':
       // Show error badge
@@ -143,7 +356,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const { reject, timeoutId } = pendingExtractions.get(tabId);
         clearTimeout(timeoutId);
         pendingExtractions.delete(tabId);
-        reject(new Error(message.error?.message || 'Extraction failed'));
+        reject(new ExtensionError(message.error?.message || 'Extraction failed', message.error?.code || 'EXTRACTION_FAILED'));
       }
       break;
       
@@ -179,6 +392,382 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Save an extraction's full export data to the transcript library in the
+// background, and return the result without it so batch results stay small.
+// The result keeps a summary of its captions for the export history instead.
+// Library errors are logged and never fail the export.
+function keepInLibrary(result) {
+  if (!result?.exportData) {
+    return result;
+  }
+
+  const { exportData, ...rest } = result;
+  loadSettings()
+    .then(async settings => {
+      if (settings.library.enabled) {
+        await saveToLibrary(exportData);
+        notifyExtensionPages({ type: 'LIBRARY_CHANGED' });
+      }
+    })
+    .catch(error => console.warn('Could not save the transcript to the library:', error.message));
+  return { ...rest, captions: describeCaptions(exportData) };
+}
+
+// Saved files by video and format, in chrome.storage.local with one key per
+// export: { videoId, format, title, exportedAt, captions }. One key each means
+// batch workers never overwrite each other's records.
+const EXPORT_HISTORY_PREFIX = 'exported:';
+
+// What the export history compares to tell whether captions changed: the
+// track, and a hash of every cue's start time and text
+function describeCaptions(exportData) {
+  const segments = exportData.segments || [];
+  // 32-bit FNV-1a, enough to notice an edit, not meant to resist collisions
+  let hash = 0x811c9dc5;
+  for (const segment of segments) {
+    const text = `${segment.startMs ?? ''}\t${segment.text}\n`;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+  }
+
+  return {
+    language: exportData.language || null,
+    isAutoGenerated: Boolean(exportData.isAutoGenerated),
+    translatedFrom: exportData.translatedFrom || null,
+    segmentCount: segments.length,
+    hash: (hash >>> 0).toString(16).padStart(8, '0')
+  };
+}
+
+// Exports recorded before captions were summarized count as changed
+function captionsChanged(previous, current) {
+  return !previous || !current || ['language', 'isAutoGenerated', 'translatedFrom', 'segmentCount', 'hash']
+    .some(field => previous[field] !== current[field]);
+}
+
+function getExportHistoryKey(videoId, format) {
+  return `${EXPORT_HISTORY_PREFIX}${videoId}:${format}`;
+}
+
+async function findPreviousExport(videoId, format) {
+  const key = getExportHistoryKey(videoId, format);
+  return (await chrome.storage.local.get(key))[key] || null;
+}
+
+// Record a saved file. History errors are logged and never fail the export.
+async function recordExport(result) {
+  if (!result?.videoId || !result.format) {
+    return;
+  }
+
+  const record = {
+    videoId: result.videoId,
+    format: result.format,
+    title: result.title || null,
+    exportedAt: new Date().toISOString(),
+    captions: result.captions || null
+  };
+  try {
+    await chrome.storage.local.set({ [getExportHistoryKey(record.videoId, record.format)]: record });
+  } catch (error) {
+    console.warn(`Could not record the export of ${record.videoId}:`, error.message);
+  }
+}
+
+// Returns how many records were removed
+async function clearExportHistory() {
+  const keys = Object.keys(await chrome.storage.local.get(null))
+    .filter(key => key.startsWith(EXPORT_HISTORY_PREFIX));
+  await chrome.storage.local.remove(keys);
+  return keys.length;
+}
+
+// Download an extraction's file and add it to the export history
+async function saveExportFile(result, settings) {
+  await downloadFile(result.file, settings.conflictAction);
+  await recordExport(result);
+}
+
+async function saveTranscriptFile(tabId, data) {
+  const { file } = data;
+  try {
+    const settings = await loadSettings();
+
+    // Give the download its own time limit, since "prompt" waits for the user
+    const pending = pendingExtractions.get(tabId);
+    if (pending) {
+      clearTimeout(pending.timeoutId);
+      pending.timeoutId = setTimeout(() => {
+        activeOperations.delete(tabId);
+        rejectPendingExtraction(tabId, new ExtensionError('Download timeout', 'DOWNLOAD_TIMEOUT'));
+      }, settings.timeouts.downloadMs);
+    }
+
+    await saveExportFile(data, settings);
+
+    showBadge(tabId, "✓", "#4CAF50");
+    setTimeout(() => clearBadge(tabId), 2000);
+    activeOperations.delete(tabId);
+    resolvePendingExtraction(tabId, data);
+  } catch (error) {
+    console.error(`Failed to save ${file.filename}:`, error.message);
+    showBadge(tabId, "!", "#FF0000");
+    setTimeout(() => clearBadge(tabId), 3000);
+    activeOperations.delete(tabId);
+    rejectPendingExtraction(tabId, error);
+  }
+}
+
+// Save text to the Downloads folder and wait until Chrome finishes writing it.
+// file.filename may include folders, like "yt-transcripts/Channel/name.md".
+async function downloadFile(file, conflictAction = 'uniquify') {
+  const downloadId = await chrome.downloads.download({
+    url: toDataUrl(file.content, file.mimeType),
+    filename: file.filename,
+    conflictAction,
+    saveAs: false
+  });
+
+  if (downloadId === undefined) {
+    throw new ExtensionError(chrome.runtime.lastError?.message || 'Download did not start', 'DOWNLOAD_FAILED');
+  }
+
+  return waitForDownload(downloadId);
+}
+
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    function settle(state, error) {
+      if (state === 'complete') {
+        chrome.downloads.onChanged.removeListener(onChanged);
+        resolve(downloadId);
+      } else if (state === 'interrupted') {
+        chrome.downloads.onChanged.removeListener(onChanged);
+        reject(new ExtensionError(`Download failed: ${error || 'interrupted'}`, 'DOWNLOAD_FAILED'));
+      }
+    }
+
+    function onChanged(delta) {
+      if (delta.id === downloadId && delta.state) {
+        settle(delta.state.current, delta.error?.current);
+      }
+    }
+
+    chrome.downloads.onChanged.addListener(onChanged);
+
+    // Small files can finish before the listener is added
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item) {
+        settle(item.state, item.error);
+      }
+    }, () => {});
+  });
+}
+
+// Service workers cannot create blob URLs, so files are passed as base64 data URLs.
+// content is text (saved as UTF-8) or a Uint8Array of raw bytes.
+function toDataUrl(content, mimeType) {
+  const isText = typeof content === 'string';
+  const bytes = isText ? new TextEncoder().encode(content) : content;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${mimeType}${isText ? ';charset=utf-8' : ''};base64,${btoa(binary)}`;
+}
+
+// Requests from the options page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_PREVIEW_VIDEO') {
+    getPreviewVideoDetails().then(sendResponse, error => {
+      console.debug('Filename preview has no video:', error.message);
+      sendResponse(null);
+    });
+  } else if (message.type === 'CLEAR_EXPORT_HISTORY') {
+    clearExportHistory().then(count => sendResponse({ count }), error => {
+      sendResponse({ count: 0, error: error.message });
+    });
+  } else {
+    return false;
+  }
+  // Keep the channel open for the async response
+  return true;
+});
+
+// Requests from the library page, which saves its files through here so they
+// are downloaded and recorded in the export history like any other export
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== 'EXPORT_LIBRARY_TRANSCRIPT') {
+    return false;
+  }
+
+  exportLibraryTranscript(message.key, message.format).then(sendResponse, error => {
+    sendResponse({ error: error.message });
+  });
+  // Keep the channel open for the async response
+  return true;
+});
+
+// Save a library transcript ({ videoId, language, sourceLanguage }) as a file in format.
+// Resolves with { filename } once the download has finished.
+async function exportLibraryTranscript(key, format) {
+  const settings = await loadSettings();
+  const transcript = await getLibraryTranscript(key);
+  if (!transcript) {
+    throw new Error('it is no longer in the library');
+  }
+
+  const exportFormat = EXPORT_FORMATS.some(item => item.id === format) ? format : settings.outputFormat;
+  const exportData = toExportData(transcript, settings);
+  const { file } = buildExportResult('download', exportFormat, exportData, settings);
+  await saveExportFile({
+    videoId: exportData.videoId,
+    format: exportFormat,
+    title: exportData.title,
+    captions: describeCaptions(exportData),
+    file
+  }, settings);
+  return { filename: file.filename };
+}
+
+// Requests from the pasted video list page. Progress goes back to the page as
+// VIDEO_LIST_PROGRESS messages, then one VIDEO_LIST_DONE.
+let videoListExportRunning = false;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== 'EXPORT_VIDEO_LIST') {
+    return false;
+  }
+
+  if (videoListExportRunning) {
+    sendResponse({ started: false, error: 'A list export is already running.' });
+    return false;
+  }
+
+  const videoUrls = (message.videoUrls || []).filter(isSupportedYouTubeVideoUrl);
+  if (videoUrls.length === 0) {
+    sendResponse({ started: false, error: 'The list has no YouTube videos.' });
+    return false;
+  }
+
+  sendResponse({ started: true, count: videoUrls.length });
+  void exportVideoList(videoUrls, message.format || null, message.combine || null, readPublishedRange(message.publishedRange));
+  return false;
+});
+
+// Channel search from the list page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== 'FIND_CHANNEL_VIDEOS') {
+    return false;
+  }
+
+  const channelPath = parseChannelReference(message.channel);
+  if (!channelPath) {
+    sendResponse({ error: 'Not a YouTube channel link.' });
+    return false;
+  }
+
+  const filters = {
+    kinds: (message.kinds || []).filter(kind => CHANNEL_TABS[kind]),
+    publishedRange: readPublishedRange(message.publishedRange) || {}
+  };
+  loadSettings()
+    .then(settings => fetchChannelVideos(channelPath, filters, settings))
+    .then(sendResponse, error => {
+      console.error('Error in fetchChannelVideos:', error);
+      sendResponse({ error: error.message });
+    });
+  // Keep the channel open for the async response
+  return true;
+});
+
+// Requests from the progress panel. The panel reads the current batch once
+// when it opens and follows the BATCH_* messages after that.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_BATCH_PROGRESS') {
+    sendResponse(currentBatch?.progress || null);
+  } else if (message.type === 'RETRY_BATCH_ITEMS') {
+    sendResponse(retryBatchItems(message.batchId, message.indexes));
+  } else if (message.type === 'CANCEL_BATCH_EXPORTS') {
+    sendResponse({ count: cancelBatchExports() });
+  }
+  return false;
+});
+
+// { after, before } with YYYY-MM-DD values, or null when neither is set
+function readPublishedRange(range) {
+  const readDay = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+  const after = readDay(range?.after);
+  const before = readDay(range?.before);
+  return after || before ? { after, before } : null;
+}
+
+async function exportVideoList(videoUrls, format, combine, publishedRange = null) {
+  videoListExportRunning = true;
+  try {
+    const items = videoUrls.map(videoUrl => ({ videoUrl, publishedRange }));
+    const { successCount, failCount, skippedCount, cancelled } = await runBatchExport(items, {
+      format,
+      combine,
+      label: 'List of links',
+      onProgress: (index, status, result = {}) => notifyExtensionPages({
+        type: 'VIDEO_LIST_PROGRESS',
+        index,
+        status,
+        title: result.title || null,
+        filename: result.file?.filename || result.filename || null,
+        error: result.error || null
+      })
+    });
+    notifyExtensionPages({ type: 'VIDEO_LIST_DONE', successCount, failCount, skippedCount, cancelled });
+  } catch (error) {
+    console.error('Error in exportVideoList:', error);
+    notifyExtensionPages({ type: 'VIDEO_LIST_DONE', successCount: 0, failCount: videoUrls.length, error: error.message });
+  } finally {
+    videoListExportRunning = false;
+  }
+}
+
+// Nobody may be listening if the page was closed, which is fine
+function notifyExtensionPages(message) {
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+// Details of the most recently used YouTube video tab, for the filename preview
+async function getPreviewVideoDetails() {
+  const tabs = await chrome.tabs.query({});
+  const youtubeTabs = tabs
+    .filter(tab => isSupportedYouTubeVideoUrl(tab.url))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+  if (youtubeTabs.length === 0) {
+    return null;
+  }
+
+  const tab = youtubeTabs[0];
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    files: CONTENT_SCRIPT_FILES
+  });
+
+  const details = await chrome.tabs.sendMessage(tab.id, { type: 'GET_VIDEO_DETAILS' });
+  return details && !details.error ? details : null;
+}
+
+// Translations target the configured language, else the browser UI language
+function getTranslationLanguage(settings) {
+  return settings.translationLanguage || chrome.i18n.getUILanguage().split('-')[0] || 'en';
+}
+
+function getLanguageName(languageCode) {
+  try {
+    return new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' }).of(languageCode) || languageCode;
+  } catch (error) {
+    return languageCode;
+  }
+}
+
 // Badge management functions
 function showBadge(tabId, text, color) {
   chrome.action.setBadgeText({ text: text, tabId: tabId });
@@ -192,20 +781,23 @@ function clearBadge(tabId) {
 // Clean up when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
   activeOperations.delete(tabId);
+  abandonedExtractions.delete(tabId);
   
   // Clean up pending extraction promises to prevent memory leak
   if (pendingExtractions.has(tabId)) {
     const { reject, timeoutId } = pendingExtractions.get(tabId);
     clearTimeout(timeoutId);
     pendingExtractions.delete(tabId);
-    reject(new Error('Tab closed'));
+    reject(new ExtensionError('Tab closed', 'TAB_CLOSED'));
   }
   
   clearBadge(tabId);
 });
 
-// Export transcripts from all open YouTube tabs
-async function exportAllYouTubeTabs() {
+// Export transcripts from all open YouTube tabs. With combine set to
+// 'download' or 'clipboard', every tab becomes one section of a single
+// Markdown document that is saved or copied at the end.
+async function exportAllYouTubeTabs(format = null, { combine = null } = {}) {
   try {
     // Query all tabs to find YouTube tabs
     const tabs = await chrome.tabs.query({});
@@ -226,126 +818,18 @@ async function exportAllYouTubeTabs() {
     if (currentTab) {
       showBadge(currentTab.id, "⏳", "#0066CC");
     }
-    
-    // Process tabs one by one to ensure reliability
-    let successCount = 0;
-    let failCount = 0;
-    
-    for (let i = 0; i < youtubeTabs.length; i++) {
-      const tab = youtubeTabs[i];
-      
-      // Skip if operation already in progress for this tab
-      if (activeOperations.has(tab.id)) {
-        failCount++;
-        continue;
-      }
-      
-      // Mark operation as active
-      activeOperations.set(tab.id, 'markdown');
-      
-      try {
-        console.log(`Processing tab ${i + 1}/${youtubeTabs.length}: ${tab.url}`);
-        
-        // Ensure tab is loaded by briefly activating it
-        const originalActiveTab = (await chrome.tabs.query({active: true, currentWindow: true}))[0];
-        
-        // Activate the tab to ensure it loads
-        try {
-          await chrome.tabs.update(tab.id, { active: true });
-        } catch (tabError) {
-          console.log(`Tab ${tab.id} no longer exists, skipping`);
-          activeOperations.delete(tab.id);
-          failCount++;
-          continue;
-        }
-        
-        // Wait for tab to be ready
-        await waitForTabReady(tab.id, 10000);
-        
-        // Show processing state on the tab being processed
-        showBadge(tab.id, "...", "#808080");
-        
-        // Inject content script with retry
-        let injectionSuccess = false;
-        for (let attempt = 0; attempt < 3; attempt++) {
-          try {
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ['content.js']
-            });
-            injectionSuccess = true;
-            break;
-          } catch (injectionError) {
-            console.warn(`Script injection attempt ${attempt + 1} failed for tab ${tab.id}:`, injectionError.message);
-            if (attempt < 2) await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
-        
-        if (!injectionSuccess) {
-          throw new Error('Failed to inject content script after 3 attempts');
-        }
-        
-        // Set up promise listener BEFORE sending message to prevent race condition
-        const extractionPromise = waitForExtraction(tab.id, 45000); // Longer timeout
-        
-        // Send extraction command
-        try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'START_EXTRACTION'
-          });
-        } catch (messageError) {
-          if (messageError.message.includes('No tab with id')) {
-            console.log(`Tab ${tab.id} closed during processing, skipping`);
-            rejectPendingExtraction(tab.id, messageError);
-            await extractionPromise.catch(() => {});
-            activeOperations.delete(tab.id);
-            failCount++;
-            continue;
-          }
-          throw messageError;
-        }
-        
-        // Wait for completion
-        await extractionPromise;
-        successCount++;
-        
-        // Restore original active tab
-        if (originalActiveTab && originalActiveTab.id !== tab.id) {
-          try {
-            await chrome.tabs.update(originalActiveTab.id, { active: true });
-          } catch (restoreError) {
-            // Original tab might have been closed, that's OK
-          }
-        }
-        
-        // Small delay between tabs
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-      } catch (error) {
-        console.error(`Failed to extract from tab ${tab.id} (${tab.url}):`, error.message);
-        showBadge(tab.id, "!", "#FF0000");
-        setTimeout(() => clearBadge(tab.id), 3000);
-        activeOperations.delete(tab.id);
-        failCount++;
-        
-        // Continue to next tab even if this one failed
-      }
-    }
+
+    const items = youtubeTabs.map(tab => ({
+      tab,
+      videoUrl: tab.url,
+      title: (tab.title || '').replace(/ - YouTube$/, '') || null
+    }));
+    const { successCount, failCount, skippedCount, cancelled } = await runBatchExport(items, { format, combine, label: 'Open YouTube tabs' });
     
     // Show final summary on current tab
     if (currentTab) {
-      console.log(`Export complete: ${successCount} succeeded, ${failCount} failed out of ${youtubeTabs.length} YouTube tabs`);
-      
-      if (successCount > 0 && failCount === 0) {
-        showBadge(currentTab.id, `✓${successCount}`, "#4CAF50");
-      } else if (successCount > 0 && failCount > 0) {
-        showBadge(currentTab.id, `${successCount}/${youtubeTabs.length}`, "#FFA500");
-      } else if (failCount > 0 && youtubeTabs.length > 0) {
-        showBadge(currentTab.id, `0/${youtubeTabs.length}`, "#FF0000");
-      } else {
-        showBadge(currentTab.id, "0", "#FF0000");
-      }
-      setTimeout(() => clearBadge(currentTab.id), 10000); // Show result longer
+      console.log(`Export ${cancelled ? 'cancelled' : 'complete'}: ${successCount} succeeded, ${failCount} failed, ${skippedCount} skipped out of ${youtubeTabs.length} YouTube tabs`);
+      showBatchSummary(currentTab.id, successCount, failCount, youtubeTabs.length, skippedCount, cancelled);
     }
     
   } catch (error) {
@@ -353,90 +837,1129 @@ async function exportAllYouTubeTabs() {
   }
 }
 
-// Helper function to wait for tab to be ready
-async function waitForTabReady(tabId, timeout = 10000) {
-  const startTime = Date.now();
-  
-  while (Date.now() - startTime < timeout) {
-    try {
-      const tab = await chrome.tabs.get(tabId);
-      if (tab.status === 'complete') {
-        return true;
-      }
-    } catch (error) {
-      // Tab might have been closed
-      throw new Error('Tab no longer exists');
-    }
-    
-    // Wait 100ms before checking again
-    await new Promise(resolve => setTimeout(resolve, 100));
+// Export every video of the playlist open in a tab, in playlist order. Works
+// from a playlist page or a watch page with a "list" parameter. Each file
+// records the playlist and position, and a playlist index file is saved too.
+async function exportPlaylist(tab, format = null) {
+  const playlistId = parsePlaylistUrl(tab.url);
+  if (!playlistId || activeOperations.has(tab.id)) {
+    showBadge(tab.id, '!', '#FF0000');
+    setTimeout(() => clearBadge(tab.id), 3000);
+    return;
   }
-  
-  throw new Error('Tab failed to load within timeout');
-}
 
-function rejectPendingExtraction(tabId, error) {
-  const entry = pendingExtractions.get(tabId);
-  if (!entry) {
-    return;
+  activeOperations.set(tab.id, 'playlist');
+  showBadge(tab.id, "⏳", "#0066CC");
+
+  try {
+    const settings = await loadSettings();
+    const playlist = await fetchPlaylist(playlistId, settings);
+    if (playlist.videos.length === 0) {
+      throw new Error('The playlist has no videos');
+    }
+
+    const items = playlist.videos.map((video, index) => ({
+      videoUrl: `https://www.youtube.com/watch?v=${video.videoId}`,
+      title: video.title,
+      playlist: {
+        id: playlist.id,
+        title: playlist.title,
+        position: video.position ?? index + 1,
+        count: playlist.videos.length
+      }
+    }));
+
+    const { successCount, failCount, skippedCount, cancelled } = await runBatchExport(items, {
+      format,
+      playlist,
+      label: playlist.title ? `Playlist: ${playlist.title}` : 'Playlist'
+    });
+    console.log(`Playlist export ${cancelled ? 'cancelled' : 'complete'}: ${successCount} succeeded, ${failCount} failed, ${skippedCount} skipped out of ${items.length} videos`);
+    showBatchSummary(tab.id, successCount, failCount, items.length, skippedCount, cancelled);
+  } catch (error) {
+    console.error('Error in exportPlaylist:', error);
+    showBadge(tab.id, '!', '#FF0000');
+    setTimeout(() => clearBadge(tab.id), 3000);
+  } finally {
+    activeOperations.delete(tab.id);
   }
+}
 
-  const { reject, timeoutId } = entry;
-  clearTimeout(timeoutId);
-  pendingExtractions.delete(tabId);
+// Read every video of a playlist: the first page from the playlist page, the
+// rest from youtubei "browse" continuation requests. Returns { id, title, videos: [{ videoId, title, position }] }.
+async function fetchPlaylist(playlistId, settings) {
+  youtubeRateLimiter.configure(settings.rateLimit.maxRequests, settings.rateLimit.windowMs);
+  const { networkMs } = settings.timeouts;
+  const pageResponse = await fetchFromYouTube(`https://www.youtube.com/playlist?list=${playlistId}`, networkMs);
+  const html = await pageResponse.text();
+  const page = readPlaylistPage(parseWatchPage(html).initialData);
+  if (!page) {
+    throw new Error('Playlist page has no video list');
+  }
 
-  if (typeof reject === 'function') {
-    const rejectionReason = error instanceof Error ? error : new Error(String(error));
-    reject(rejectionReason);
+  const videos = [...page.videos];
+  const seenTokens = new Set();
+  let continuation = page.continuation;
+  const config = continuation ? readInnertubeConfig(html) : null;
+  if (continuation && !config) {
+    throw new Error('Could not read the rest of the playlist');
   }
+
+  while (continuation && !seenTokens.has(continuation)) {
+    seenTokens.add(continuation);
+    const nextPage = readPlaylistContinuation(await fetchBrowseContinuation(config, continuation, networkMs));
+    videos.push(...nextPage.videos);
+    continuation = nextPage.continuation;
+  }
+
+  return { id: playlistId, title: page.title, videos };
 }
 
-function isSupportedYouTubeVideoUrl(tabUrl) {
-  if (!tabUrl) {
-    return false;
+// Channel tabs to read for each kind of upload
+const CHANNEL_TABS = {
+  video: 'videos',
+  short: 'shorts',
+  live: 'streams'
+};
+
+// Continuation pages read per channel tab at most, about 30 videos each
+const MAX_CHANNEL_PAGES = 50;
+
+// List a channel's uploads from its Videos, Shorts, and Live tabs, newest
+// first within each tab. Videos whose grid date is outside publishedRange are
+// left out, and paging stops once a tab reaches videos older than the range.
+// Shorts have no grid date, so their dates are only checked when exported.
+async function fetchChannelVideos(channelPath, { kinds, publishedRange }, settings) {
+  youtubeRateLimiter.configure(settings.rateLimit.maxRequests, settings.rateLimit.windowMs);
+  const { networkMs } = settings.timeouts;
+  const now = new Date();
+  const seenVideoIds = new Set();
+  const videos = [];
+  let title = null;
+  let foundTab = false;
+
+  for (const kind of kinds) {
+    if (!CHANNEL_TABS[kind]) {
+      continue;
+    }
+
+    // English page text, so upload times read like "3 weeks ago"
+    const pageResponse = await fetchFromYouTube(`https://www.youtube.com${channelPath}/${CHANNEL_TABS[kind]}?hl=en`, networkMs);
+    const html = await pageResponse.text();
+    const page = readChannelPage(parseWatchPage(html).initialData);
+    if (!page) {
+      // Channels without Shorts or streams have no grid on that tab
+      continue;
+    }
+
+    foundTab = true;
+    title = title || page.title;
+    const config = readInnertubeConfig(html);
+    let { videos: pageVideos, continuation } = page;
+
+    for (let pageCount = 0; ; pageCount++) {
+      for (const video of pageVideos) {
+        if (!seenVideoIds.has(video.videoId) && mayBePublishedInRange(video, publishedRange, now)) {
+          seenVideoIds.add(video.videoId);
+          videos.push({ ...video, kind, videoUrl: `https://www.youtube.com/watch?v=${video.videoId}` });
+        }
+      }
+
+      const oldest = pageVideos[pageVideos.length - 1];
+      const pastRange = publishedRange.after && oldest?.publishedText &&
+        !mayBePublishedInRange(oldest, { after: publishedRange.after }, now);
+      if (!continuation || pastRange || pageCount >= MAX_CHANNEL_PAGES) {
+        break;
+      }
+      if (!config) {
+        throw new Error('Could not read the rest of the channel videos');
+      }
+
+      const nextPage = readChannelContinuation(await fetchBrowseContinuation(config, continuation, networkMs));
+      pageVideos = nextPage.videos;
+      continuation = nextPage.continuation;
+    }
   }
 
+  if (!foundTab) {
+    throw new Error('No channel videos found at this link');
+  }
+
+  return { title, videos };
+}
+
+// The next page of a playlist or channel grid, like the page's own scrolling does
+async function fetchBrowseContinuation(config, continuation, timeoutMs) {
+  const response = await fetchFromYouTube(`https://www.youtube.com/youtubei/v1/browse?key=${config.apiKey}`, timeoutMs, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ context: config.context, continuation })
+  });
+  return response.json();
+}
+
+// Final count badge for a batch, shown longer than the per-video badges.
+// Without failures, skipped videos show as "↷3" (or "2↷3" with 2 exported)
+// on blue, so a rerun that skipped everything does not look like an error.
+// A cancelled batch shows how many videos were saved, like "2/10", on gray.
+function showBatchSummary(tabId, successCount, failCount, total, skippedCount = 0, cancelled = false) {
+  if (cancelled) {
+    showBadge(tabId, `${successCount}/${total}`, "#5F6368");
+  } else if (skippedCount > 0 && failCount === 0) {
+    showBadge(tabId, `${successCount > 0 ? successCount : ''}↷${skippedCount}`, "#1A73E8");
+  } else if (successCount > 0 && failCount === 0) {
+    showBadge(tabId, `✓${successCount}`, "#4CAF50");
+  } else if (successCount > 0 && failCount > 0) {
+    showBadge(tabId, `${successCount}/${total}`, "#FFA500");
+  } else if (failCount > 0 && total > 0) {
+    showBadge(tabId, `0/${total}`, "#FF0000");
+  } else {
+    showBadge(tabId, "0", "#FF0000");
+  }
+  setTimeout(() => clearBadge(tabId), 10000); // Show result longer
+}
+
+// The most recent batch, for the progress panel:
+// { progress: { id, label, startedAt, finishedAt, items }, items, format }.
+// progress is what the panel shows; items and format let failed videos be
+// exported again. A new batch replaces it, and older batches keep sending
+// updates under their own id, which the panel ignores.
+let currentBatch = null;
+let lastBatchId = 0;
+
+// Batch states after which a video waits for nothing more
+const FINISHED_BATCH_STATES = ['exported', 'failed', 'skipped'];
+
+// Errors that mean a batch video was left out on purpose, not that it failed
+const SKIP_ERROR_CODES = ['OUTSIDE_DATE_RANGE', 'ALREADY_EXPORTED', 'CAPTIONS_UNCHANGED', 'CANCELLED', 'ALREADY_RUNNING'];
+
+function startBatchProgress(items, label, format) {
+  const progress = {
+    id: ++lastBatchId,
+    label,
+    startedAt: Date.now(),
+    finishedAt: null,
+    items: items.map((item, index) => ({
+      index,
+      title: item.title || null,
+      videoUrl: item.videoUrl,
+      tabId: item.tab?.id ?? null,
+      state: 'queued',
+      errorCode: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    }))
+  };
+  currentBatch = { progress, items, format };
+  notifyExtensionPages({ type: 'BATCH_STARTED', batch: progress });
+  return progress;
+}
+
+// state is 'queued' or a runBatchExport progress status. Times are kept from
+// the first state after 'queued', so the elapsed time covers every step.
+function updateBatchProgress(progress, index, state, result = {}) {
+  const item = progress.items[index];
+  const now = Date.now();
+  item.state = state;
+  item.title = result.title || item.title;
+  item.errorCode = result.errorCode || null;
+  item.error = result.error || null;
+  item.startedAt = state === 'queued' ? null : item.startedAt ?? now;
+  item.finishedAt = FINISHED_BATCH_STATES.includes(state) ? now : null;
+  notifyExtensionPages({ type: 'BATCH_ITEM_UPDATED', batchId: progress.id, item });
+}
+
+function finishBatchProgress(progress) {
+  progress.finishedAt = Date.now();
+  notifyExtensionPages({ type: 'BATCH_FINISHED', batchId: progress.id, finishedAt: progress.finishedAt });
+}
+
+// Export failed videos of the current batch again, updating their rows in
+// place. Retried videos are saved as separate files, even when the batch made
+// a ZIP or one document, since those were saved already. A batch or retry
+// still running would mark the batch finished under the retry, so it waits.
+function retryBatchItems(batchId, indexes = []) {
+  if (!currentBatch || currentBatch.progress.id !== batchId) {
+    return { started: false, error: 'That batch is no longer available.' };
+  }
+
+  const { progress, items, format } = currentBatch;
+  if (progress.finishedAt === null) {
+    return { started: false, error: 'Wait for the batch to finish before retrying.' };
+  }
+  const retryIndexes = [...new Set(indexes)].filter(index => progress.items[index]?.state === 'failed');
+  if (retryIndexes.length === 0) {
+    return { started: false, error: 'No failed videos to retry.' };
+  }
+
+  progress.finishedAt = null;
+  for (const index of retryIndexes) {
+    updateBatchProgress(progress, index, 'queued');
+  }
+
+  const retryItems = retryIndexes.map(index => ({ ...items[index], progressIndex: index }));
+  runBatchExport(retryItems, { format, progress, zip: false }).catch(error => {
+    console.error('Error in retryBatchItems:', error);
+  });
+  return { started: true, count: retryIndexes.length };
+}
+
+// Stop every running batch export. Videos not started yet are skipped with
+// CANCELLED, tabs waiting for their content script stop waiting, and no other
+// tab is brought to the front. Each batch then returns to the tab that was
+// active when it started and saves what it has, like a batch that ended.
+// Returns how many batches were cancelled.
+function cancelBatchExports() {
+  for (const controller of runningBatches) {
+    controller.abort();
+  }
+  if (runningBatches.size > 0) {
+    console.log(`Cancelling ${runningBatches.size} batch ${runningBatches.size === 1 ? 'export' : 'exports'}`);
+  }
+  return runningBatches.size;
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new ExtensionError('Export cancelled', 'CANCELLED');
+  }
+}
+
+function updateCancelMenuItem() {
+  chrome.contextMenus.update('yt-cancel-batch', { enabled: runningBatches.size > 0 }, () => {
+    // The menu may not exist yet during install
+    void chrome.runtime.lastError;
+  });
+}
+
+// Export a list of videos with a pool of workers, then save the combined
+// document or ZIP. items: [{ tab?, videoUrl, title?, playlist?, publishedRange? }].
+// Items with a tab use it as the fallback; the others open a background tab
+// when the watch page cannot be read directly. With playlist set, an index of
+// the playlist is saved as well. Results keep the item order whatever order
+// the workers finish in.
+// onProgress(index, status, result) reports 'extracting', 'activating' (a tab
+// is opened or brought to the front to read the video), 'exported', 'failed',
+// or 'skipped' for each item; failures and skips carry result.errorCode. The
+// same states go to the progress panel under label, as a new batch unless
+// progress is an earlier batch whose items are being retried. zip overrides
+// the ZIP setting. Videos saved before in the same format are skipped as the
+// skipExported setting says, except in combined documents.
+// Resolves with { successCount, failCount, skippedCount, cancelled,
+// batchResults }, where cancelled says cancelBatchExports ended it early.
+async function runBatchExport(items, options = {}) {
+  const controller = new AbortController();
+  runningBatches.add(controller);
+  updateCancelMenuItem();
   try {
-    const url = new URL(tabUrl);
-    const hostname = url.hostname.replace(/^www\./, '');
+    return await exportBatch(items, { ...options, signal: controller.signal });
+  } finally {
+    runningBatches.delete(controller);
+    updateCancelMenuItem();
+  }
+}
+
+// runBatchExport without the bookkeeping that lets it be cancelled
+async function exportBatch(items, {
+  format = null,
+  combine = null,
+  playlist = null,
+  label = 'Batch export',
+  progress = null,
+  zip = null,
+  onProgress = () => {},
+  signal
+}) {
+  // The tab to return to if the batch is cancelled
+  const startingTab = await getActiveTab();
+  const settings = await loadSettings();
+  youtubeRateLimiter.configure(settings.rateLimit.maxRequests, settings.rateLimit.windowMs);
+  const exportFormat = combine
+    ? (settings.outputFormat === 'timestamped' ? 'timestamped' : 'markdown')
+    : format || settings.outputFormat;
+  const mode = combine ? 'collect' : 'download';
+  const bundleAsZip = !combine && (zip ?? settings.batch.zip);
+  const batchStartedAt = new Date();
+  const batchProgress = progress || startBatchProgress(items, label, exportFormat);
+  const concurrency = Math.max(1, Math.min(settings.batch.concurrency, items.length));
+  const skipExported = combine ? 'off' : settings.batch.skipExported;
+  // Files in the ZIP count as exported once the ZIP is saved
+  const zippedResults = [];
 
-    if (hostname === 'youtu.be') {
-      return hasYouTubeVideoId(url.pathname.split('/').filter(Boolean)[0]);
+  let successCount = 0;
+  let failCount = 0;
+  let skippedCount = 0;
+  const batchResults = new Array(items.length);
+  let nextIndex = 0;
+
+  function report(index, status, result = {}) {
+    updateBatchProgress(batchProgress, items[index].progressIndex ?? index, status, result);
+    onProgress(index, status, result);
+  }
+
+  function settle(index, status, result = {}) {
+    batchResults[index] = describeBatchResult(items[index], status, result);
+    report(index, status, result);
+  }
+
+  async function exportNext(index) {
+    const item = items[index];
+    const tabId = item.tab?.id;
+    const itemStartedAt = Date.now();
+
+    // Skip if operation already in progress for this tab
+    if (tabId !== undefined && activeOperations.has(tabId)) {
+      settle(index, 'skipped', { error: 'Another export was running in this tab', errorCode: 'ALREADY_RUNNING' });
+      skippedCount++;
+      return;
+    }
+
+    if (tabId !== undefined) {
+      activeOperations.set(tabId, 'batch');
+    }
+
+    try {
+      throwIfCancelled(signal);
+      const previousExport = skipExported === 'off' ? null : await findBatchItemExport(item, exportFormat);
+      if (previousExport && skipExported === 'exported') {
+        throw new ExtensionError(`Already exported on ${previousExport.exportedAt.slice(0, 10)}`, 'ALREADY_EXPORTED');
+      }
+
+      console.log(`Processing video ${index + 1}/${items.length}: ${item.videoUrl}`);
+      report(index, 'extracting');
+      const result = await exportBatchItem(item, mode, exportFormat, settings, bundleAsZip, {
+        onState: state => report(index, state),
+        previousExport,
+        signal
+      });
+      settle(index, 'exported', { ...result, durationMs: Date.now() - itemStartedAt });
+      if (bundleAsZip) {
+        zippedResults.push(result);
+      }
+      successCount++;
+    } catch (error) {
+      if (SKIP_ERROR_CODES.includes(error.code)) {
+        console.log(`Skipped video ${index + 1}/${items.length} (${error.code}): ${item.videoUrl} - ${error.message}`);
+        if (tabId !== undefined) {
+          clearBadge(tabId);
+        }
+        settle(index, 'skipped', { error: error.message, errorCode: error.code, durationMs: Date.now() - itemStartedAt });
+        skippedCount++;
+        return;
+      }
+
+      console.error(`Failed to extract ${item.videoUrl}:`, error.message);
+      if (tabId !== undefined) {
+        showBadge(tabId, "!", "#FF0000");
+        setTimeout(() => clearBadge(tabId), 3000);
+      }
+      settle(index, 'failed', {
+        error: error.message,
+        errorCode: error.code || 'EXPORT_FAILED',
+        durationMs: Date.now() - itemStartedAt
+      });
+      failCount++;
+    } finally {
+      // Each item owns its tab's entry until it settles, whichever path ran
+      if (tabId !== undefined) {
+        activeOperations.delete(tabId);
+      }
     }
+  }
+
+  // Each worker takes the next item until none are left. A worker waits while
+  // the rate limiter already holds a queued request per worker, so slow
+  // YouTube responses slow the batch down instead of piling up requests.
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await youtubeRateLimiter.waitForRoom(concurrency);
+      await exportNext(index);
 
-    if (hostname !== 'youtube.com' && hostname !== 'm.youtube.com') {
-      return false;
+      // Small delay between videos
+      if (nextIndex < items.length && !signal.aborted) {
+        await new Promise(resolve => setTimeout(resolve, settings.batch.delayMs));
+      }
     }
+  }
 
-    if (url.pathname === '/watch') {
-      return hasYouTubeVideoId(url.searchParams.get('v'));
+  await Promise.all(Array.from({ length: concurrency }, runWorker));
+
+  if (signal.aborted) {
+    console.log(`Batch cancelled after ${successCount} of ${items.length} videos were exported`);
+    if (startingTab) {
+      await chrome.tabs.update(startingTab.id, { active: true }).catch(() => {});
     }
+  }
 
-    if (url.pathname.startsWith('/shorts/') || url.pathname.startsWith('/embed/')) {
-      return hasYouTubeVideoId(url.pathname.split('/').filter(Boolean)[1]);
+  if (combine && successCount > 0) {
+    try {
+      await saveCombinedDocument(batchResults, batchStartedAt, combine, settings);
+    } catch (documentError) {
+      console.error('Failed to save the combined document:', documentError.message);
+      failCount += successCount;
+      successCount = 0;
     }
+  }
 
-    return false;
+  if (bundleAsZip && successCount > 0) {
+    try {
+      await saveBatchZip(batchResults, batchStartedAt, exportFormat, settings, playlist);
+      for (const result of zippedResults) {
+        await recordExport(result);
+      }
+    } catch (zipError) {
+      console.error('Failed to save ZIP archive:', zipError.message);
+      failCount += successCount;
+      successCount = 0;
+    }
+  } else if (playlist || settings.batch.report) {
+    try {
+      await saveBatchReport(batchResults, batchStartedAt, exportFormat, settings, playlist);
+    } catch (reportError) {
+      console.error('Failed to save the batch report:', reportError.message);
+    }
+  }
+
+  finishBatchProgress(batchProgress);
+  return { successCount, failCount, skippedCount, cancelled: signal.aborted, batchResults };
+}
+
+// The active tab of the current window, or null
+async function getActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab || null;
   } catch (error) {
-    return false;
+    return null;
+  }
+}
+
+// The export history record of a batch video in format, or null
+async function findBatchItemExport(item, format) {
+  const videoId = parseVideoUrl(item.videoUrl);
+  try {
+    return videoId ? await findPreviousExport(videoId, format) : null;
+  } catch (error) {
+    console.warn(`Could not read the export history of ${videoId}:`, error.message);
+    return null;
+  }
+}
+
+// Export one batch video. The watch page is read first, so no tab needs focus.
+// Resolves with the success data; download files are already saved unless
+// collectFile is set. Rejects with OUTSIDE_DATE_RANGE when the watch page or
+// the tab shows the video is outside item.publishedRange. onState reports
+// 'activating' when a tab is needed, then 'extracting' once it has loaded.
+// With previousExport, the file is only saved when the captions differ from
+// that export's, and CAPTIONS_UNCHANGED is thrown otherwise. signal cancels
+// the watch page requests, the tab fallback, and the save with CANCELLED.
+async function exportBatchItem(item, mode, format, settings, collectFile, { onState = () => {}, previousExport = null, signal = null } = {}) {
+  const tabId = item.tab?.id;
+  // Tabs hold the file back until the captions and publish date have been checked
+  const holdFile = collectFile || previousExport !== null || Boolean(item.publishedRange);
+  if (tabId !== undefined) {
+    showBadge(tabId, "...", "#808080");
+  }
+
+  const playlist = item.playlist || null;
+  let backgroundError = null;
+  const backgroundResult = await extractInBackground(item.videoUrl, mode, format, settings, {
+    playlist,
+    publishedRange: item.publishedRange,
+    signal
+  }).catch(error => {
+    if (error.code === 'OUTSIDE_DATE_RANGE' || error.code === 'CANCELLED') {
+      if (tabId !== undefined) {
+        clearBadge(tabId);
+      }
+      throw error;
+    }
+    console.log(`Background extraction failed for ${item.videoUrl}, using a tab instead:`, error.message);
+    backgroundError = error;
+    return null;
+  });
+
+  let result;
+  if (backgroundResult) {
+    result = { ...keepInLibrary(backgroundResult), readFrom: 'watch page' };
+  } else {
+    onState('activating');
+    const onTabReady = () => onState('extracting');
+    const tabResult = await (item.tab
+      ? extractWithActivatedTab(item.tab, mode, format, settings, holdFile, playlist, onTabReady, signal)
+      : extractWithNewTab(item.videoUrl, mode, format, settings, holdFile, playlist, onTabReady, signal)
+    ).catch(error => {
+      // A tab error without a code says less than the watch page's, like HTTP_ERROR
+      if (!error.code && backgroundError?.code) {
+        throw new ExtensionError(`${error.message} (watch page: ${backgroundError.message})`, backgroundError.code);
+      }
+      throw error;
+    });
+    result = { ...tabResult, readFrom: 'tab' };
+
+    // The watch page check did not run, so check the date the tab read
+    if (item.publishedRange && !isPublishedInRange(result.publishDateIso, item.publishedRange)) {
+      if (tabId !== undefined) {
+        clearBadge(tabId);
+      }
+      throw new ExtensionError(`Published ${result.publishDateIso}, outside the date range`, 'OUTSIDE_DATE_RANGE');
+    }
   }
+
+  if (previousExport && !captionsChanged(previousExport.captions, result.captions)) {
+    if (tabId !== undefined) {
+      clearBadge(tabId);
+    }
+    throw new ExtensionError(`Captions unchanged since the export on ${previousExport.exportedAt.slice(0, 10)}`, 'CAPTIONS_UNCHANGED');
+  }
+
+  // A video read just as the batch was cancelled is not saved, unless its tab
+  // saved it already
+  if (backgroundResult || holdFile) {
+    throwIfCancelled(signal);
+  }
+
+  // Tabs saved their own file unless it was held back
+  if (result.file && !collectFile && (backgroundResult || holdFile)) {
+    await saveExportFile(result, settings);
+  }
+  if (tabId !== undefined && backgroundResult) {
+    showBadge(tabId, "✓", "#4CAF50");
+    setTimeout(() => clearBadge(tabId), 2000);
+  }
+  return result;
+}
+
+// Tab activation is one worker at a time, so each fallback returns to the
+// right tab and the content script runs while its tab is in front
+let foregroundTurn = Promise.resolve();
+
+function runInForeground(task) {
+  const turn = foregroundTurn.then(task);
+  foregroundTurn = turn.catch(() => {});
+  return turn;
+}
+
+// Fall back to the content script, which needs the tab loaded, so briefly activate it
+function extractWithActivatedTab(tab, mode, format, settings, collectFile, playlist = null, onTabReady = () => {}, signal = null) {
+  return runInForeground(() => extractWithTabInFront(tab, mode, format, settings, collectFile, playlist, onTabReady, signal));
 }
 
-function hasYouTubeVideoId(value) {
-  return typeof value === 'string' && /^[A-Za-z0-9_-]{11}$/.test(value);
+async function extractWithTabInFront(tab, mode, format, settings, collectFile, playlist, onTabReady, signal) {
+  // Tabs still waiting for their turn are not activated after a cancel
+  throwIfCancelled(signal);
+  const originalActiveTab = (await chrome.tabs.query({active: true, currentWindow: true}))[0];
+
+  // Activate the tab to ensure it loads
+  try {
+    await chrome.tabs.update(tab.id, { active: true });
+  } catch (tabError) {
+    console.log(`Tab ${tab.id} no longer exists, skipping`);
+    throw new ExtensionError('Tab closed', 'TAB_CLOSED');
+  }
+
+  try {
+    // Wait for tab to be ready
+    await waitForTabReady(tab.id, settings.timeouts.tabReadyMs);
+    onTabReady();
+    return await extractInTab(tab.id, mode, format, settings, collectFile, playlist, signal);
+  } finally {
+    // Restore original active tab
+    if (settings.batch.restoreActiveTab && originalActiveTab && originalActiveTab.id !== tab.id) {
+      try {
+        await chrome.tabs.update(originalActiveTab.id, { active: true });
+      } catch (restoreError) {
+        // Original tab might have been closed, that's OK
+      }
+    }
+  }
+}
+
+// Videos from a pasted list have no tab, so open one in the background and close it after
+async function extractWithNewTab(videoUrl, mode, format, settings, collectFile, playlist = null, onTabReady = () => {}, signal = null) {
+  throwIfCancelled(signal);
+  const tab = await chrome.tabs.create({ url: videoUrl, active: false });
+  try {
+    await waitForTabReady(tab.id, settings.timeouts.tabReadyMs);
+    onTabReady();
+    return await extractInTab(tab.id, mode, format, settings, collectFile, playlist, signal);
+  } finally {
+    activeOperations.delete(tab.id);
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+// Run the content script in a loaded tab and wait for its result. signal
+// cancels the wait with CANCELLED.
+async function extractInTab(tabId, mode, format, settings, collectFile, playlist = null, signal = null) {
+  activeOperations.set(tabId, 'download');
+
+  // Inject content script with retry
+  let injectionSuccess = false;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: CONTENT_SCRIPT_FILES
+      });
+      injectionSuccess = true;
+      break;
+    } catch (injectionError) {
+      console.warn(`Script injection attempt ${attempt + 1} failed for tab ${tabId}:`, injectionError.message);
+      if (attempt < 2) await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  
+  if (!injectionSuccess) {
+    throw new ExtensionError('Failed to inject content script after 3 attempts', 'INJECTION_FAILED');
+  }
+  
+  // Set up promise listener BEFORE sending message to prevent race condition
+  throwIfCancelled(signal);
+  const extractionPromise = waitForExtraction(tabId, settings.timeouts.downloadMs, { collectFile });
+
+  // Cancelling rejects the wait at once, and whatever the tab sends later is dropped
+  const abandon = () => {
+    abandonedExtractions.add(tabId);
+    rejectPendingExtraction(tabId, new ExtensionError('Export cancelled', 'CANCELLED'));
+  };
+  signal?.addEventListener('abort', abandon, { once: true });
+  extractionPromise.finally(() => signal?.removeEventListener('abort', abandon)).catch(() => {});
+  
+  // Send extraction command
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      type: 'START_EXTRACTION',
+      mode,
+      format,
+      playlist
+    });
+  } catch (messageError) {
+    rejectPendingExtraction(tabId, messageError);
+    await extractionPromise.catch(() => {});
+    if (messageError.message.includes('No tab with id')) {
+      console.log(`Tab ${tabId} closed during processing, skipping`);
+      throw new ExtensionError('Tab closed', 'TAB_CLOSED');
+    }
+    throw messageError;
+  }
+  
+  // Wait for completion
+  return extractionPromise;
+}
+
+// Read a transcript without the tab: fetch the watch page, read the player
+// response with the same parser the content script uses, and fetch the chosen
+// caption track. Returns the data the content script sends with
+// EXTRACTION_SUCCESS. Throws when the page cannot be used this way, like
+// consent or sign-in pages, age checks, or videos without caption tracks.
+// publishedRange ({ after, before } YYYY-MM-DD) rejects videos published
+// outside it with an OUTSIDE_DATE_RANGE error. signal cancels the requests
+// with CANCELLED.
+async function extractInBackground(videoUrl, mode, format, settings, { playlist = null, publishedRange = null, signal = null } = {}) {
+  const videoId = parseVideoUrl(videoUrl);
+  if (!videoId) {
+    throw new Error('No video id in the URL');
+  }
+
+  const { networkMs } = settings.timeouts;
+  const pageResponse = await fetchFromYouTube(`https://www.youtube.com/watch?v=${videoId}`, networkMs, { signal });
+  const { playerResponse, initialData } = parseWatchPage(await pageResponse.text());
+
+  const playability = playerResponse?.playabilityStatus?.status;
+  if (!playerResponse || (playability && playability !== 'OK')) {
+    throw new Error(`Watch page has no playable video (${playability || 'no player data'})`);
+  }
+
+  const metadata = readVideoMetadata(playerResponse);
+  if (!metadata.title) {
+    throw new Error('Video title not found');
+  }
+
+  if (publishedRange && !isPublishedInRange(metadata.publishDateIso, publishedRange)) {
+    throw new ExtensionError(`Published ${metadata.publishDateIso}, outside the date range`, 'OUTSIDE_DATE_RANGE');
+  }
+
+  const track = selectCaptionTrack(getCaptionTracks(playerResponse), buildTrackPolicy(settings.trackPolicy));
+  if (!track?.baseUrl) {
+    throw new Error('No matching caption track in the watch page');
+  }
+
+  const captionResponse = await fetchFromYouTube(buildCaptionTrackUrl(track), networkMs, { signal });
+  const transcript = {
+    segments: parseCaptionResponse(await captionResponse.text()),
+    language: track.languageCode,
+    isAutoGenerated: isAutoGeneratedTrack(track),
+    source: 'captionTracks'
+  };
+
+  const chapters = readChapters([initialData, playerResponse], metadata.description);
+  const exportData = buildExportData({ videoId, metadata, chapters, transcript, settings, playlist });
+  const { success, ...output } = buildExportResult(mode, format, exportData, settings);
+
+  return { mode, format, videoId, title: metadata.title, extractionMethod: exportData.source, exportData, ...output };
+}
+
+// Requests carry the YouTube cookies (the extension has host access), so
+// signed-in users get the same page and captions as in a tab. signal cancels
+// the request with CANCELLED, whether it is running or still queued.
+async function fetchFromYouTube(url, timeoutMs, { signal = null, ...options } = {}) {
+  return youtubeRateLimiter.execute(async () => {
+    throwIfCancelled(signal);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      const response = await fetch(url, { ...options, credentials: 'include', signal: controller.signal });
+      if (!response.ok) {
+        // The rate limiter backs off and retries on 429
+        const error = new ExtensionError(`Request failed: ${response.status}`, 'HTTP_ERROR');
+        error.status = response.status;
+        throw error;
+      }
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throwIfCancelled(signal);
+        throw new ExtensionError(`Request timed out after ${timeoutMs / 1000} seconds`, 'NETWORK_TIMEOUT');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+    }
+  });
+}
+
+// One line of a batch report. result is the export's success data, or the
+// error details for failed and skipped videos. readFrom is 'watch page' when
+// the service worker read the video and 'tab' when its tab did.
+function describeBatchResult(item, status, result = {}) {
+  return {
+    status,
+    title: result.title || item.title || null,
+    videoUrl: item.videoUrl,
+    videoId: parseVideoUrl(item.videoUrl),
+    position: item.playlist?.position ?? null,
+    file: result.file || null,
+    section: result.section || null,
+    error: result.error || null,
+    errorCode: result.errorCode || null,
+    extractionMethod: result.extractionMethod || null,
+    readFrom: result.readFrom || null,
+    durationMs: result.durationMs ?? null
+  };
+}
+
+// Bundle the collected transcripts and an index into one ZIP download
+async function saveBatchZip(batchResults, batchStartedAt, format, settings, playlist = null) {
+  const usedNames = new Set(['index.md', 'index.csv']);
+  const entries = [];
+
+  for (const result of batchResults) {
+    if (!result.file) {
+      continue;
+    }
+
+    // The archive is flat; per-video folders from the folder template are dropped
+    result.archiveName = uniqueArchiveName(result.file.filename.split('/').pop(), usedNames);
+    entries.push({ name: result.archiveName, content: result.file.content });
+  }
+
+  entries.unshift(
+    { name: 'index.md', content: buildBatchIndex(batchResults, batchStartedAt, format, playlist) },
+    { name: 'index.csv', content: buildBatchCsv(batchResults) }
+  );
+
+  // Tokens about a single video are empty here, so only fixed folder names apply
+  const folder = renderFolderTemplate(settings.downloadFolder, { format, exportedAt: batchStartedAt.toISOString() });
+  const zipName = `${getBatchFileStem(batchStartedAt, playlist)}.zip`;
+
+  await downloadFile({
+    filename: folder ? `${folder}/${zipName}` : zipName,
+    mimeType: 'application/zip',
+    content: createZip(entries, batchStartedAt)
+  }, settings.conflictAction);
+}
+
+// Without a ZIP, the report is saved next to the transcripts as Markdown and CSV
+async function saveBatchReport(batchResults, batchStartedAt, format, settings, playlist = null) {
+  const folder = renderFolderTemplate(settings.downloadFolder, { format, exportedAt: batchStartedAt.toISOString() });
+  const stem = `${getBatchFileStem(batchStartedAt, playlist)}-index`;
+
+  await downloadFile({
+    filename: folder ? `${folder}/${stem}.md` : `${stem}.md`,
+    mimeType: 'text/markdown',
+    content: buildBatchIndex(batchResults, batchStartedAt, format, playlist)
+  }, settings.conflictAction);
+  await downloadFile({
+    filename: folder ? `${folder}/${stem}.csv` : `${stem}.csv`,
+    mimeType: 'text/csv',
+    content: buildBatchCsv(batchResults)
+  }, settings.conflictAction);
+}
+
+// Like "YouTube-transcripts-2024-02-01-10-30-00", or with the playlist title
+// instead of "transcripts" for playlist exports
+function getBatchFileStem(batchStartedAt, playlist = null) {
+  const name = playlist ? `playlist-${sanitizeFilename(playlist.title || playlist.id)}` : 'transcripts';
+  return `YouTube-${name}-${formatTemplateDate(batchStartedAt, 'YYYY-MM-DD-HH-mm-ss')}`;
+}
+
+// Save or copy the sections collected from each tab as one Markdown document
+async function saveCombinedDocument(batchResults, batchStartedAt, destination, settings) {
+  const documentText = buildCombinedDocument(batchResults, batchStartedAt);
+
+  if (destination === 'clipboard') {
+    await copyTextToClipboard(documentText);
+    return;
+  }
+
+  const folder = renderFolderTemplate(settings.downloadFolder, { format: 'markdown', exportedAt: batchStartedAt.toISOString() });
+  const filename = `YouTube-transcripts-${formatTemplateDate(batchStartedAt, 'YYYY-MM-DD-HH-mm-ss')}.md`;
+
+  await downloadFile({
+    filename: folder ? `${folder}/${filename}` : filename,
+    mimeType: 'text/markdown',
+    content: documentText
+  }, settings.conflictAction);
+}
+
+// Table of contents first, then one section per video in tab order. Each
+// section opens with an anchor and a numbered heading and ends with a rule.
+function buildCombinedDocument(batchResults, batchStartedAt) {
+  const included = batchResults.filter(result => result.section);
+  const lines = [
+    '# YouTube transcripts',
+    '',
+    `- Exported: ${batchStartedAt.toISOString()}`,
+    `- Videos: ${batchResults.length} (${included.length} included, ${batchResults.length - included.length} not exported)`,
+    '',
+    '## Contents',
+    ''
+  ];
+
+  let sectionNumber = 0;
+  for (const result of batchResults) {
+    const title = formatDocumentTitle(result.title);
+    if (result.section) {
+      sectionNumber++;
+      lines.push(`${sectionNumber}. [${escapeLinkText(title)}](#video-${sectionNumber})`);
+    } else {
+      lines.push(`- ${title} (not exported${result.error ? `: ${result.error}` : ''}) ${result.videoUrl}`);
+    }
+  }
+
+  included.forEach((result, index) => {
+    const number = index + 1;
+    lines.push(
+      '',
+      '---',
+      '',
+      `<a id="video-${number}"></a>`,
+      '',
+      `## ${number}. ${formatDocumentTitle(result.title)}`,
+      '',
+      result.section.trimEnd()
+    );
+  });
+
+  lines.push('', '---', '');
+  return lines.join('\n');
+}
+
+function formatDocumentTitle(title) {
+  return (title || 'Untitled').replace(/\s*\n\s*/g, ' ');
+}
+
+function escapeLinkText(text) {
+  return text.replace(/([\\\[\]])/g, '\\$1');
+}
+
+// Service workers have no DOM, so clipboard writes go through an offscreen document
+async function copyTextToClipboard(text) {
+  if (!(await chrome.offscreen.hasDocument())) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['CLIPBOARD'],
+      justification: 'Copy combined transcripts to the clipboard'
+    });
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'OFFSCREEN_COPY', text });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Clipboard copy failed');
+    }
+  } finally {
+    await chrome.offscreen.closeDocument().catch(() => {});
+  }
+}
+
+function uniqueArchiveName(name, usedNames) {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  for (let copy = 2; usedNames.has(candidate); copy++) {
+    candidate = `${stem}-${copy}${extension}`;
+  }
+
+  usedNames.add(candidate);
+  return candidate;
+}
+
+function buildBatchIndex(batchResults, batchStartedAt, format, playlist = null) {
+  const exportedCount = batchResults.filter(result => result.status === 'exported').length;
+  const formatTitle = EXPORT_FORMATS.find(candidate => candidate.id === format)?.title || format;
+  const lines = playlist
+    ? [
+      `# ${formatDocumentTitle(playlist.title || 'Untitled playlist')}`,
+      '',
+      `- Playlist: https://www.youtube.com/playlist?list=${playlist.id}`
+    ]
+    : ['# YouTube transcript export', ''];
+  lines.push(
+    `- Exported: ${batchStartedAt.toISOString()}`,
+    `- Format: ${formatTitle}`,
+    `- Videos: ${batchResults.length} (${exportedCount} exported, ${batchResults.length - exportedCount} not exported)`,
+    '',
+    '| # | Title | Video | Video ID | Status | Error code | Method | Time | File |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- |'
+  );
+
+  // Playlist rows use the playlist position. Files saved one by one are
+  // listed by their path inside Downloads.
+  batchResults.forEach((result, index) => {
+    const status = result.error ? `${result.status}: ${result.error}` : result.status;
+    const cells = [
+      String(result.position ?? index + 1),
+      result.title || 'Untitled',
+      result.videoUrl,
+      result.videoId || '',
+      status,
+      result.errorCode || '',
+      result.extractionMethod ? `${result.extractionMethod} (${result.readFrom})` : '',
+      result.durationMs === null || result.durationMs === undefined ? '' : `${(result.durationMs / 1000).toFixed(1)} s`,
+      result.archiveName || result.file?.filename || ''
+    ];
+    lines.push(`| ${cells.map(escapeTableCell).join(' | ')} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// The same rows as buildBatchIndex for spreadsheets and scripts, one video per
+// row. duration_ms is whole milliseconds; empty cells mean "not known".
+const BATCH_CSV_COLUMNS = [
+  'position', 'url', 'video_id', 'title', 'outcome', 'error_code', 'error',
+  'extraction_method', 'read_from', 'duration_ms', 'file'
+];
+
+function buildBatchCsv(batchResults) {
+  const rows = batchResults.map((result, index) => [
+    result.position ?? index + 1,
+    result.videoUrl,
+    result.videoId,
+    result.title,
+    result.status,
+    result.errorCode,
+    result.error,
+    result.extractionMethod,
+    result.readFrom,
+    result.durationMs,
+    result.archiveName || result.file?.filename
+  ]);
+
+  return [BATCH_CSV_COLUMNS, ...rows]
+    .map(row => row.map(escapeCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// RFC 4180 quoting: cells with commas, quotes, or line breaks are quoted
+function escapeCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeTableCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+// Helper function to wait for tab to be ready
+async function waitForTabReady(tabId, timeout = 10000) {
+  const startTime = Date.now();
+  
+  while (Date.now() - startTime < timeout) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete') {
+        return true;
+      }
+    } catch (error) {
+      // Tab might have been closed
+      throw new ExtensionError('Tab no longer exists', 'TAB_CLOSED');
+    }
+    
+    // Wait 100ms before checking again
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  
+  throw new ExtensionError('Tab failed to load within timeout', 'TAB_LOAD_TIMEOUT');
+}
+
+function resolvePendingExtraction(tabId, result) {
+  const entry = pendingExtractions.get(tabId);
+  if (!entry) {
+    return;
+  }
+
+  clearTimeout(entry.timeoutId);
+  pendingExtractions.delete(tabId);
+  entry.resolve(result);
+}
+
+function rejectPendingExtraction(tabId, error) {
+  const entry = pendingExtractions.get(tabId);
+  if (!entry) {
+    return;
+  }
+
+  const { reject, timeoutId } = entry;
+  clearTimeout(timeoutId);
+  pendingExtractions.delete(tabId);
+
+  if (typeof reject === 'function') {
+    const rejectionReason = error instanceof Error ? error : new Error(String(error));
+    reject(rejectionReason);
+  }
+}
+
+function isSupportedYouTubeVideoUrl(tabUrl) {
+  return parseVideoUrl(tabUrl) !== null;
 }
 
 // Helper function to wait for extraction to complete
-function waitForExtraction(tabId, timeout = 30000) { // Default 30 seconds
+// Resolves with the content script's success data. With collectFile, a
+// download file is handed back to the caller instead of being saved.
+function waitForExtraction(tabId, timeout = 30000, { collectFile = false } = {}) { // Default 30 seconds
+  // Any extraction this tab sends from now on has someone waiting for it,
+  // including single-tab exports in a tab whose batch extraction was cancelled
+  abandonedExtractions.delete(tabId);
   return new Promise((resolve, reject) => {
     // Set up timeout
     const timeoutId = setTimeout(() => {
       pendingExtractions.delete(tabId);
       activeOperations.delete(tabId); // Clean up operation
-      reject(new Error('Extraction timeout'));
+      reject(new ExtensionError('Extraction timeout', 'EXTRACTION_TIMEOUT'));
     }, timeout);
     
     // Store promise resolvers for event-driven completion
-    pendingExtractions.set(tabId, { resolve, reject, timeoutId });
+    pendingExtractions.set(tabId, { resolve, reject, timeoutId, collectFile });
   });
 }
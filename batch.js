@@ -0,0 +1,200 @@
+// List export page: check pasted links, add a channel's uploads to the list,
+// hand the videos to the background batch export, and show each video's
+// status as it runs.
+(function() {
+  'use strict';
+
+  const { EXPORT_FORMATS, loadSettings } = globalThis.YouTubeTranscriptSettings;
+  const { parseVideoList } = globalThis.YouTubeTranscriptCore;
+
+  // Extra choice for a single Markdown document, like "All as One Document"
+  const DOCUMENT_FORMAT = 'document';
+
+  const STATUS_LABELS = {
+    waiting: 'Waiting',
+    extracting: 'Exporting…',
+    activating: 'Opening tab…',
+    exported: 'Exported',
+    failed: 'Failed',
+    skipped: 'Skipped'
+  };
+
+  const form = document.getElementById('list-form');
+  const listInput = document.getElementById('video-list');
+  const summaryText = document.getElementById('list-summary');
+  const problemList = document.getElementById('list-problems');
+  const formatSelect = document.getElementById('export-format');
+  const startButton = document.getElementById('start-export');
+  const statusText = document.getElementById('status');
+  const progressList = document.getElementById('export-progress');
+  const channelInput = document.getElementById('channel-link');
+  const findChannelButton = document.getElementById('find-channel-videos');
+  const channelStatus = document.getElementById('channel-status');
+  const publishedAfterInput = document.getElementById('published-after');
+  const publishedBeforeInput = document.getElementById('published-before');
+  let progressItems = [];
+
+  // The channel menu item opens this page with the tab's channel link
+  channelInput.value = new URLSearchParams(location.search).get('channel') || '';
+
+  for (const format of EXPORT_FORMATS) {
+    formatSelect.appendChild(createOption(format.id, format.title));
+  }
+  formatSelect.appendChild(createOption(DOCUMENT_FORMAT, 'All as One Document (Markdown)'));
+
+  loadSettings().then(settings => {
+    formatSelect.value = settings.outputFormat;
+  }, error => {
+    console.warn('Failed to load settings:', error);
+  });
+
+  listInput.addEventListener('input', updateSummary);
+  updateSummary();
+
+  findChannelButton.addEventListener('click', async () => {
+    const kinds = [...form.querySelectorAll('input[name="kinds"]:checked')].map(input => input.value);
+    if (kinds.length === 0) {
+      showChannelStatus('Choose at least one kind of upload.', true);
+      return;
+    }
+
+    findChannelButton.disabled = true;
+    showChannelStatus('Looking for videos…');
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'FIND_CHANNEL_VIDEOS',
+        channel: channelInput.value,
+        kinds,
+        publishedRange: readPublishedRange()
+      });
+      if (!response || response.error) {
+        showChannelStatus(response?.error || 'No channel videos found.', true);
+        return;
+      }
+
+      const links = response.videos.map(video => video.videoUrl);
+      listInput.value = [listInput.value.trimEnd(), ...links].filter(Boolean).join('\n');
+      updateSummary();
+      const channelName = response.title || 'the channel';
+      showChannelStatus(`Added ${links.length} ${links.length === 1 ? 'video' : 'videos'} from ${channelName}.`);
+    } catch (error) {
+      showChannelStatus(`Could not read the channel: ${error.message}`, true);
+    } finally {
+      findChannelButton.disabled = false;
+    }
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { videos } = parseVideoList(listInput.value);
+    if (videos.length === 0) {
+      showStatus('Paste at least one YouTube link or video id.', true);
+      return;
+    }
+
+    const combine = formatSelect.value === DOCUMENT_FORMAT ? 'download' : null;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'EXPORT_VIDEO_LIST',
+        videoUrls: videos.map(video => video.videoUrl),
+        format: combine ? null : formatSelect.value,
+        combine,
+        publishedRange: readPublishedRange()
+      });
+      if (!response?.started) {
+        showStatus(response?.error || 'The export did not start.', true);
+        return;
+      }
+    } catch (error) {
+      showStatus(`The export did not start: ${error.message}`, true);
+      return;
+    }
+
+    showProgressList(videos);
+    startButton.disabled = true;
+    showStatus(`Exporting ${videos.length} ${videos.length === 1 ? 'video' : 'videos'}…`);
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'VIDEO_LIST_PROGRESS') {
+      updateProgressItem(message);
+    } else if (message.type === 'VIDEO_LIST_DONE') {
+      startButton.disabled = false;
+      const skipped = message.skippedCount ? `, ${message.skippedCount} skipped` : '';
+      const summary = `${message.cancelled ? 'Cancelled' : 'Done'}: ${message.successCount} exported, ${message.failCount} failed${skipped}.`;
+      showStatus(message.error ? `${summary} ${message.error}` : summary, message.failCount > 0);
+    }
+  });
+
+  // Counts of usable, repeated, and unrecognised lines, with the problem lines listed
+  function updateSummary() {
+    const { videos, rejected, duplicates } = parseVideoList(listInput.value);
+    const parts = [`${videos.length} ${videos.length === 1 ? 'video' : 'videos'}`];
+    if (duplicates.length > 0) {
+      parts.push(`${duplicates.length} repeated`);
+    }
+    if (rejected.length > 0) {
+      parts.push(`${rejected.length} not recognised`);
+    }
+    summaryText.textContent = parts.join(', ');
+
+    problemList.replaceChildren(
+      ...rejected.map(({ line, text }) => createListItem(`Line ${line}: not a YouTube video link or id: ${text}`)),
+      ...duplicates.map(({ line, videoId }) => createListItem(`Line ${line}: ${videoId} is already in the list`))
+    );
+  }
+
+  function showProgressList(videos) {
+    progressItems = videos.map(video => {
+      const item = createListItem('');
+      item.dataset.videoUrl = video.videoUrl;
+      setItemStatus(item, 'waiting', video.videoUrl);
+      return item;
+    });
+    progressList.replaceChildren(...progressItems);
+  }
+
+  function updateProgressItem({ index, status, title, filename, error }) {
+    const item = progressItems[index];
+    if (!item) {
+      return;
+    }
+
+    const name = title || item.dataset.videoUrl;
+    const detail = error || filename;
+    setItemStatus(item, status, detail ? `${name} (${detail})` : name);
+  }
+
+  function setItemStatus(item, status, text) {
+    item.textContent = `${STATUS_LABELS[status] || status}: ${text}`;
+    item.classList.toggle('error', status === 'failed' || status === 'skipped');
+  }
+
+  // Date inputs give YYYY-MM-DD, or an empty string when unset
+  function readPublishedRange() {
+    return { after: publishedAfterInput.value, before: publishedBeforeInput.value };
+  }
+
+  function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  function createListItem(text) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }
+
+  function showStatus(message, isError = false) {
+    statusText.textContent = message;
+    statusText.classList.toggle('error', isError);
+  }
+
+  function showChannelStatus(message, isError = false) {
+    channelStatus.textContent = message;
+    channelStatus.classList.toggle('error', isError);
+  }
+})();
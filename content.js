@@ -15,121 +15,47 @@
   let cachedYouTubeConfig = null;
   let cachedInitialData = null;
 
-  // Network timeout configuration
-  const NETWORK_TIMEOUT_MS = 30000; // 30 seconds
-  
-  // Rate limiting to prevent YouTube blocking
-  class RateLimiter {
-    constructor(maxRequests = 10, windowMs = 1000) {
-      this.maxRequests = maxRequests;
-      this.windowMs = windowMs;
-      this.queue = [];
-      this.processing = false;
-      this.requestTimes = [];
-    }
-    
-    async execute(fn, priority = 'normal') {
-      return new Promise((resolve, reject) => {
-        // Prevent memory exhaustion with simple queue bound
-        if (this.queue.length > 100) {
-          reject(new Error('Rate limiter queue full - too many concurrent requests'));
-          return;
-        }
-        
-        const request = { fn, resolve, reject, priority, timestamp: Date.now() };
-        
-        // Add to queue based on priority
-        if (priority === 'high') {
-          this.queue.unshift(request);
-        } else {
-          this.queue.push(request);
-        }
-        
-        this.process();
-      });
-    }
-    
-    async process() {
-      if (this.processing || this.queue.length === 0) return;
-      this.processing = true;
-      
-      // Remove old request times outside window
-      const now = Date.now();
-      this.requestTimes = this.requestTimes.filter(time => now - time < this.windowMs);
-      
-      // Check if we can make a request
-      if (this.requestTimes.length >= this.maxRequests) {
-        // Wait until window allows
-        const oldestRequest = this.requestTimes[0];
-        const waitTime = this.windowMs - (now - oldestRequest);
-        
-        // Add random jitter (0-500ms) to prevent thundering herd
-        const jitter = Math.random() * 500;
-        setTimeout(() => {
-          this.processing = false;
-          this.process();
-        }, waitTime + jitter);
-        return;
-      }
-      
-      // Execute next request
-      const request = this.queue.shift();
-      this.requestTimes.push(now);
-      
-      // Persist state
-      
-      try {
-        const result = await request.fn();
-        request.resolve(result);
-      } catch (error) {
-        // Check for rate limit error
-        if (error.status === 429 || error.message?.includes('Too Many Requests')) {
-          // Exponential backoff
-          const backoffMs = Math.min(60000, this.windowMs * Math.pow(2, this.requestTimes.length));
-          console.warn(`Rate limited, backing off for ${backoffMs}ms`);
-          
-          // Put request back in queue
-          this.queue.unshift(request);
-          
-          setTimeout(() => {
-            this.processing = false;
-            this.process();
-          }, backoffMs);
-          return;
-        }
-        request.reject(error);
-      }
-      
-      // Continue processing
-      setTimeout(() => {
-        this.processing = false;
-        this.process();
-      }, 100); // Small delay between requests
-    }
-    
-    clear() {
-      this.queue = [];
-      this.requestTimes = [];
-      this.processing = false;
-    }
-  }
-  
+  const { loadSettings } = window.YouTubeTranscriptSettings;
+  const {
+    ExtensionError,
+    OUTPUT_FORMATS,
+    RateLimiter,
+    buildCaptionTrackUrl,
+    buildExportData,
+    buildExportResult,
+    buildTrackPolicy,
+    createSegment,
+    extractJsonBlock,
+    findTranslationLanguage,
+    getCaptionTracks,
+    getTrackName,
+    isAutoGeneratedTrack,
+    normalizeVideoId,
+    parseCaptionResponse,
+    parseRowTimestamp,
+    parseVideoUrl,
+    readChapters,
+    readInnertubeConfig,
+    readVideoMetadata,
+    segmentsToText,
+    selectCaptionTrack,
+    tryParseJson
+  } = window.YouTubeTranscriptCore;
+
+  // Network timeout configuration, refreshed from settings on each extraction
+  let networkTimeoutMs = 30000; // 30 seconds
+
+  // download saves a file, clipboard copies, and collect returns a section
+  // for the combined document built by the service worker
+  const EXTRACTION_MODES = ['download', 'clipboard', 'collect'];
+
   // Global rate limiter instance
   const rateLimiter = new RateLimiter(10, 1000); // 10 requests per second
   
   // Rate limiter is session-based (no persistence needed)
   
-  // Custom error class
-  class ExtensionError extends Error {
-    constructor(message, code) {
-      super(message);
-      this.code = code;
-      this.name = 'ExtensionError';
-    }
-  }
-  
   // Helper function to create fetch with timeout and rate limiting
-  async function fetchWithTimeout(url, options = {}, timeoutMs = NETWORK_TIMEOUT_MS) {
+  async function fetchWithTimeout(url, options = {}, timeoutMs = networkTimeoutMs) {
     return rateLimiter.execute(async () => {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
@@ -185,7 +111,7 @@
   // Listen for extraction command - this stays active
   chrome.runtime.onMessage.addListener(handleContentMessage);
   
-  async function handleContentMessage(message, sender, sendResponse) {
+  function handleContentMessage(message, sender, sendResponse) {
     if (message.type === 'START_EXTRACTION') {
       // Check if extraction is already running
       if (extractionInProgress) {
@@ -197,20 +123,66 @@
             message: 'Extraction already in progress'
           }
         });
-        return;
+        return false;
       }
-      const mode = message.mode || 'markdown';
-      await performExtraction(mode);
+      const mode = EXTRACTION_MODES.includes(message.mode) ? message.mode : 'download';
+      void performExtraction(mode, {
+        format: message.format,
+        translationLanguage: message.translationLanguage || null,
+        playlist: message.playlist || null
+      });
+      return false;
+    }
+
+    if (message.type === 'GET_VIDEO_DETAILS') {
+      getVideoDetails().then(sendResponse, error => {
+        sendResponse({ error: error.message });
+      });
+      // Keep the channel open for the async response
+      return true;
     }
+
+    return false;
   }
   
-  async function performExtraction(mode) {
+  // Details used to preview filenames on the options page, without fetching captions
+  async function getVideoDetails() {
+    if (!extractionInProgress) {
+      cachedPlayerResponse = null;
+      cachedInitialData = null;
+    }
+
+    const videoId = extractVideoId();
+    if (!videoId) {
+      throw new ExtensionError('No video found on this page', 'NO_VIDEO');
+    }
+
+    const settings = await loadSettings();
+    const metadata = await extractMetadata(videoId);
+
+    let language = null;
+    try {
+      language = (await chooseCaptionTrack(buildTrackPolicy(settings.trackPolicy)))?.languageCode || null;
+    } catch (error) {
+      console.debug('No caption track for filename preview:', error.message);
+    }
+
+    return {
+      videoId,
+      title: metadata.title,
+      channelName: metadata.channelName,
+      publishDateIso: metadata.publishDateIso,
+      language
+    };
+  }
+  
+  async function performExtraction(mode, options = {}) {
     extractionInProgress = true;
     cachedPlayerResponse = null;
     cachedYouTubeConfig = null;
     cachedInitialData = null;
 
-    const extractionMode = mode === 'clipboard' ? 'clipboard' : 'markdown';
+    const extractionMode = EXTRACTION_MODES.includes(mode) ? mode : 'download';
 
     announceToScreenReader('Starting transcript extraction', 'polite');
 
@@ -219,6 +191,13 @@
     }
 
     try {
+      const settings = await loadSettings();
+      rateLimiter.configure(settings.rateLimit.maxRequests, settings.rateLimit.windowMs);
+      networkTimeoutMs = settings.timeouts.networkMs;
+
+      const requestedFormat = options.format || settings.outputFormat;
+      const format = OUTPUT_FORMATS[requestedFormat] ? requestedFormat : 'markdown';
+
       const videoId = extractVideoId();
       if (!videoId) {
         throw new ExtensionError('No video found on this page', 'NO_VIDEO');
@@ -227,38 +206,45 @@
       announceToScreenReader('Video found, extracting transcript', 'polite');
 
       const metadata = await extractMetadata(videoId);
+      const chapters = await extractChapters(metadata.description);
 
-      const transcript = await extractTranscript(videoId);
-      if (!transcript) {
-        throw new ExtensionError('No transcript available for this video', 'NO_TRANSCRIPT');
-      }
-
-      const output = formatOutput({
-        ...metadata,
-        transcript,
-        videoId
-      });
+      const trackPolicy = buildTrackPolicy(settings.trackPolicy);
+      const transcript = options.translationLanguage
+        ? await extractTranslatedTranscript(videoId, options.translationLanguage, trackPolicy)
+        : await extractTranscript(videoId, trackPolicy);
+      const exportData = buildExportData({ videoId, metadata, chapters, transcript, settings, playlist: options.playlist });
 
-      let result;
+      let result = buildExportResult(extractionMode, format, exportData, settings);
       if (extractionMode === 'clipboard') {
-        result = await copyToClipboard(output);
-      } else {
-        result = await downloadAsMarkdown(output, metadata.title || 'transcript');
+        result = await copyToClipboard(result.text);
       }
 
       if (!result.success) {
         throw new ExtensionError(result.error || 'Output failed', 'OUTPUT_FAILED');
       }
 
-      const successMessage = extractionMode === 'clipboard'
-        ? 'Transcript copied to clipboard'
-        : 'Transcript downloaded as Markdown';
+      const transcriptLabel = options.translationLanguage ? 'Translated transcript' : 'Transcript';
+      const successMessages = {
+        clipboard: `${transcriptLabel} copied to clipboard`,
+        collect: `${transcriptLabel} added to the combined document`,
+        download: `${transcriptLabel} ready, downloading as ${OUTPUT_FORMATS[format].label}`
+      };
+      const successMessage = successMessages[extractionMode];
       announceToScreenReader(successMessage, 'assertive');
 
-      const successData = { mode: extractionMode, videoId };
+      const successData = { mode: extractionMode, format, videoId, title: metadata.title, publishDateIso: metadata.publishDateIso, extractionMethod: exportData.source || null };
       if (result.filename) {
         successData.filename = result.filename;
       }
+      // The service worker keeps the full data in the transcript library
+      successData.exportData = exportData;
+      // The service worker saves the file and reports the real download outcome
+      if (result.file) {
+        successData.file = result.file;
+      }
+      if (result.section) {
+        successData.section = result.section;
+      }
 
       chrome.runtime.sendMessage({
         type: 'EXTRACTION_SUCCESS',
@@ -294,30 +280,9 @@
   }
   
   function extractVideoId(url) {
-    if (!url) {
-      url = window.location.href;
-    }
-
-    try {
-      const parsedUrl = new URL(url, window.location.origin);
-      const hostname = parsedUrl.hostname.replace(/^www\./, '');
-      const pathParts = parsedUrl.pathname.split('/').filter(Boolean);
-
-      if (hostname === 'youtu.be') {
-        return normalizeVideoId(pathParts[0]);
-      }
-
-      if (hostname === 'youtube.com' || hostname === 'm.youtube.com') {
-        if (parsedUrl.pathname === '/watch') {
-          return normalizeVideoId(parsedUrl.searchParams.get('v'));
-        }
-
-        if (pathParts[0] === 'shorts' || pathParts[0] === 'embed') {
-          return normalizeVideoId(pathParts[1]);
-        }
-      }
-    } catch (error) {
-      console.warn('Failed to parse video URL:', error);
+    const videoId = parseVideoUrl(url || window.location.href);
+    if (videoId) {
+      return videoId;
     }
     
     // Fallback: Try to get from page's player data
@@ -334,107 +299,84 @@
     return null;
   }
 
-  function normalizeVideoId(value) {
-    if (typeof value !== 'string') {
-      return null;
-    }
-
-    const trimmed = value.trim();
-    return /^[A-Za-z0-9_-]{11}$/.test(trimmed) ? trimmed : null;
-  }
-
   function isYouTubeShorts() {
     return window.location.pathname.startsWith('/shorts/');
   }
   
   async function extractMetadata(videoId) {
-    const metadata = {
-      title: null,
-      channelName: null,
-      publishDate: null,
-      description: null,
-      channelUrl: null
-    };
-    
+    let metadata = readVideoMetadata(null);
+
     try {
-      const playerResponse = await getPlayerResponse();
-      
-      // Required: title
-      metadata.title = playerResponse?.videoDetails?.title;
-      if (!metadata.title) {
-        // Try alternative sources with Shorts support
-        // Different selectors for Shorts vs regular videos
-        if (isYouTubeShorts()) {
-          metadata.title = document.querySelector('h2.ytd-reel-video-title-view-model yt-formatted-string')?.textContent?.trim() ||
-                          document.querySelector('.ytd-reel-player-header-renderer h2')?.textContent?.trim();
-        } else {
-          metadata.title = document.querySelector('h1.ytd-watch-metadata yt-formatted-string')?.textContent?.trim() ||
-                          document.querySelector('h1.ytd-video-primary-info-renderer')?.textContent?.trim();
-        }
-      }
-      
-      if (!metadata.title) {
-        throw new ExtensionError('Video title not found', 'NO_TITLE');
-      }
-      
-      // Optional: channel name
-      metadata.channelName = playerResponse?.videoDetails?.author ||
-                            playerResponse?.microformat?.playerMicroformatRenderer?.ownerChannelName ||
-                            document.querySelector('#channel-name yt-formatted-string')?.textContent?.trim() ||
-                            document.querySelector('.ytd-reel-player-header-renderer .ytd-channel-name')?.textContent?.trim();
-      
-      // Optional: publish date
-      const publishDate = playerResponse?.videoDetails?.publishDate ||
-                         playerResponse?.microformat?.playerMicroformatRenderer?.publishDate ||
-                         playerResponse?.microformat?.playerMicroformatRenderer?.uploadDate;
-
-      if (publishDate) {
-        const formatted = formatPublishDate(publishDate);
-        if (formatted) {
-          metadata.publishDate = formatted;
-        }
-      }
-      
-      // Optional: description
-      const desc = playerResponse?.videoDetails?.shortDescription;
-      if (desc && desc.trim()) {
-        metadata.description = desc.trim();
-      }
-      
-      // Optional: channel URL
-      const channelId = playerResponse?.videoDetails?.channelId ||
-                       playerResponse?.microformat?.playerMicroformatRenderer?.externalChannelId;
-      if (channelId) {
-        metadata.channelUrl = `https://www.youtube.com/channel/${channelId}`;
-      }
-      
+      metadata = readVideoMetadata(await getPlayerResponse());
     } catch (error) {
-      // Re-throw if title extraction failed (required)
-      if (error.code === 'NO_TITLE') {
-        throw error;
-      }
-      // Otherwise continue with partial metadata
+      // Continue with partial metadata
       console.warn('Metadata extraction partially failed:', error);
     }
-    
+
+    // Required: title
+    if (!metadata.title) {
+      // Try alternative sources with Shorts support
+      // Different selectors for Shorts vs regular videos
+      if (isYouTubeShorts()) {
+        metadata.title = document.querySelector('h2.ytd-reel-video-title-view-model yt-formatted-string')?.textContent?.trim() ||
+                        document.querySelector('.ytd-reel-player-header-renderer h2')?.textContent?.trim();
+      } else {
+        metadata.title = document.querySelector('h1.ytd-watch-metadata yt-formatted-string')?.textContent?.trim() ||
+                        document.querySelector('h1.ytd-video-primary-info-renderer')?.textContent?.trim();
+      }
+    }
+
+    if (!metadata.title) {
+      throw new ExtensionError('Video title not found', 'NO_TITLE');
+    }
+
+    // Optional: channel name
+    if (!metadata.channelName) {
+      metadata.channelName = document.querySelector('#channel-name yt-formatted-string')?.textContent?.trim() ||
+                            document.querySelector('.ytd-reel-player-header-renderer .ytd-channel-name')?.textContent?.trim() ||
+                            null;
+    }
+
     return metadata;
   }
+
   
-  async function extractTranscript(videoId) {
+  // Chapter markers can be in either page object; readChapters falls back to the description
+  async function extractChapters(description) {
+    const pageData = [];
+    for (const loadPageData of [getInitialData, getPlayerResponse]) {
+      try {
+        pageData.push(await loadPageData());
+      } catch (error) {
+        console.debug('Chapter lookup in page data failed:', error.message);
+      }
+    }
+
+    return readChapters(pageData, description);
+  }
+
+  async function extractTranscript(videoId, trackPolicy) {
+    const captionTrack = await chooseCaptionTrack(trackPolicy);
+
     const methods = [
       extractFromCaptionTracks,
       extractFromInnertube,
-      extractFromTimedText,
-      extractFromDOM
+      extractFromTimedText
     ];
+
+    // The visible transcript cannot confirm its language, so only use it
+    // when the policy accepts any track
+    if (trackPolicy.fallback !== 'none' || !captionTrack) {
+      methods.push(extractFromDOM);
+    }
     
     for (const method of methods) {
       try {
-        const result = await method(videoId);
+        const result = await method(videoId, captionTrack);
         
-        if (result && result.transcript) {
+        if (result && result.segments?.length > 0) {
           console.debug(`Transcript extracted using ${method.name}`);
-          return result.transcript;
+          return result;
         }
       } catch (error) {
         // Only log if it's not a common expected error
@@ -450,59 +392,75 @@
     return null;
   }
   
-  async function extractFromCaptionTracks(videoId) {
+  async function chooseCaptionTrack(trackPolicy) {
+    const tracks = getCaptionTracks(await getPlayerResponse());
+    if (tracks.length === 0) {
+      return null;
+    }
+
+    const track = selectCaptionTrack(tracks, trackPolicy);
+    if (!track) {
+      throw new ExtensionError('No captions in the preferred languages', 'NO_MATCHING_TRACK');
+    }
+
+    return track;
+  }
+
+  // Only the caption track URL accepts a translation language (tlang),
+  // so translated exports skip the other extraction methods
+  async function extractTranslatedTranscript(videoId, translationLanguage, trackPolicy) {
+    const playerResponse = await getPlayerResponse();
+    const translatableTracks = getCaptionTracks(playerResponse).filter(track => track.isTranslatable);
+
+    const sourceTrack = selectCaptionTrack(translatableTracks, { ...trackPolicy, fallback: 'any' });
+    if (!sourceTrack) {
+      throw new ExtensionError('No translatable captions for this video', 'NO_TRANSLATION');
+    }
+
+    const targetLanguage = findTranslationLanguage(
+      playerResponse?.captions?.playerCaptionsTracklistRenderer?.translationLanguages,
+      translationLanguage
+    );
+    if (!targetLanguage) {
+      throw new ExtensionError(`YouTube cannot translate these captions to ${translationLanguage}`, 'NO_TRANSLATION');
+    }
+
+    const result = await extractFromCaptionTracks(videoId, sourceTrack, targetLanguage);
+    return {
+      ...result,
+      translatedFrom: sourceTrack.languageCode
+    };
+  }
+
+  async function extractFromCaptionTracks(videoId, track, translationLanguage = null) {
     try {
-      // Get player response from page
-      const playerResponse = await getPlayerResponse();
-      
-      if (!playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks) {
+      if (!track) {
         throw new Error('No caption tracks found');
       }
       
-      const tracks = playerResponse.captions.playerCaptionsTracklistRenderer.captionTracks;
-      
-      // Pick the first available track
-      const track = tracks[0];
-      if (!track?.baseUrl) {
+      if (!track.baseUrl) {
         throw new Error('No valid caption track URL');
       }
       
-      // Construct JSON3 format URL
-      const url = new URL(track.baseUrl);
-      if (!url.searchParams.has('fmt')) {
-        url.searchParams.set('fmt', 'json3');
-      }
-      
       // Fetch caption data
-      const response = await fetchWithTimeout(url.toString(), {
+      const response = await fetchWithTimeout(buildCaptionTrackUrl(track, translationLanguage), {
         credentials: 'include',
         headers: {
           'Accept': 'application/json'
         }
-      }, NETWORK_TIMEOUT_MS);
+      }, networkTimeoutMs);
       
       if (!response.ok) {
         throw new Error(`Caption fetch failed: ${response.status}`);
       }
       
-      const rawText = await response.text();
-      if (!rawText.trim()) {
-        throw new Error('Caption response was empty');
-      }
-
-      let data;
-      try {
-        data = JSON.parse(rawText);
-      } catch (error) {
-        throw new Error('Caption response was not valid JSON');
-      }
-      
-      // Extract and flatten transcript text
-      const transcript = extractTextFromJson3(data);
+      // Extract timed transcript segments
+      const segments = parseCaptionResponse(await response.text());
       
       return {
-        transcript,
-        language: track.languageCode,
+        segments,
+        language: translationLanguage || track.languageCode,
+        isAutoGenerated: isAutoGeneratedTrack(track),
         source: 'captionTracks'
       };
     } catch (error) {
@@ -514,36 +472,7 @@
     }
   }
   
-  function extractTextFromJson3(data) {
-    if (!data?.events || !Array.isArray(data.events)) {
-      throw new Error('Invalid JSON3 caption data');
-    }
-    
-    const lines = [];
-    
-    for (const event of data.events) {
-      if (!event.segs || !Array.isArray(event.segs)) {
-        continue;
-      }
-      
-      const lineText = event.segs
-        .map(seg => seg.utf8 || '')
-        .join('')
-        .trim();
-      
-      if (lineText) {
-        lines.push(lineText.replace(/\s+/g, ' ').trim());
-      }
-    }
-    
-    if (lines.length === 0) {
-      throw new Error('Transcript data empty');
-    }
-
-    return lines.join('\n').trim();
-  }
-  
-  async function extractFromInnertube(videoId) {
+  async function extractFromInnertube(videoId, captionTrack) {
     try {
       // Get API key and context from page
       const config = await getYouTubeConfig();
@@ -575,37 +504,30 @@
         throw new Error('No transcript params found');
       }
       
-      // Build request
-      const requestBody = {
-        context: config.context,
-        params: transcriptParams
-      };
-      
-      // Make API request
-      const response = await fetchWithTimeout(
-        `https://www.youtube.com/youtubei/v1/get_transcript?key=${config.apiKey}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(requestBody),
-          credentials: 'include'
-        },
-        NETWORK_TIMEOUT_MS
-      );
-      
-      if (!response.ok) {
-        throw new Error(`Innertube request failed: ${response.status}`);
+      let data = await requestInnertubeTranscript(config, transcriptParams);
+
+      if (captionTrack) {
+        // The transcript panel starts on YouTube's default language, so switch
+        // to the chosen track through the panel's language menu when needed
+        const languageOptions = findTranscriptLanguageOptions(data);
+        const wantedOption = languageOptions.find(option => option.title === getTrackName(captionTrack));
+
+        if (languageOptions.length > 0 && !wantedOption) {
+          throw new Error('Chosen caption track is not offered by the transcript panel');
+        }
+
+        if (wantedOption && !wantedOption.selected && wantedOption.params) {
+          data = await requestInnertubeTranscript(config, wantedOption.params);
+        }
       }
       
-      const data = await response.json();
-      
       // Extract transcript segments
-      const transcript = extractTextFromInnertube(data);
+      const segments = extractSegmentsFromInnertube(data);
       
       return {
-        transcript,
+        segments,
+        language: captionTrack?.languageCode || null,
+        isAutoGenerated: captionTrack ? isAutoGeneratedTrack(captionTrack) : null,
         source: 'innertube'
       };
     } catch (error) {
@@ -618,6 +540,56 @@
     }
   }
 
+  async function requestInnertubeTranscript(config, params) {
+    const requestBody = {
+      context: config.context,
+      params
+    };
+
+    const response = await fetchWithTimeout(
+      `https://www.youtube.com/youtubei/v1/get_transcript?key=${config.apiKey}`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        credentials: 'include'
+      },
+      networkTimeoutMs
+    );
+
+    if (!response.ok) {
+      throw new Error(`Innertube request failed: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  function findTranscriptLanguageOptions(source) {
+    if (!source || typeof source !== 'object') {
+      return [];
+    }
+
+    const items = source.transcriptFooterRenderer?.languageMenu?.sortFilterSubMenuRenderer?.subMenuItems;
+    if (Array.isArray(items)) {
+      return items.map(item => ({
+        title: item?.title || '',
+        selected: Boolean(item?.selected),
+        params: item?.continuation?.reloadContinuationData?.continuation || null
+      }));
+    }
+
+    for (const value of Object.values(source)) {
+      const nestedOptions = findTranscriptLanguageOptions(value);
+      if (nestedOptions.length > 0) {
+        return nestedOptions;
+      }
+    }
+
+    return [];
+  }
+
   function findTranscriptParams(source) {
     if (!source || typeof source !== 'object') {
       return null;
@@ -640,21 +612,24 @@
     return null;
   }
 
-  function extractTextFromInnertube(data) {
-    const lines = collectTranscriptLines(data)
-      .map(text => text ? text.replace(/\s+/g, ' ').trim() : '')
-      .filter(text => text.length > 0);
+  function extractSegmentsFromInnertube(data) {
+    const segments = collectTranscriptSegments(data)
+      .filter(segment => segment.text.length > 0);
 
-    if (lines.length === 0) {
+    if (segments.length === 0) {
       throw new Error('No text extracted from Innertube segments');
     }
     
-    return lines.join('\n').trim();
+    return segments;
   }
 
-  function collectTranscriptLines(source, lines = []) {
+  function extractTextFromInnertube(data) {
+    return segmentsToText(extractSegmentsFromInnertube(data));
+  }
+
+  function collectTranscriptSegments(source, segments = []) {
     if (!source || typeof source !== 'object') {
-      return lines;
+      return segments;
     }
 
     const segmentRenderer = source.transcriptSegmentRenderer ||
@@ -662,31 +637,42 @@
 
     const runs = segmentRenderer?.snippet?.runs;
     if (Array.isArray(runs)) {
-      lines.push(runs.map(run => run?.text || '').join(''));
+      const startMs = segmentRenderer.startMs ?? null;
+      const durationMs = startMs !== null && segmentRenderer.endMs !== undefined
+        ? Number(segmentRenderer.endMs) - Number(startMs)
+        : null;
+      segments.push(createSegment(startMs, durationMs, runs.map(run => run?.text || '').join('')));
     }
 
     for (const value of Object.values(source)) {
-      collectTranscriptLines(value, lines);
+      collectTranscriptSegments(value, segments);
     }
 
-    return lines;
+    return segments;
   }
   
-  async function extractFromTimedText(videoId) {
+  async function extractFromTimedText(videoId, captionTrack) {
     try {
-      // Try to get language from page or use default
-      const lang = document.documentElement.lang?.split('-')[0] || 'en';
+      // Use the chosen track, else try the page language or use default
+      const lang = captionTrack?.languageCode || document.documentElement.lang?.split('-')[0] || 'en';
+      const isAutoGenerated = captionTrack ? isAutoGeneratedTrack(captionTrack) : null;
+      const kindParam = isAutoGenerated ? '&kind=asr' : '';
       
-      const url = `https://www.youtube.com/api/timedtext?lang=${lang}&v=${videoId}`;
+      const url = `https://www.youtube.com/api/timedtext?lang=${encodeURIComponent(lang)}${kindParam}&v=${videoId}`;
       
       const response = await fetchWithTimeout(url, {
         credentials: 'include'
-      }, NETWORK_TIMEOUT_MS);
+      }, networkTimeoutMs);
       
       if (!response.ok) {
+        if (captionTrack) {
+          // Without a language the API picks its own track, which may not be the chosen one
+          throw new Error(`TimedText fetch failed: ${response.status}`);
+        }
+
         // Try without language parameter
         const urlNoLang = `https://www.youtube.com/api/timedtext?v=${videoId}`;
-        const response2 = await fetchWithTimeout(urlNoLang, { credentials: 'include' }, NETWORK_TIMEOUT_MS);
+        const response2 = await fetchWithTimeout(urlNoLang, { credentials: 'include' }, networkTimeoutMs);
         
         if (!response2.ok) {
           throw new Error(`TimedText fetch failed: ${response2.status}`);
@@ -697,8 +683,8 @@
           throw new Error('No captions in TimedText response');
         }
         
-        const transcript = extractTextFromXML(xmlText);
-        return { transcript, language: 'unknown', source: 'timedtext' };
+        const segments = extractSegmentsFromXML(xmlText);
+        return { segments, language: 'unknown', isAutoGenerated: null, source: 'timedtext' };
       }
       
       const xmlText = await response.text();
@@ -707,11 +693,12 @@
         throw new Error('No captions in TimedText response');
       }
       
-      const transcript = extractTextFromXML(xmlText);
+      const segments = extractSegmentsFromXML(xmlText);
       
       return {
-        transcript,
+        segments,
         language: lang,
+        isAutoGenerated,
         source: 'timedtext'
       };
     } catch (error) {
@@ -723,7 +710,7 @@
     }
   }
   
-  function extractTextFromXML(xmlText) {
+  function extractSegmentsFromXML(xmlText) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(xmlText, 'text/xml');
     
@@ -732,23 +719,31 @@
       throw new Error('No text nodes in XML');
     }
     
-    const lines = Array.from(textNodes)
-      .map(node => node.textContent ? node.textContent.replace(/\s+/g, ' ').trim() : '')
-      .filter(text => text.length > 0);
+    // timedtext gives start and dur in seconds
+    return Array.from(textNodes)
+      .map(node => createSegment(
+        secondsToMs(node.getAttribute('start')),
+        secondsToMs(node.getAttribute('dur')),
+        node.textContent || ''
+      ))
+      .filter(segment => segment.text.length > 0);
+  }
 
-    return lines.join('\n').trim();
+  function secondsToMs(value) {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
   }
   
   async function extractFromDOM(videoId) {
     try {
       let transcriptPanel = document.querySelector('ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-transcript"]');
       let panelOpened = false;
-      const visibleTranscriptLines = extractTranscriptFromVisibleText(document.body?.innerText || '');
+      const visibleTranscriptSegments = extractSegmentsFromVisibleText(document.body?.innerText || '');
 
-      if (!transcriptPanel && visibleTranscriptLines.length > 0) {
+      if (!transcriptPanel && visibleTranscriptSegments.length > 0) {
         return {
-          transcript: visibleTranscriptLines.join('\n').trim(),
-          source: 'visibleText'
+          segments: visibleTranscriptSegments,
+          source: 'dom'
         };
       }
 
@@ -776,11 +771,11 @@
         'yt-formatted-string.ytd-transcript-segment-renderer'
       ].join(', '));
 
-      const lines = segmentNodes.length > 0
-        ? extractTextFromDomSegments(Array.from(segmentNodes).map(segment => segment.textContent || ''))
-        : extractTranscriptFromVisibleText(document.body?.innerText || '');
+      const segments = segmentNodes.length > 0
+        ? extractSegmentsFromDomRows(Array.from(segmentNodes).map(segment => segment.textContent || ''))
+        : extractSegmentsFromVisibleText(document.body?.innerText || '');
 
-      if (lines.length === 0) {
+      if (segments.length === 0) {
         throw new Error('No text extracted from DOM segments');
       }
 
@@ -792,7 +787,7 @@
       }
 
       return {
-        transcript: lines.join('\n').trim(),
+        segments,
         source: 'dom'
       };
     } catch (error) {
@@ -801,13 +796,21 @@
     }
   }
 
-  function extractTextFromDomSegments(segmentTexts) {
+  function extractSegmentsFromDomRows(segmentTexts) {
     return segmentTexts
-      .map(cleanTranscriptLine)
-      .filter(text => text.length > 0);
+      .map(text => createSegment(parseRowTimestamp(text), null, cleanTranscriptLine(text)))
+      .filter(segment => segment.text.length > 0);
+  }
+
+  function extractTextFromDomSegments(segmentTexts) {
+    return extractSegmentsFromDomRows(segmentTexts).map(segment => segment.text);
   }
 
   function extractTranscriptFromVisibleText(text) {
+    return extractSegmentsFromVisibleText(text).map(segment => segment.text);
+  }
+
+  function extractSegmentsFromVisibleText(text) {
     if (typeof text !== 'string' || !text.includes('Transcript')) {
       return [];
     }
@@ -825,19 +828,20 @@
       return [];
     }
 
-    const transcriptLines = [];
+    const transcriptSegments = [];
     for (const line of lines.slice(transcriptStart + 1)) {
       if (/^(All|Related|For you|Recently uploaded|From .+)$/i.test(line)) {
         break;
       }
 
       const cleaned = cleanTranscriptLine(line);
+      // Chapter headings in the panel are not speech; chapter sections come from page data
       if (cleaned && !/^search transcript$/i.test(cleaned) && !/^chapter \d+:/i.test(cleaned)) {
-        transcriptLines.push(cleaned);
+        transcriptSegments.push(createSegment(parseRowTimestamp(line), null, cleaned));
       }
     }
 
-    return transcriptLines;
+    return transcriptSegments;
   }
 
   function cleanTranscriptLine(text) {
@@ -924,73 +928,6 @@
     }));
   }
 
-  function extractJsonBlock(source, marker) {
-    if (!source || !marker) {
-      return null;
-    }
-
-    const markerIndex = source.indexOf(marker);
-    if (markerIndex === -1) {
-      return null;
-    }
-
-    const startIndex = source.indexOf('{', markerIndex);
-    if (startIndex === -1) {
-      return null;
-    }
-
-    let depth = 0;
-    let inString = false;
-    let escaped = false;
-
-    for (let i = startIndex; i < source.length; i++) {
-      const char = source[i];
-
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escaped = inString;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (inString) {
-        continue;
-      }
-
-      if (char === '{') {
-        depth++;
-      } else if (char === '}') {
-        depth--;
-        if (depth === 0) {
-          return source.slice(startIndex, i + 1);
-        }
-      }
-    }
-
-    return null;
-  }
-
-  function tryParseJson(text) {
-    if (typeof text !== 'string' || !text) {
-      return null;
-    }
-
-    try {
-      return JSON.parse(text);
-    } catch (error) {
-      console.warn('Failed to parse JSON block:', error);
-      return null;
-    }
-  }
-  
   async function getPlayerResponse() {
     if (cachedPlayerResponse) {
       return cachedPlayerResponse;
@@ -1074,131 +1011,17 @@
     const scripts = document.querySelectorAll('script');
 
     for (const script of scripts) {
-      const text = script.textContent;
-      if (!text || !text.includes('INNERTUBE_API_KEY')) {
-        continue;
-      }
-
-      const apiKeyMatch = text.match(/"INNERTUBE_API_KEY"\s*:\s*"([^"\\]+)"/);
-      if (!apiKeyMatch) {
-        continue;
+      const config = readInnertubeConfig(script.textContent);
+      if (config) {
+        cachedYouTubeConfig = config;
+        return cachedYouTubeConfig;
       }
-
-      const contextJson = extractJsonBlock(text, '"INNERTUBE_CONTEXT"');
-      const context = tryParseJson(contextJson);
-      if (!context) {
-        continue;
-      }
-
-      const versionMatch = text.match(/"INNERTUBE_CLIENT_VERSION"\s*:\s*"([^"\\]+)"/);
-
-      cachedYouTubeConfig = {
-        apiKey: apiKeyMatch[1],
-        context,
-        clientVersion: versionMatch ? versionMatch[1] : null
-      };
-
-      return cachedYouTubeConfig;
     }
 
     console.warn('No YouTube config found in script tags');
     return null;
   }
     
-  function formatPublishDate(dateString) {
-    if (!dateString) return null;
-    
-    try {
-      let date = null;
-      
-      // Handle various date formats that YouTube might provide
-      if (typeof dateString === 'string') {
-        dateString = dateString.trim();
-      }
-      
-      // Try different parsing strategies
-      if (dateString.includes('-') || dateString.includes('/')) {
-        // ISO format (2024-01-15), US format (01/15/2024), etc.
-        date = new Date(dateString);
-      } else if (/^\d+$/.test(dateString)) {
-        // Pure numeric timestamp
-        const timestamp = parseInt(dateString);
-        
-        // Handle both seconds and milliseconds timestamps
-        if (timestamp > 1e12) {
-          // Milliseconds timestamp (13+ digits)
-          date = new Date(timestamp);
-        } else if (timestamp > 1e9) {
-          // Seconds timestamp (10+ digits)
-          date = new Date(timestamp * 1000);
-        }
-      } else {
-        // Try parsing as-is (handles many natural formats)
-        date = new Date(dateString);
-      }
-      
-      // Validate date is reasonable (not before 2005 when YouTube started, not in future)
-      if (!date || isNaN(date.getTime())) {
-        console.warn('Invalid date format:', dateString);
-        return null;
-      }
-      
-      const now = new Date();
-      const youtubeStart = new Date('2005-01-01');
-      
-      if (date < youtubeStart || date > now) {
-        console.warn('Date out of reasonable range:', dateString, '→', date.toISOString());
-        return null;
-      }
-      
-      // Format as readable date (e.g., "January 15, 2024")
-      return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-    } catch (error) {
-      console.warn('Failed to format publish date:', dateString, error);
-      return null;
-    }
-  }
-  
-  function formatOutput(data) {
-    const lines = [];
-    
-    // Required: title
-    lines.push(data.title);
-    
-    // Optional metadata (skip if null)
-    if (data.channelName) {
-      lines.push(data.channelName);
-    }
-    
-    if (data.publishDate) {
-      lines.push(data.publishDate);
-    }
-    
-    if (data.description) {
-      lines.push(data.description);
-    }
-    
-    // Always include video URL
-    lines.push(`https://www.youtube.com/watch?v=${data.videoId}`);
-    
-    // Optional channel URL
-    if (data.channelUrl) {
-      lines.push(data.channelUrl);
-    }
-    
-    // Empty line before transcript
-    lines.push('');
-    
-    // Required: transcript
-    lines.push(data.transcript);
-    
-    return lines.join('\n');
-  }
-  
   
   async function copyToClipboard(text) {
     // Prefer async clipboard API when available
@@ -1246,52 +1069,4 @@
     }
   }
   
-  function downloadAsMarkdown(text, title) {
-    // Create human-readable timestamp for filename
-    const now = new Date();
-    const timestamp = now.toISOString().slice(0, 19).replace(/[T:]/g, '-');
-    const filename = `YouTube-${sanitizeFilename(title)}-${timestamp}.md`;
-    const blob = new Blob([text], { type: 'text/markdown;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-    
-    // Cleanup
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
-    
-    return { success: true, filename };
-  }
-  
-  function sanitizeFilename(filename) {
-    if (!filename || typeof filename !== 'string') {
-      return 'youtube-transcript';
-    }
-    
-    return filename
-      // Remove HTML tags if any
-      .replace(/<[^>]*>/g, '')
-      // Replace forbidden characters with dash
-      .replace(/[<>:"/\\|?*\x00-\x1F]/g, '-')
-      // Handle Windows reserved names
-      .replace(/^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i, '$1_')
-      // Remove leading/trailing dots and spaces
-      .replace(/^[\s.]+|[\s.]+$/g, '')
-      // Collapse multiple dashes/spaces
-      .replace(/[-\s]+/g, '-')
-      // Limit length (leave room for extension)
-      .substring(0, 100)
-      // Remove trailing dash
-      .replace(/-+$/, '')
-      // Fallback if empty after sanitization
-      || 'youtube-transcript';
-  }
-  
 })();
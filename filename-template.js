@@ -0,0 +1,149 @@
+// Filename and folder templates for downloaded transcripts, shared by content.js and the options page.
+// A template is plain text with tokens like {title} or {published:YYYY-MM-DD}.
+(function(root) {
+  'use strict';
+
+  // content.js injects this file on every extraction, so only define it once per page
+  if (root.YouTubeTranscriptFilenames) {
+    return;
+  }
+
+  // Matches the name used before templates existed
+  const DEFAULT_FILENAME_TEMPLATE = 'YouTube-{title}-{exported}';
+
+  // Token values and whole names are cut to these lengths, leaving room for the extension
+  const TOKEN_MAX_LENGTH = 100;
+  const FILENAME_MAX_LENGTH = 150;
+
+  const FILENAME_TOKENS = [
+    { token: '{title}', description: 'Video title' },
+    { token: '{channel}', description: 'Channel name' },
+    { token: '{videoId}', description: 'YouTube video id' },
+    { token: '{published}', description: 'Publish date, like 2024-01-15' },
+    { token: '{exported}', description: 'Export time in UTC, like 2024-02-01-10-30-00' },
+    { token: '{lang}', description: 'Caption language code' },
+    { token: '{format}', description: 'Export format, like markdown or srt' }
+  ];
+
+  // Date tokens take an optional pattern after a colon, built from these parts
+  const DATE_PATTERN_PARTS = /YYYY|MM|DD|HH|mm|ss/g;
+  const DEFAULT_DATE_PATTERNS = {
+    published: 'YYYY-MM-DD',
+    exported: 'YYYY-MM-DD-HH-mm-ss'
+  };
+
+  const TEMPLATE_TOKEN = /\{(\w+)(?::([^{}]*))?\}/g;
+
+  // details: { title, channelName, videoId, publishDateIso, exportedAt, language, format }
+  // Returns the name without its extension. Unknown tokens stay as typed.
+  function renderFilenameTemplate(template, details) {
+    return sanitizeFilename(renderTokens(template || DEFAULT_FILENAME_TEMPLATE, details), FILENAME_MAX_LENGTH);
+  }
+
+  // Folder templates like "yt-transcripts/{channel}" give a path inside Downloads.
+  // Each folder name is cleaned like a filename; empty ones are dropped, so
+  // "{channel}" without a channel name just saves one level up.
+  function renderFolderTemplate(template, details) {
+    if (!template) {
+      return '';
+    }
+
+    return template
+      .split(/[\\/]+/)
+      .map(part => cleanFilenameText(renderTokens(part, details), TOKEN_MAX_LENGTH))
+      .filter(Boolean)
+      .join('/');
+  }
+
+  function renderTokens(template, details) {
+    const values = {
+      title: details.title || 'transcript',
+      channel: details.channelName,
+      videoid: details.videoId,
+      lang: details.language && details.language !== 'unknown' ? details.language : null,
+      format: details.format
+    };
+
+    return template.replace(TEMPLATE_TOKEN, (match, name, pattern) => {
+      const key = name.toLowerCase();
+
+      if (key === 'published' || key === 'exported') {
+        const date = key === 'published' ? details.publishDateIso : details.exportedAt;
+        return sanitizeTokenValue(formatTemplateDate(date, pattern || DEFAULT_DATE_PATTERNS[key]));
+      }
+
+      if (pattern === undefined && Object.prototype.hasOwnProperty.call(values, key)) {
+        return sanitizeTokenValue(values[key]);
+      }
+
+      return match;
+    });
+  }
+
+  // Dates are read and written in UTC so the name does not depend on the time zone
+  function formatTemplateDate(value, pattern) {
+    if (!value) {
+      return '';
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return '';
+    }
+
+    const parts = {
+      YYYY: String(date.getUTCFullYear()),
+      MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+      DD: String(date.getUTCDate()).padStart(2, '0'),
+      HH: String(date.getUTCHours()).padStart(2, '0'),
+      mm: String(date.getUTCMinutes()).padStart(2, '0'),
+      ss: String(date.getUTCSeconds()).padStart(2, '0')
+    };
+
+    return pattern.replace(DATE_PATTERN_PARTS, part => parts[part]);
+  }
+
+  // Missing values leave the token empty; the separators around it collapse later
+  function sanitizeTokenValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return cleanFilenameText(String(value), TOKEN_MAX_LENGTH);
+  }
+
+  function sanitizeFilename(filename, maxLength = TOKEN_MAX_LENGTH) {
+    return cleanFilenameText(filename, maxLength) || 'youtube-transcript';
+  }
+
+  // Returns an empty string when nothing usable is left
+  function cleanFilenameText(text, maxLength) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      // Remove HTML tags if any
+      .replace(/<[^>]*>/g, '')
+      // Replace forbidden characters with dash
+      .replace(/[<>:"/\\|?*\x00-\x1F]/g, '-')
+      // Handle Windows reserved names
+      .replace(/^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i, '$1_')
+      // Remove leading/trailing dots and spaces
+      .replace(/^[\s.]+|[\s.]+$/g, '')
+      // Collapse multiple dashes/spaces
+      .replace(/[-\s]+/g, '-')
+      // Limit length (leave room for extension)
+      .substring(0, maxLength)
+      // Remove leading and trailing dashes
+      .replace(/^-+|-+$/g, '');
+  }
+
+  root.YouTubeTranscriptFilenames = {
+    DEFAULT_FILENAME_TEMPLATE,
+    FILENAME_TOKENS,
+    formatTemplateDate,
+    renderFilenameTemplate,
+    renderFolderTemplate,
+    sanitizeFilename
+  };
+})(globalThis);
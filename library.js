@@ -0,0 +1,284 @@
+// Transcript library page: list the transcripts kept in IndexedDB, filter them
+// by channel and date, export them again in any format, and delete them.
+(function() {
+  'use strict';
+
+  const { EXPORT_FORMATS, loadSettings } = globalThis.YouTubeTranscriptSettings;
+  const {
+    clearLibrary,
+    deleteFromLibrary,
+    filterLibraryEntries,
+    listLibraryChannels,
+    listLibraryEntries
+  } = globalThis.YouTubeTranscriptLibrary;
+
+  const filtersForm = document.getElementById('library-filters');
+  const channelSelect = document.getElementById('channel-filter');
+  const dateFieldSelect = document.getElementById('date-field');
+  const dateAfterInput = document.getElementById('date-after');
+  const dateBeforeInput = document.getElementById('date-before');
+  const formatSelect = document.getElementById('export-format');
+  const exportSelectedButton = document.getElementById('export-selected');
+  const deleteSelectedButton = document.getElementById('delete-selected');
+  const deleteAllButton = document.getElementById('delete-all');
+  const selectAllCheckbox = document.getElementById('select-all');
+  const rowsBody = document.getElementById('library-rows');
+  const emptyText = document.getElementById('library-empty');
+  const usageText = document.getElementById('library-usage');
+  const statusText = document.getElementById('status');
+
+  let entries = [];
+  let shownEntries = [];
+  // Selected entries by entryKey
+  const selectedKeys = new Set();
+
+  for (const format of EXPORT_FORMATS) {
+    formatSelect.appendChild(createOption(format.id, format.title));
+  }
+
+  loadSettings().then(settings => {
+    formatSelect.value = settings.outputFormat;
+  }, error => {
+    console.warn('Failed to load settings:', error);
+  });
+
+  // The format choice is for exporting, not a filter
+  filtersForm.addEventListener('input', event => {
+    if (event.target !== formatSelect) {
+      render();
+    }
+  });
+
+  selectAllCheckbox.addEventListener('change', () => {
+    for (const entry of shownEntries) {
+      if (selectAllCheckbox.checked) {
+        selectedKeys.add(entryKey(entry));
+      } else {
+        selectedKeys.delete(entryKey(entry));
+      }
+    }
+    render();
+  });
+
+  exportSelectedButton.addEventListener('click', () => {
+    void exportEntries(getSelectedEntries());
+  });
+
+  deleteSelectedButton.addEventListener('click', () => {
+    void deleteEntries(getSelectedEntries());
+  });
+
+  deleteAllButton.addEventListener('click', async () => {
+    if (entries.length === 0 || !confirm(`Delete all ${entries.length} transcripts from the library? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await clearLibrary();
+      showStatus('The library is empty.');
+    } catch (error) {
+      showStatus(`Could not empty the library: ${error.message}`, true);
+    }
+    await refresh();
+  });
+
+  // The service worker says when an extraction was added
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'LIBRARY_CHANGED') {
+      void refresh();
+    }
+  });
+
+  void refresh();
+
+  async function refresh() {
+    try {
+      entries = await listLibraryEntries();
+    } catch (error) {
+      showStatus(`Could not read the library: ${error.message}`, true);
+      return;
+    }
+
+    const keys = new Set(entries.map(entryKey));
+    for (const key of selectedKeys) {
+      if (!keys.has(key)) {
+        selectedKeys.delete(key);
+      }
+    }
+
+    renderChannels();
+    render();
+    await renderUsage();
+  }
+
+  function renderChannels() {
+    const current = channelSelect.value;
+    const options = listLibraryChannels(entries).map(channel => createOption(channel.id, `${channel.name} (${channel.count})`));
+    channelSelect.replaceChildren(createOption('', 'All channels'), ...options);
+    channelSelect.value = options.some(option => option.value === current) ? current : '';
+  }
+
+  function render() {
+    shownEntries = filterLibraryEntries(entries, {
+      channel: channelSelect.value,
+      dateField: dateFieldSelect.value,
+      after: dateAfterInput.value,
+      before: dateBeforeInput.value
+    });
+    rowsBody.replaceChildren(...shownEntries.map(createRow));
+    emptyText.hidden = shownEntries.length > 0;
+
+    const selectedCount = getSelectedEntries().length;
+    exportSelectedButton.disabled = selectedCount === 0;
+    deleteSelectedButton.disabled = selectedCount === 0;
+    exportSelectedButton.textContent = selectedCount > 0 ? `Export selected (${selectedCount})` : 'Export selected';
+    selectAllCheckbox.checked = shownEntries.length > 0 && shownEntries.every(entry => selectedKeys.has(entryKey(entry)));
+  }
+
+  function createRow(entry) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedKeys.has(entryKey(entry));
+    checkbox.setAttribute('aria-label', `Select ${entry.title || entry.videoId}`);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedKeys.add(entryKey(entry));
+      } else {
+        selectedKeys.delete(entryKey(entry));
+      }
+      render();
+    });
+
+    const link = document.createElement('a');
+    link.href = `https://www.youtube.com/watch?v=${entry.videoId}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = entry.title || entry.videoId;
+
+    const languageParts = [entry.language];
+    if (entry.isAutoGenerated) {
+      languageParts.push('auto-generated');
+    }
+    if (entry.translatedFrom) {
+      languageParts.push(`translated from ${entry.translatedFrom}`);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(
+      createButton('Export', () => exportEntries([entry])),
+      createButton('Delete', () => deleteEntries([entry]))
+    );
+
+    const row = document.createElement('tr');
+    row.append(
+      createCell(checkbox),
+      createCell(link),
+      createCell(entry.channelName || ''),
+      createCell(entry.publishDateIso || ''),
+      createCell(languageParts.join(', ')),
+      createCell(new Date(entry.savedAt).toLocaleString()),
+      createCell(formatSize(entry.size)),
+      createCell(actions)
+    );
+    return row;
+  }
+
+  async function renderUsage() {
+    const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let text = `${entries.length} ${entries.length === 1 ? 'transcript' : 'transcripts'}, about ${formatSize(total)}.`;
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      text += ` The extension uses ${formatSize(usage)} of the ${formatSize(quota)} the browser allows it.`;
+    } catch (error) {
+      console.warn('Storage estimate failed:', error);
+    }
+    usageText.textContent = text;
+  }
+
+  // Each transcript becomes its own file, named and placed by the filename
+  // settings. The service worker saves it and records it in the export history.
+  async function exportEntries(selection) {
+    const format = formatSelect.value;
+    const failures = [];
+    let savedCount = 0;
+
+    for (const entry of selection) {
+      try {
+        const { error } = await chrome.runtime.sendMessage({
+          type: 'EXPORT_LIBRARY_TRANSCRIPT',
+          key: { videoId: entry.videoId, language: entry.language, sourceLanguage: entry.sourceLanguage },
+          format
+        });
+        if (error) {
+          throw new Error(error);
+        }
+        savedCount++;
+      } catch (error) {
+        failures.push(`${entry.title || entry.videoId}: ${error.message}`);
+      }
+    }
+
+    const summary = `Exported ${savedCount} ${savedCount === 1 ? 'transcript' : 'transcripts'}.`;
+    showStatus(failures.length > 0 ? `${summary} Not exported: ${failures.join('; ')}` : summary, failures.length > 0);
+  }
+
+  async function deleteEntries(selection) {
+    const label = selection.length === 1 ? `"${selection[0].title || selection[0].videoId}"` : `${selection.length} transcripts`;
+    if (selection.length === 0 || !confirm(`Delete ${label} from the library?`)) {
+      return;
+    }
+    try {
+      await deleteFromLibrary(selection.map(({ videoId, language, sourceLanguage }) => ({ videoId, language, sourceLanguage })));
+      showStatus(`Deleted ${label}.`);
+    } catch (error) {
+      showStatus(`Could not delete ${label}: ${error.message}`, true);
+    }
+    await refresh();
+  }
+
+  // Only rows the filters show count, so hidden rows are never exported or deleted
+  function getSelectedEntries() {
+    return shownEntries.filter(entry => selectedKeys.has(entryKey(entry)));
+  }
+
+  function entryKey(entry) {
+    return `${entry.videoId}/${entry.language}/${entry.sourceLanguage}`;
+  }
+
+  function formatSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+  }
+
+  function createCell(content) {
+    const cell = document.createElement('td');
+    cell.append(content);
+    return cell;
+  }
+
+  function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function showStatus(message, isError = false) {
+    statusText.textContent = message;
+    statusText.classList.toggle('error', isError);
+  }
+})();
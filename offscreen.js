@@ -0,0 +1,24 @@
+// Offscreen document used by the service worker to write to the clipboard.
+// The Clipboard API needs a focused page, so this uses a textarea and execCommand.
+(function() {
+  'use strict';
+
+  const buffer = document.getElementById('clipboard-buffer');
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'OFFSCREEN_COPY') {
+      return false;
+    }
+
+    try {
+      buffer.value = message.text;
+      buffer.select();
+      const copied = document.execCommand('copy');
+      buffer.value = '';
+      sendResponse(copied ? { success: true } : { success: false, error: 'Clipboard copy was blocked' });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return false;
+  });
+})();
@@ -0,0 +1,186 @@
+// Options page: show the stored settings in the form and save them back.
+// Field names in options.html are setting paths, like "timeouts.downloadMs".
+(function() {
+  'use strict';
+
+  const {
+    DEFAULT_SETTINGS,
+    EXPORT_FORMATS,
+    loadSettings,
+    saveSettings
+  } = globalThis.YouTubeTranscriptSettings;
+  const { FILENAME_TOKENS, renderFilenameTemplate, renderFolderTemplate } = globalThis.YouTubeTranscriptFilenames;
+
+  // Shown in the filename preview when no YouTube video tab is open
+  const SAMPLE_VIDEO = {
+    videoId: 'jNQXAC9IVRw',
+    title: 'Me at the zoo',
+    channelName: 'jawed',
+    publishDateIso: '2005-04-24',
+    language: 'en'
+  };
+
+  const form = document.getElementById('settings-form');
+  const statusText = document.getElementById('status');
+  const templateInput = document.getElementById('filename-template');
+  const folderInput = document.getElementById('download-folder');
+  const previewOutput = document.getElementById('filename-preview');
+  const previewSource = document.getElementById('filename-preview-source');
+  let previewVideo = SAMPLE_VIDEO;
+
+  const tokenList = document.getElementById('filename-tokens');
+  for (const { token, description } of FILENAME_TOKENS) {
+    const item = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = token;
+    item.append(code, ` ${description}`);
+    tokenList.appendChild(item);
+  }
+
+  const formatSelect = document.getElementById('output-format');
+  for (const format of EXPORT_FORMATS) {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.title;
+    formatSelect.appendChild(option);
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const saved = await saveSettings(readForm());
+      fillForm(saved);
+      updateFilenamePreview();
+      showStatus('Settings saved');
+    } catch (error) {
+      showStatus(`Could not save settings: ${error.message}`, true);
+    }
+  });
+
+  document.getElementById('reset-settings').addEventListener('click', async () => {
+    try {
+      fillForm(await saveSettings(DEFAULT_SETTINGS));
+      updateFilenamePreview();
+      showStatus('Defaults restored');
+    } catch (error) {
+      showStatus(`Could not restore defaults: ${error.message}`, true);
+    }
+  });
+
+  // The service worker keeps the export history, so it does the clearing
+  const historyStatus = document.getElementById('export-history-status');
+  document.getElementById('clear-export-history').addEventListener('click', async () => {
+    try {
+      const { count, error } = await chrome.runtime.sendMessage({ type: 'CLEAR_EXPORT_HISTORY' });
+      if (error) {
+        throw new Error(error);
+      }
+      historyStatus.textContent = `Forgot ${count} ${count === 1 ? 'export' : 'exports'}.`;
+      historyStatus.classList.remove('error');
+    } catch (error) {
+      historyStatus.textContent = `Could not clear the export history: ${error.message}`;
+      historyStatus.classList.add('error');
+    }
+  });
+
+  templateInput.addEventListener('input', updateFilenamePreview);
+  folderInput.addEventListener('input', updateFilenamePreview);
+  formatSelect.addEventListener('change', updateFilenamePreview);
+
+  loadSettings().then(settings => {
+    fillForm(settings);
+    loadPreviewVideo();
+  });
+
+  // Ask the service worker for the video in the most recently used YouTube tab
+  async function loadPreviewVideo() {
+    previewSource.textContent = 'Using a sample video.';
+    try {
+      const details = await chrome.runtime.sendMessage({ type: 'GET_PREVIEW_VIDEO' });
+      if (details) {
+        previewVideo = details;
+        previewSource.textContent = 'Using the video in your most recent YouTube tab.';
+      }
+    } catch (error) {
+      console.debug('Filename preview is using the sample video:', error.message);
+    }
+    updateFilenamePreview();
+  }
+
+  function updateFilenamePreview() {
+    const format = formatSelect.value;
+    const { extension } = EXPORT_FORMATS.find(item => item.id === format) || EXPORT_FORMATS[0];
+    const details = {
+      ...previewVideo,
+      exportedAt: new Date().toISOString(),
+      format
+    };
+    const name = `${renderFilenameTemplate(templateInput.value.trim(), details)}.${extension}`;
+    const folder = renderFolderTemplate(folderInput.value.trim(), details);
+    previewOutput.textContent = `Downloads/${folder ? `${folder}/` : ''}${name}`;
+  }
+
+  function fillForm(settings) {
+    for (const field of form.elements) {
+      if (!field.name) {
+        continue;
+      }
+
+      const value = getPath(settings, field.name);
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (Array.isArray(value)) {
+        field.value = value.join(', ');
+      } else {
+        field.value = value ?? '';
+      }
+    }
+  }
+
+  // Build a settings object from the form; saveSettings fixes bad values
+  function readForm() {
+    const settings = {};
+
+    for (const field of form.elements) {
+      if (!field.name) {
+        continue;
+      }
+
+      const defaultValue = getPath(DEFAULT_SETTINGS, field.name);
+      let value;
+      if (field.type === 'checkbox') {
+        value = field.checked;
+      } else if (Array.isArray(defaultValue)) {
+        value = field.value.split(',').map(item => item.trim()).filter(Boolean);
+      } else if (typeof defaultValue === 'number') {
+        value = Number(field.value);
+      } else {
+        value = field.value;
+      }
+
+      setPath(settings, field.name, value);
+    }
+
+    return settings;
+  }
+
+  function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+  }
+
+  function setPath(object, path, value) {
+    const keys = path.split('.');
+    const lastKey = keys.pop();
+    let target = object;
+    for (const key of keys) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+    target[lastKey] = value;
+  }
+
+  function showStatus(message, isError = false) {
+    statusText.textContent = message;
+    statusText.classList.toggle('error', isError);
+  }
+})();
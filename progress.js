@@ -0,0 +1,196 @@
+// Progress side panel: list every video of the current batch export with its
+// state and time taken, retry failed videos, cancel the export, and open each
+// video's tab. Changes arrive as messages; the whole batch is asked for once.
+(function() {
+  'use strict';
+
+  const STATE_LABELS = {
+    queued: 'Queued',
+    activating: 'Opening tab…',
+    extracting: 'Extracting…',
+    exported: 'Saved',
+    failed: 'Failed',
+    skipped: 'Skipped'
+  };
+
+  const FINISHED_STATES = ['exported', 'failed', 'skipped'];
+
+  const summaryText = document.getElementById('batch-summary');
+  const retryFailedButton = document.getElementById('retry-failed');
+  const cancelButton = document.getElementById('cancel-batch');
+  const statusText = document.getElementById('status');
+  const itemList = document.getElementById('batch-items');
+  let batch = null;
+  let rows = [];
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'BATCH_STARTED') {
+      showBatch(message.batch);
+    } else if (message.type === 'BATCH_ITEM_UPDATED' && message.batchId === batch?.id) {
+      batch.items[message.item.index] = message.item;
+      renderItem(message.item);
+      renderSummary();
+    } else if (message.type === 'BATCH_FINISHED' && message.batchId === batch?.id) {
+      batch.finishedAt = message.finishedAt;
+      renderSummary();
+    }
+  });
+
+  // A batch that started while this request was on its way is already shown
+  chrome.runtime.sendMessage({ type: 'GET_BATCH_PROGRESS' }).then(current => {
+    if (current && !(batch && batch.id >= current.id)) {
+      showBatch(current);
+    }
+  }, error => {
+    showStatus(`Could not read the export progress: ${error.message}`, true);
+  });
+
+  retryFailedButton.addEventListener('click', () => {
+    const failed = batch.items.filter(item => item.state === 'failed');
+    void retry(failed.map(item => item.index));
+  });
+
+  // Cancels every running batch, like a second click on the extension icon
+  cancelButton.addEventListener('click', async () => {
+    cancelButton.disabled = true;
+    try {
+      const { count } = await chrome.runtime.sendMessage({ type: 'CANCEL_BATCH_EXPORTS' });
+      showStatus(count > 0 ? 'Cancelling… Videos already running finish first.' : 'No export is running.');
+    } catch (error) {
+      showStatus(`Could not cancel the export: ${error.message}`, true);
+    }
+  });
+
+  // Elapsed times of running videos count up on the panel's own clock
+  setInterval(() => {
+    for (const item of batch?.items || []) {
+      if (item.startedAt !== null && item.finishedAt === null) {
+        rows[item.index].querySelector('.elapsed').textContent = formatElapsed(item);
+      }
+    }
+    if (batch && batch.finishedAt === null) {
+      renderSummary();
+    }
+  }, 1000);
+
+  function showBatch(nextBatch) {
+    batch = nextBatch;
+    rows = batch.items.map(() => document.createElement('li'));
+    itemList.replaceChildren(...rows);
+    batch.items.forEach(renderItem);
+    renderSummary();
+    showStatus('');
+  }
+
+  function renderSummary() {
+    const counts = { exported: 0, failed: 0, skipped: 0, cancelled: 0 };
+    for (const item of batch.items) {
+      // Cancelled videos are skipped ones, counted on their own
+      const state = item.errorCode === 'CANCELLED' ? 'cancelled' : item.state;
+      if (state in counts) {
+        counts[state]++;
+      }
+    }
+
+    const done = batch.items.filter(item => FINISHED_STATES.includes(item.state)).length;
+    const total = batch.items.length;
+    const parts = [`${done} of ${total} done`, `${counts.exported} saved`];
+    if (counts.failed > 0) {
+      parts.push(`${counts.failed} failed`);
+    }
+    if (counts.skipped > 0) {
+      parts.push(`${counts.skipped} skipped`);
+    }
+    if (counts.cancelled > 0) {
+      parts.push(`${counts.cancelled} cancelled`);
+    }
+
+    const elapsed = formatElapsed(batch);
+    const timing = batch.finishedAt === null ? `running for ${elapsed}` : `finished in ${elapsed}`;
+    summaryText.textContent = `${batch.label}: ${parts.join(', ')} (${timing}).`;
+    retryFailedButton.disabled = counts.failed === 0 || batch.finishedAt === null;
+    cancelButton.disabled = batch.finishedAt !== null;
+  }
+
+  function renderItem(item) {
+    const row = rows[item.index];
+    const title = document.createElement('strong');
+    title.textContent = item.title || item.videoUrl;
+
+    const state = document.createElement('span');
+    state.className = 'state';
+    state.textContent = STATE_LABELS[item.state] || item.state;
+
+    const elapsed = document.createElement('span');
+    elapsed.className = 'elapsed';
+    elapsed.textContent = formatElapsed(item);
+
+    const details = [title, ' ', state, ' ', elapsed];
+    if (item.error) {
+      const error = document.createElement('div');
+      error.className = 'error';
+      error.textContent = item.errorCode ? `${item.errorCode}: ${item.error}` : item.error;
+      details.push(error);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.appendChild(createButton(item.tabId !== null ? 'Show tab' : 'Open video', () => openSource(item)));
+    if (item.state === 'failed') {
+      actions.appendChild(createButton('Retry', () => retry([item.index])));
+    }
+
+    row.replaceChildren(...details, actions);
+    row.dataset.state = item.state;
+  }
+
+  async function retry(indexes) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RETRY_BATCH_ITEMS', batchId: batch.id, indexes });
+      if (!response?.started) {
+        showStatus(response?.error || 'The retry did not start.', true);
+        return;
+      }
+      showStatus(`Retrying ${response.count} ${response.count === 1 ? 'video' : 'videos'}…`);
+    } catch (error) {
+      showStatus(`The retry did not start: ${error.message}`, true);
+    }
+  }
+
+  // Bring the video's tab to the front, or open the video when it had no tab
+  // or the tab was closed since
+  async function openSource(item) {
+    try {
+      if (item.tabId === null) {
+        throw new Error('The video had no tab');
+      }
+      const tab = await chrome.tabs.update(item.tabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+      await chrome.tabs.create({ url: item.videoUrl });
+    }
+  }
+
+  // "45s" or "2m 05s" from startedAt to finishedAt, or to now while running
+  function formatElapsed({ startedAt, finishedAt }) {
+    if (startedAt === null) {
+      return '';
+    }
+    const seconds = Math.max(0, Math.round(((finishedAt ?? Date.now()) - startedAt) / 1000));
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+  }
+
+  function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function showStatus(message, isError = false) {
+    statusText.textContent = message;
+    statusText.classList.toggle('error', isError);
+  }
+})();
@@ -0,0 +1,133 @@
+// Search page: find saved transcripts by words and quoted phrases, optionally
+// in one channel, and list the matching moments with links that open the
+// video at that point.
+(function() {
+  'use strict';
+
+  const { listLibraryChannels, listLibraryEntries, searchLibrary } = globalThis.YouTubeTranscriptLibrary;
+
+  const searchForm = document.getElementById('search-form');
+  const queryInput = document.getElementById('search-query');
+  const channelSelect = document.getElementById('channel-filter');
+  const resultList = document.getElementById('search-results');
+  const statusText = document.getElementById('status');
+
+  // Answers to older searches that arrive late are dropped
+  let searchCount = 0;
+
+  searchForm.addEventListener('submit', event => {
+    event.preventDefault();
+    void search();
+  });
+
+  channelSelect.addEventListener('change', () => {
+    if (queryInput.value.trim()) {
+      void search();
+    }
+  });
+
+  // New transcripts can change both the channels and the results
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'LIBRARY_CHANGED') {
+      void renderChannels();
+    }
+  });
+
+  void renderChannels();
+
+  async function renderChannels() {
+    try {
+      const entries = await listLibraryEntries();
+      const current = channelSelect.value;
+      const options = listLibraryChannels(entries).map(channel => createOption(channel.id, `${channel.name} (${channel.count})`));
+      channelSelect.replaceChildren(createOption('', 'All channels'), ...options);
+      channelSelect.value = options.some(option => option.value === current) ? current : '';
+      if (entries.length === 0) {
+        showStatus('The library is empty. Transcripts are added as you extract them.');
+      }
+    } catch (error) {
+      showStatus(`Could not read the library: ${error.message}`, true);
+    }
+  }
+
+  async function search() {
+    const searchId = ++searchCount;
+    const query = queryInput.value;
+    let found;
+    try {
+      found = await searchLibrary(query, { channel: channelSelect.value });
+    } catch (error) {
+      showStatus(`The search failed: ${error.message}`, true);
+      return;
+    }
+    if (searchId !== searchCount) {
+      return;
+    }
+
+    resultList.replaceChildren(...found.results.map(createResult));
+    if (!query.trim()) {
+      showStatus('Enter words to search for.');
+    } else if (found.total === 0) {
+      showStatus('No transcripts match.');
+    } else {
+      const shown = found.results.length < found.total ? ` Showing the first ${found.results.length}.` : '';
+      showStatus(`${found.total} ${found.total === 1 ? 'transcript matches' : 'transcripts match'}.${shown}`);
+    }
+  }
+
+  function createResult({ entry, matchCount, snippets }) {
+    const link = document.createElement('a');
+    link.href = `https://www.youtube.com/watch?v=${entry.videoId}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = entry.title || entry.videoId;
+
+    const details = document.createElement('span');
+    details.className = 'details';
+    const parts = [entry.channelName, entry.language, `${matchCount} ${matchCount === 1 ? 'match' : 'matches'}`];
+    details.textContent = parts.filter(Boolean).join(' · ');
+
+    const snippetList = document.createElement('ul');
+    snippetList.append(...snippets.map(createSnippet));
+
+    const item = document.createElement('li');
+    item.append(link, ' ', details, snippetList);
+    return item;
+  }
+
+  // The time opens the video at the snippet; matched words are marked
+  function createSnippet(snippet) {
+    const time = document.createElement('a');
+    time.className = 'time';
+    time.href = snippet.url;
+    time.target = '_blank';
+    time.rel = 'noopener';
+    time.textContent = snippet.time ?? 'Open';
+
+    const text = document.createElement('span');
+    let cursor = 0;
+    for (const [start, end] of snippet.highlights) {
+      const mark = document.createElement('mark');
+      mark.textContent = snippet.text.slice(start, end);
+      text.append(snippet.text.slice(cursor, start), mark);
+      cursor = end;
+    }
+    text.append(snippet.text.slice(cursor));
+
+    const item = document.createElement('li');
+    item.append(time, ' ', text);
+    return item;
+  }
+
+  function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  function showStatus(message, isError = false) {
+    statusText.textContent = message;
+    statusText.classList.toggle('error', isError);
+  }
+})();
@@ -0,0 +1,218 @@
+// Export preferences shared by the service worker, the content script, and the options page.
+// Settings live in chrome.storage.sync under one key, with a version number for migrations.
+(function(root) {
+  'use strict';
+
+  // content.js injects this file on every extraction, so only define it once per page
+  if (root.YouTubeTranscriptSettings) {
+    return;
+  }
+
+  const SETTINGS_STORAGE_KEY = 'settings';
+  const SETTINGS_VERSION = 1;
+
+  // File formats offered in menus and on the options page (content.js renders them),
+  // with the file extension transcript-core.js saves them under
+  const EXPORT_FORMATS = [
+    { id: 'markdown', title: 'Markdown', extension: 'md' },
+    { id: 'timestamped', title: 'Markdown with Timestamps', extension: 'md' },
+    { id: 'srt', title: 'SRT Subtitles', extension: 'srt' },
+    { id: 'vtt', title: 'WebVTT Subtitles', extension: 'vtt' },
+    { id: 'json', title: 'JSON', extension: 'json' },
+    { id: 'plain', title: 'Legacy Plain Text', extension: 'md' }
+  ];
+
+  const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    outputFormat: 'markdown',
+    // Merge caption cues into 'sentences' or 'paragraphs' in text formats
+    reflow: 'off',
+    // Applied to caption text from every extraction path
+    cleanup: {
+      decodeEntities: true,
+      // Auto-generated tracks only
+      dedupeRollingCaptions: true,
+      // 'keep' or 'drop' tags like [Music]
+      soundTags: 'keep',
+      // Turn ">>" markers into new paragraphs
+      speakerTurns: true
+    },
+    // Tokens are listed in filename-template.js; empty means the default template
+    filenameTemplate: 'YouTube-{title}-{exported}',
+    // Folder inside Downloads, with the same tokens; empty saves to Downloads itself
+    downloadFolder: '',
+    // What chrome.downloads does when the file already exists
+    conflictAction: 'uniquify',
+    metadataFields: {
+      channel: true,
+      channelUrl: true,
+      publishDate: true,
+      description: true,
+      captionTrack: true,
+      chapters: true
+    },
+    trackPolicy: {
+      // Empty means the browser languages
+      preferredLanguages: [],
+      preferManualCaptions: true,
+      fallback: 'any'
+    },
+    // Empty means the browser UI language
+    translationLanguage: '',
+    timeouts: {
+      downloadMs: 45000,
+      clipboardMs: 20000,
+      tabReadyMs: 10000,
+      networkMs: 30000
+    },
+    rateLimit: {
+      maxRequests: 10,
+      windowMs: 1000
+    },
+    batch: {
+      delayMs: 500,
+      // Videos exported at the same time; tabs that must be activated still go one by one
+      concurrency: 3,
+      restoreActiveTab: true,
+      // Save one ZIP with an index instead of one download per tab
+      zip: false,
+      // Save the batch report (Markdown and CSV) next to the files when there is no ZIP
+      report: true,
+      // Videos already saved in the batch format: 'off' exports them again,
+      // 'exported' skips them, 'changed' skips them unless their captions changed
+      skipExported: 'off'
+    },
+    library: {
+      // Keep every extracted transcript in the local library (IndexedDB)
+      enabled: true
+    }
+  };
+
+  // Allowed values, checked every time settings are read or saved
+  const SETTING_CHOICES = {
+    outputFormat: EXPORT_FORMATS.map(format => format.id),
+    conflictAction: ['uniquify', 'overwrite', 'prompt'],
+    reflow: ['off', 'sentences', 'paragraphs'],
+    'cleanup.soundTags': ['keep', 'drop'],
+    'trackPolicy.fallback': ['any', 'none'],
+    'batch.skipExported': ['off', 'exported', 'changed']
+  };
+
+  const SETTING_RANGES = {
+    'timeouts.downloadMs': [5000, 600000],
+    'timeouts.clipboardMs': [5000, 600000],
+    'timeouts.tabReadyMs': [1000, 120000],
+    'timeouts.networkMs': [1000, 300000],
+    'rateLimit.maxRequests': [1, 100],
+    'rateLimit.windowMs': [100, 60000],
+    'batch.delayMs': [0, 60000],
+    'batch.concurrency': [1, 8]
+  };
+
+  // Upgrade steps for stored settings, in version order. Each step takes the
+  // stored object from the previous version and returns it in its own version's
+  // shape. Add a step and bump SETTINGS_VERSION whenever a stored setting is
+  // renamed, moved, or changes meaning. New settings with defaults need no step.
+  const SETTINGS_MIGRATIONS = [];
+
+  async function loadSettings() {
+    try {
+      const stored = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+      return migrateSettings(stored[SETTINGS_STORAGE_KEY]);
+    } catch (error) {
+      console.warn('Failed to load settings, using defaults:', error);
+      return normalizeSettings({});
+    }
+  }
+
+  async function saveSettings(settings) {
+    const normalized = normalizeSettings({ ...settings, version: SETTINGS_VERSION });
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: normalized });
+    return normalized;
+  }
+
+  // Rewrite stored settings in the current shape after an extension update.
+  // Settings written by a newer version (through sync) are left alone.
+  async function upgradeStoredSettings() {
+    const stored = (await chrome.storage.sync.get(SETTINGS_STORAGE_KEY))[SETTINGS_STORAGE_KEY];
+    if (!isPlainObject(stored) || getStoredVersion(stored) >= SETTINGS_VERSION) {
+      return false;
+    }
+
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: migrateSettings(stored) });
+    return true;
+  }
+
+  function migrateSettings(stored, migrations = SETTINGS_MIGRATIONS) {
+    let settings = isPlainObject(stored) ? { ...stored } : {};
+    const storedVersion = getStoredVersion(settings);
+
+    for (const migration of migrations) {
+      if (migration.version > storedVersion) {
+        settings = migration.migrate(settings);
+      }
+    }
+
+    return normalizeSettings({ ...settings, version: SETTINGS_VERSION });
+  }
+
+  function getStoredVersion(stored) {
+    return Number.isInteger(stored.version) ? stored.version : 0;
+  }
+
+  // Keep known settings with the right type and allowed value, fill in the rest from defaults
+  function normalizeSettings(candidate) {
+    return mergeWithDefaults(DEFAULT_SETTINGS, candidate, '');
+  }
+
+  function mergeWithDefaults(defaults, value, path) {
+    if (Array.isArray(defaults)) {
+      return Array.isArray(value)
+        ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+        : [...defaults];
+    }
+
+    if (isPlainObject(defaults)) {
+      const merged = {};
+      for (const [key, defaultValue] of Object.entries(defaults)) {
+        const childPath = path ? `${path}.${key}` : key;
+        merged[key] = mergeWithDefaults(defaultValue, isPlainObject(value) ? value[key] : undefined, childPath);
+      }
+      return merged;
+    }
+
+    if (typeof value !== typeof defaults) {
+      return defaults;
+    }
+
+    if (SETTING_CHOICES[path] && !SETTING_CHOICES[path].includes(value)) {
+      return defaults;
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        return defaults;
+      }
+      const range = SETTING_RANGES[path];
+      return range ? Math.min(range[1], Math.max(range[0], Math.round(value))) : value;
+    }
+
+    return typeof value === 'string' ? value.trim() : value;
+  }
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  root.YouTubeTranscriptSettings = {
+    DEFAULT_SETTINGS,
+    EXPORT_FORMATS,
+    SETTINGS_STORAGE_KEY,
+    SETTINGS_VERSION,
+    loadSettings,
+    migrateSettings,
+    normalizeSettings,
+    saveSettings,
+    upgradeStoredSettings
+  };
+})(globalThis);
@@ -3,10 +3,23 @@ const fs = require('node:fs');
 const path = require('node:path');
 const test = require('node:test');
 const vm = require('node:vm');
+const { createFakeIndexedDB } = require('./fake-indexeddb');
 
 const backgroundScript = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
 
+// Messages to extension pages, copied the way Chrome serializes them
+const sentMessages = [];
+
+// chrome.storage.local, which holds the export history
+const localStorage = new Map();
+// Tests set this to change the stored settings
+let storedSettings;
+// chrome.runtime.onMessage listeners, so tests can send content script messages
+const messageListeners = [];
+
 const context = {
+  AbortController,
+  btoa,
   chrome: {
     action: {
       onClicked: { addListener() {} },
@@ -18,20 +31,66 @@ const context = {
       onClicked: { addListener() {} },
       removeAll(callback) {
         callback();
-      }
+      },
+      update() {}
     },
     runtime: {
       onInstalled: { addListener() {} },
-      onMessage: { addListener() {} }
+      onMessage: {
+        addListener(listener) {
+          messageListeners.push(listener);
+        }
+      },
+      async sendMessage(message) {
+        sentMessages.push(JSON.parse(JSON.stringify(message)));
+      }
     },
     scripting: { executeScript() {} },
+    storage: {
+      onChanged: { addListener() {} },
+      sync: {
+        async get() {
+          return storedSettings ? { settings: storedSettings } : {};
+        },
+        async set() {}
+      },
+      local: {
+        async get(keys) {
+          const wanted = keys === null ? [...localStorage.keys()] : [keys].flat();
+          return Object.fromEntries(wanted.filter(key => localStorage.has(key)).map(key => [key, JSON.parse(localStorage.get(key))]));
+        },
+        async set(items) {
+          for (const [key, value] of Object.entries(items)) {
+            localStorage.set(key, JSON.stringify(value));
+          }
+        },
+        async remove(keys) {
+          for (const key of [keys].flat()) {
+            localStorage.delete(key);
+          }
+        }
+      }
+    },
     tabs: {
       onRemoved: { addListener() {} },
       query() {}
     }
   },
   console,
+  // Tests replace this with a fake YouTube
+  async fetch() {
+    throw new Error('No network in tests');
+  },
+  importScripts(...files) {
+    for (const file of files) {
+      vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+    }
+  },
+  clearTimeout,
+  indexedDB: createFakeIndexedDB(),
+  navigator: { languages: ['en-US'] },
   setTimeout,
+  TextEncoder,
   URL
 };
 
@@ -70,3 +129,1027 @@ test('rejects non-video and non-YouTube URLs', () => {
     assert.equal(context.isSupportedYouTubeVideoUrl(url), false, url);
   }
 });
+
+test('reads export formats from format submenu item ids', () => {
+  assert.equal(context.getMenuItemFormat('yt-export-current-srt', 'yt-export-current'), 'srt');
+  assert.equal(context.getMenuItemFormat('yt-export-all-vtt', 'yt-export-all'), 'vtt');
+  assert.equal(context.getMenuItemFormat('yt-export-all-vtt', 'yt-export-current'), null);
+  assert.equal(context.getMenuItemFormat('yt-copy-current', 'yt-export-current'), null);
+});
+
+test('encodes downloads as UTF-8 base64 data URLs', () => {
+  const text = 'Café ✓ — 字幕\n'.repeat(5000);
+  const url = context.toDataUrl(text, 'text/markdown');
+  const prefix = 'data:text/markdown;charset=utf-8;base64,';
+
+  assert.ok(url.startsWith(prefix));
+  assert.equal(Buffer.from(url.slice(prefix.length), 'base64').toString('utf8'), text);
+});
+
+test('lists every batch video with its status and archive file', () => {
+  const index = context.buildBatchIndex([
+    {
+      status: 'exported',
+      title: 'First | video',
+      videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+      videoId: 'kxpbdFMgPJ4',
+      archiveName: 'YouTube-First-video.md',
+      error: null,
+      extractionMethod: 'dom',
+      readFrom: 'tab',
+      durationMs: 12345
+    },
+    {
+      status: 'failed',
+      title: null,
+      videoUrl: 'https://youtu.be/hzA0sE7GVcU',
+      videoId: 'hzA0sE7GVcU',
+      error: 'Extraction timeout',
+      errorCode: 'EXTRACTION_TIMEOUT',
+      durationMs: 30000
+    }
+  ], new Date('2024-02-01T10:30:00.000Z'), 'srt');
+
+  assert.equal(index, [
+    '# YouTube transcript export',
+    '',
+    '- Exported: 2024-02-01T10:30:00.000Z',
+    '- Format: SRT Subtitles',
+    '- Videos: 2 (1 exported, 1 not exported)',
+    '',
+    '| # | Title | Video | Video ID | Status | Error code | Method | Time | File |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+    '| 1 | First \\| video | https://www.youtube.com/watch?v=kxpbdFMgPJ4 | kxpbdFMgPJ4 | exported |  | dom (tab) | 12.3 s | YouTube-First-video.md |',
+    '| 2 | Untitled | https://youtu.be/hzA0sE7GVcU | hzA0sE7GVcU | failed: Extraction timeout | EXTRACTION_TIMEOUT |  | 30.0 s |  |',
+    ''
+  ].join('\n'));
+});
+
+test('writes the batch report as CSV for spreadsheets and scripts', () => {
+  const csv = context.buildBatchCsv([
+    {
+      status: 'exported',
+      title: 'Chairs, "and" tables',
+      videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+      videoId: 'kxpbdFMgPJ4',
+      position: null,
+      file: { filename: 'yt-transcripts/YouTube-Chairs.md' },
+      error: null,
+      errorCode: null,
+      extractionMethod: 'captionTracks',
+      readFrom: 'watch page',
+      durationMs: 840
+    },
+    {
+      status: 'failed',
+      title: 'No captions',
+      videoUrl: 'https://www.youtube.com/watch?v=hzA0sE7GVcU',
+      videoId: 'hzA0sE7GVcU',
+      position: null,
+      file: null,
+      error: 'No transcript available for this video',
+      errorCode: 'NO_TRANSCRIPT',
+      extractionMethod: null,
+      readFrom: null,
+      durationMs: 5210
+    }
+  ]);
+
+  assert.equal(csv, [
+    'position,url,video_id,title,outcome,error_code,error,extraction_method,read_from,duration_ms,file',
+    '1,https://www.youtube.com/watch?v=kxpbdFMgPJ4,kxpbdFMgPJ4,"Chairs, ""and"" tables",exported,,,captionTracks,watch page,840,yt-transcripts/YouTube-Chairs.md',
+    '2,https://www.youtube.com/watch?v=hzA0sE7GVcU,hzA0sE7GVcU,No captions,failed,NO_TRANSCRIPT,No transcript available for this video,,,5210,',
+    ''
+  ].join('\r\n'));
+});
+
+test('keeps archive file names unique', () => {
+  const usedNames = new Set(['index.md']);
+
+  assert.equal(context.uniqueArchiveName('talk.md', usedNames), 'talk.md');
+  assert.equal(context.uniqueArchiveName('talk.md', usedNames), 'talk-2.md');
+  assert.equal(context.uniqueArchiveName('talk.md', usedNames), 'talk-3.md');
+  assert.equal(context.uniqueArchiveName('index.md', usedNames), 'index-2.md');
+});
+
+test('combines tab sections into one document with a table of contents', () => {
+  const document = context.buildCombinedDocument([
+    {
+      status: 'exported',
+      title: 'First [draft]',
+      videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+      section: '- Video: https://www.youtube.com/watch?v=kxpbdFMgPJ4\n\n### Transcript\n\nhello\n'
+    },
+    {
+      status: 'failed',
+      title: 'Broken',
+      videoUrl: 'https://youtu.be/hzA0sE7GVcU',
+      section: null,
+      error: 'Extraction timeout'
+    },
+    {
+      status: 'exported',
+      title: 'Second',
+      videoUrl: 'https://www.youtube.com/watch?v=E6QjMPa3KcM',
+      section: '- Video: https://www.youtube.com/watch?v=E6QjMPa3KcM\n\n### Transcript\n\nworld\n'
+    }
+  ], new Date('2024-02-01T10:30:00.000Z'));
+
+  assert.equal(document, [
+    '# YouTube transcripts',
+    '',
+    '- Exported: 2024-02-01T10:30:00.000Z',
+    '- Videos: 3 (2 included, 1 not exported)',
+    '',
+    '## Contents',
+    '',
+    '1. [First \\[draft\\]](#video-1)',
+    '- Broken (not exported: Extraction timeout) https://youtu.be/hzA0sE7GVcU',
+    '2. [Second](#video-2)',
+    '',
+    '---',
+    '',
+    '<a id="video-1"></a>',
+    '',
+    '## 1. First [draft]',
+    '',
+    '- Video: https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+    '',
+    '### Transcript',
+    '',
+    'hello',
+    '',
+    '---',
+    '',
+    '<a id="video-2"></a>',
+    '',
+    '## 2. Second',
+    '',
+    '- Video: https://www.youtube.com/watch?v=E6QjMPa3KcM',
+    '',
+    '### Transcript',
+    '',
+    'world',
+    '',
+    '---',
+    ''
+  ].join('\n'));
+});
+
+function readDownload(download) {
+  return Buffer.from(download.url.split(',')[1], 'base64').toString('utf8');
+}
+
+function fakeYouTube(playerResponse, captionText) {
+  const requests = [];
+  context.fetch = async (url, options) => {
+    requests.push({ url, options });
+    const body = url.startsWith('https://www.youtube.com/watch')
+      ? `<script>var ytInitialPlayerResponse = ${JSON.stringify(playerResponse)};var meta = {"a": "};"};</script>`
+      : captionText;
+    return { ok: true, status: 200, text: async () => body };
+  };
+  return requests;
+}
+
+test('exports a video from its watch page without the tab', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  const requests = fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: {
+      videoId: 'kxpbdFMgPJ4',
+      title: 'Bookshelf {part 1}; "oak"',
+      author: 'Workshop',
+      channelId: 'UCxxxxxxxxxxxxxxxxxxxxxx',
+      shortDescription: '0:00 Intro\n0:10 Measure\n0:20 Wrap up'
+    },
+    microformat: { playerMicroformatRenderer: { publishDate: '2024-01-15' } },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en', name: { simpleText: 'English' } }
+        ]
+      }
+    }
+  }, captionText);
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+
+  const result = await context.extractInBackground('https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=5s', 'download', 'markdown', settings);
+
+  assert.equal(requests[0].url, 'https://www.youtube.com/watch?v=kxpbdFMgPJ4');
+  assert.equal(requests[0].options.credentials, 'include');
+  assert.equal(new URL(requests[1].url).searchParams.get('fmt'), 'json3');
+  assert.equal(result.mode, 'download');
+  assert.equal(result.title, 'Bookshelf {part 1}; "oak"');
+  assert.match(result.filename, /^YouTube-Bookshelf-\{part-1\};-oak-\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2}\.md$/);
+  assert.equal(result.file.mimeType, 'text/markdown;charset=utf-8');
+  assert.match(result.file.content, /channel: "Workshop"/);
+  assert.match(result.file.content, /### Measure \(00:00:10\)\n\nFirst, measure the wall\./);
+
+  const section = await context.extractInBackground('https://youtu.be/kxpbdFMgPJ4', 'collect', 'markdown', settings);
+  assert.equal(section.file, undefined);
+  assert.match(section.section, /^- Channel: \[Workshop\]/);
+});
+
+test('leaves videos the watch page cannot serve to the tab', async () => {
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+
+  fakeYouTube({ playabilityStatus: { status: 'LOGIN_REQUIRED' } }, '');
+  await assert.rejects(
+    context.extractInBackground('https://www.youtube.com/watch?v=kxpbdFMgPJ4', 'download', 'markdown', settings),
+    /LOGIN_REQUIRED/
+  );
+
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'No captions' }
+  }, '');
+  await assert.rejects(
+    context.extractInBackground('https://www.youtube.com/watch?v=kxpbdFMgPJ4', 'download', 'markdown', settings),
+    /No matching caption track/
+  );
+
+  await assert.rejects(
+    context.extractInBackground('https://www.youtube.com/feed/subscriptions', 'download', 'markdown', settings),
+    /No video id/
+  );
+});
+
+test('exports a pasted video list with a status for each video', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf', author: 'Workshop' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }
+        ]
+      }
+    }
+  }, captionText);
+  const youtubeFetch = context.fetch;
+  context.fetch = async (url, options) => {
+    if (url.includes('v=ccccccccccc')) {
+      throw new DOMException('The operation was aborted', 'AbortError');
+    }
+    return url.includes('v=bbbbbbbbbbb')
+      ? { ok: false, status: 404, text: async () => '' }
+      : youtubeFetch(url, options);
+  };
+
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+  context.chrome.tabs.create = async () => {
+    throw new Error('No tabs in tests');
+  };
+
+  const progress = [];
+  const { successCount, failCount, batchResults } = await context.runBatchExport([
+    { videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4' },
+    { videoUrl: 'https://www.youtube.com/watch?v=bbbbbbbbbbb' },
+    { videoUrl: 'https://www.youtube.com/watch?v=ccccccccccc' }
+  ], {
+    format: 'plain',
+    onProgress: (index, status, result) => progress.push([index, status, result?.error || null])
+  });
+
+  assert.equal(successCount, 1);
+  assert.equal(failCount, 2);
+  // Videos run side by side, so only the order within each video is fixed
+  assert.deepEqual(progress.sort((a, b) => a[0] - b[0]), [
+    [0, 'extracting', null],
+    [0, 'exported', null],
+    [1, 'extracting', null],
+    [1, 'activating', null],
+    [1, 'failed', 'No tabs in tests (watch page: Request failed: 404)'],
+    [2, 'extracting', null],
+    [2, 'activating', null],
+    [2, 'failed', 'No tabs in tests (watch page: Request timed out after 30 seconds)']
+  ]);
+  // The transcript, then the report as Markdown and CSV
+  assert.equal(downloads.length, 3);
+  assert.match(downloads[0].filename, /^YouTube-Bookshelf-.*\.md$/);
+  assert.match(downloads[1].filename, /^YouTube-transcripts-.*-index\.md$/);
+  assert.match(downloads[2].filename, /^YouTube-transcripts-.*-index\.csv$/);
+  const csvRows = readDownload(downloads[2]).trim().split('\r\n').map(row => row.split(','));
+  assert.deepEqual(csvRows.map(row => row.slice(2, 9)), [
+    ['video_id', 'title', 'outcome', 'error_code', 'error', 'extraction_method', 'read_from'],
+    ['kxpbdFMgPJ4', 'Bookshelf', 'exported', '', '', 'captionTracks', 'watch page'],
+    ['bbbbbbbbbbb', '', 'failed', 'HTTP_ERROR', 'No tabs in tests (watch page: Request failed: 404)', '', ''],
+    ['ccccccccccc', '', 'failed', 'NETWORK_TIMEOUT', 'No tabs in tests (watch page: Request timed out after 30 seconds)', '', '']
+  ]);
+  assert.match(csvRows[1][9], /^\d+$/);
+  assert.equal(batchResults[0].title, 'Bookshelf');
+  assert.equal(batchResults[0].exportData, undefined);
+
+  // The exported video is kept in the library, with its segments
+  const { getLibraryTranscript } = context.YouTubeTranscriptLibrary;
+  let stored;
+  for (let attempt = 0; attempt < 50 && !stored; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    stored = await getLibraryTranscript({ videoId: 'kxpbdFMgPJ4', language: 'en', sourceLanguage: 'en' });
+  }
+  assert.equal(stored.data.title, 'Bookshelf');
+  assert.ok(stored.data.segments.length > 0);
+  assert.equal(batchResults[1].videoUrl, 'https://www.youtube.com/watch?v=bbbbbbbbbbb');
+  assert.equal(batchResults[1].status, 'failed');
+});
+
+test('reads every page of a playlist in order', async () => {
+  const video = (videoId, index) => ({
+    playlistVideoRenderer: { videoId, index: { simpleText: String(index) }, title: { simpleText: `Part ${index}` } }
+  });
+  const initialData = {
+    metadata: { playlistMetadataRenderer: { title: 'Woodworking basics' } },
+    contents: {
+      playlistVideoListRenderer: {
+        contents: [
+          video('kxpbdFMgPJ4', 1),
+          { continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token: 'PAGE_2' } } } }
+        ]
+      }
+    }
+  };
+  const config = '"INNERTUBE_API_KEY":"test-key","INNERTUBE_CONTEXT":{"client":{"clientName":"WEB"}},';
+  const requests = [];
+  context.fetch = async (url, options) => {
+    requests.push({ url, options });
+    if (url.startsWith('https://www.youtube.com/playlist')) {
+      const body = `<script>var ytInitialData = ${JSON.stringify(initialData)};</script><script>ytcfg.set({${config}});</script>`;
+      return { ok: true, status: 200, text: async () => body };
+    }
+    const { continuation } = JSON.parse(options.body);
+    const items = continuation === 'PAGE_2'
+      ? [video('jNQXAC9IVRw', 2), { continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token: 'PAGE_3' } } } }]
+      : [video('dQw4w9WgXcQ', 3)];
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ onResponseReceivedActions: [{ appendContinuationItemsAction: { continuationItems: items } }] })
+    };
+  };
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+
+  const playlist = await context.fetchPlaylist('PL123', settings);
+
+  assert.equal(playlist.title, 'Woodworking basics');
+  assert.deepEqual(Array.from(playlist.videos, entry => `${entry.position}:${entry.videoId}`), [
+    '1:kxpbdFMgPJ4',
+    '2:jNQXAC9IVRw',
+    '3:dQw4w9WgXcQ'
+  ]);
+  assert.equal(requests[1].url, 'https://www.youtube.com/youtubei/v1/browse?key=test-key');
+  assert.equal(requests[1].options.method, 'POST');
+  assert.equal(requests[1].options.credentials, 'include');
+  assert.equal(JSON.parse(requests[2].options.body).continuation, 'PAGE_3');
+});
+
+test('lists playlist videos by position in the playlist index', () => {
+  const index = context.buildBatchIndex([
+    {
+      status: 'exported',
+      title: 'Part 1',
+      videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+      position: 1,
+      file: { filename: 'yt-transcripts/YouTube-Part-1.md' },
+      error: null
+    },
+    {
+      status: 'failed',
+      title: 'Part 3',
+      videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      position: 3,
+      error: 'No matching caption track in the watch page'
+    }
+  ], new Date('2024-02-01T10:30:00.000Z'), 'markdown', { id: 'PL123', title: 'Woodworking basics' });
+
+  assert.equal(index, [
+    '# Woodworking basics',
+    '',
+    '- Playlist: https://www.youtube.com/playlist?list=PL123',
+    '- Exported: 2024-02-01T10:30:00.000Z',
+    '- Format: Markdown',
+    '- Videos: 2 (1 exported, 1 not exported)',
+    '',
+    '| # | Title | Video | Video ID | Status | Error code | Method | Time | File |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+    '| 1 | Part 1 | https://www.youtube.com/watch?v=kxpbdFMgPJ4 |  | exported |  |  |  | yt-transcripts/YouTube-Part-1.md |',
+    '| 3 | Part 3 | https://www.youtube.com/watch?v=dQw4w9WgXcQ |  | failed: No matching caption track in the watch page |  |  |  |  |',
+    ''
+  ].join('\n'));
+  assert.equal(context.getBatchFileStem(new Date(2024, 1, 1, 10, 30, 0), { id: 'PL123', title: 'Woodworking basics' }),
+    'YouTube-playlist-Woodworking-basics-2024-02-01-10-30-00');
+});
+
+test('lists channel uploads in the date range and stops paging past it', async () => {
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const upload = (videoId, published) => ({
+    richItemRenderer: { content: { videoRenderer: { videoId, title: { simpleText: videoId }, publishedTimeText: { simpleText: published } } } }
+  });
+  const more = token => ({ continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token } } } });
+  const gridPage = contents => ({
+    metadata: { channelMetadataRenderer: { title: 'Workshop' } },
+    contents: { richGridRenderer: { contents } }
+  });
+  const config = '"INNERTUBE_API_KEY":"test-key","INNERTUBE_CONTEXT":{"client":{"clientName":"WEB"}},';
+  const requests = [];
+  context.fetch = async (url, options) => {
+    requests.push(url);
+    const path = new URL(url).pathname;
+    if (path === '/@Workshop/videos') {
+      const body = `<script>var ytInitialData = ${JSON.stringify(gridPage([
+        upload('kxpbdFMgPJ4', '2 days ago'),
+        upload('jNQXAC9IVRw', '3 weeks ago'),
+        more('PAGE_2')
+      ]))};</script><script>ytcfg.set({${config}});</script>`;
+      return { ok: true, status: 200, text: async () => body };
+    }
+    if (path === '/@Workshop/shorts') {
+      return { ok: true, status: 200, text: async () => '<html>No shorts</html>' };
+    }
+    const { continuation } = JSON.parse(options.body);
+    assert.equal(continuation, 'PAGE_2');
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        onResponseReceivedActions: [{
+          appendContinuationItemsAction: {
+            continuationItems: [upload('hzA0sE7GVcU', '1 month ago'), upload('E6QjMPa3KcM', '4 months ago'), more('PAGE_3')]
+          }
+        }]
+      })
+    };
+  };
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+
+  const channel = await context.fetchChannelVideos('/@Workshop', {
+    kinds: ['video', 'short'],
+    publishedRange: { after: daysAgo(60), before: daysAgo(7) }
+  }, settings);
+
+  assert.equal(channel.title, 'Workshop');
+  assert.deepEqual(Array.from(channel.videos, video => `${video.kind}:${video.videoId}`), [
+    'video:jNQXAC9IVRw',
+    'video:hzA0sE7GVcU'
+  ]);
+  assert.equal(channel.videos[0].videoUrl, 'https://www.youtube.com/watch?v=jNQXAC9IVRw');
+  assert.equal(requests[0], 'https://www.youtube.com/@Workshop/videos?hl=en');
+  assert.equal(requests.filter(url => url.includes('/youtubei/v1/browse')).length, 1);
+});
+
+test('skips batch videos published outside the date range', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    microformat: { playerMicroformatRenderer: { publishDate: '2024-01-15' } },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  }, captionText);
+  context.chrome.tabs.create = async () => {
+    throw new Error('The date check must not open a tab');
+  };
+
+  const progress = [];
+  const { successCount, failCount, skippedCount, batchResults } = await context.runBatchExport([
+    { videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4', publishedRange: { after: '2024-02-01', before: null } }
+  ], {
+    onProgress: (index, status) => progress.push(status)
+  });
+
+  assert.deepEqual(progress, ['extracting', 'skipped']);
+  assert.equal(successCount, 0);
+  assert.equal(failCount, 0);
+  assert.equal(skippedCount, 1);
+  assert.equal(batchResults[0].error, 'Published 2024-01-15, outside the date range');
+});
+
+test('checks the publish date of videos read in a tab', async () => {
+  fakeYouTube({ playabilityStatus: { status: 'LOGIN_REQUIRED' } }, '');
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+  const extractWithNewTab = context.extractWithNewTab;
+  const heldFiles = [];
+  context.extractWithNewTab = async (videoUrl, mode, format, tabSettings, holdFile) => {
+    heldFiles.push(holdFile);
+    return {
+      mode,
+      format,
+      videoId: 'kxpbdFMgPJ4',
+      title: 'Bookshelf',
+      publishDateIso: '2024-01-15',
+      file: { filename: 'YouTube-Bookshelf.md', content: 'Transcript', mimeType: 'text/markdown;charset=utf-8' }
+    };
+  };
+
+  try {
+    const item = { videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4', publishedRange: { after: '2024-02-01', before: null } };
+    await assert.rejects(
+      context.exportBatchItem(item, 'download', 'markdown', settings, false),
+      error => error.code === 'OUTSIDE_DATE_RANGE' && error.message === 'Published 2024-01-15, outside the date range'
+    );
+    assert.deepEqual(heldFiles, [true]);
+    assert.equal(downloads.length, 0);
+
+    const result = await context.exportBatchItem({ ...item, publishedRange: { after: '2024-01-01', before: null } }, 'download', 'markdown', settings, false);
+    assert.equal(result.readFrom, 'tab');
+    assert.equal(downloads.length, 1);
+  } finally {
+    context.extractWithNewTab = extractWithNewTab;
+  }
+});
+
+test('runs batch videos side by side up to the concurrency setting', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  }, captionText);
+  const youtubeFetch = context.fetch;
+  let inFlight = 0;
+  let mostInFlight = 0;
+  context.fetch = async (url, options) => {
+    inFlight++;
+    mostInFlight = Math.max(mostInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    inFlight--;
+    return youtubeFetch(url, options);
+  };
+  context.chrome.downloads = {
+    async download() {
+      return 1;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+
+  const videoIds = ['kxpbdFMgPJ4', 'jNQXAC9IVRw', 'hzA0sE7GVcU', 'E6QjMPa3KcM', 'dQw4w9WgXcQ'];
+  const { successCount, batchResults } = await context.runBatchExport(
+    videoIds.map(videoId => ({ videoUrl: `https://www.youtube.com/watch?v=${videoId}` })),
+    { format: 'plain' }
+  );
+
+  assert.equal(successCount, 5);
+  assert.ok(mostInFlight > 1, `expected overlapping requests, saw ${mostInFlight}`);
+  assert.ok(mostInFlight <= 3, `expected at most 3 videos at a time, saw ${mostInFlight}`);
+  assert.deepEqual(Array.from(batchResults, result => result.videoUrl), videoIds.map(videoId => `https://www.youtube.com/watch?v=${videoId}`));
+});
+
+test('activates fallback tabs one at a time', async () => {
+  const order = [];
+  const tasks = [1, 2, 3].map(number => context.runInForeground(async () => {
+    order.push(`start ${number}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    order.push(`end ${number}`);
+    if (number === 2) {
+      throw new Error('Tab closed');
+    }
+    return number;
+  }));
+
+  const results = await Promise.allSettled(tasks);
+  assert.deepEqual(order, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+});
+
+test('reports batch progress to the panel and retries failed videos', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  }, captionText);
+  const youtubeFetch = context.fetch;
+  let brokenVideo = 'bbbbbbbbbbb';
+  context.fetch = async (url, options) => url.includes(`v=${brokenVideo}`)
+    ? { ok: false, status: 404, text: async () => '' }
+    : youtubeFetch(url, options);
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+  context.chrome.tabs.create = async () => {
+    throw new Error('No tabs in tests');
+  };
+
+  sentMessages.length = 0;
+  await context.runBatchExport([
+    { videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4', title: 'First' },
+    { videoUrl: 'https://www.youtube.com/watch?v=bbbbbbbbbbb' }
+  ], { format: 'plain', label: 'List of links', zip: true });
+
+  const started = sentMessages.find(message => message.type === 'BATCH_STARTED');
+  assert.equal(started.batch.label, 'List of links');
+  assert.deepEqual(started.batch.items.map(item => [item.title, item.state]), [['First', 'queued'], [null, 'queued']]);
+
+  const batchId = started.batch.id;
+  const statesOf = index => sentMessages
+    .filter(message => message.type === 'BATCH_ITEM_UPDATED' && message.item.index === index)
+    .map(message => message.item.state);
+  assert.deepEqual(statesOf(0), ['extracting', 'exported']);
+  assert.deepEqual(statesOf(1), ['extracting', 'activating', 'failed']);
+  assert.ok(sentMessages.some(message => message.type === 'BATCH_FINISHED' && message.batchId === batchId));
+
+  const lastUpdateOf = index => sentMessages
+    .filter(message => message.type === 'BATCH_ITEM_UPDATED' && message.item.index === index)
+    .pop().item;
+  const failedItem = lastUpdateOf(1);
+  assert.equal(failedItem.errorCode, 'HTTP_ERROR');
+  assert.equal(failedItem.error, 'No tabs in tests (watch page: Request failed: 404)');
+  assert.ok(failedItem.finishedAt >= failedItem.startedAt);
+
+  assert.equal(context.retryBatchItems(batchId, [0]).error, 'No failed videos to retry.');
+  assert.equal(context.retryBatchItems(batchId + 1, [1]).error, 'That batch is no longer available.');
+
+  brokenVideo = null;
+  sentMessages.length = 0;
+  const zipDownloads = downloads.length;
+  assert.deepEqual({ ...context.retryBatchItems(batchId, [1]) }, { started: true, count: 1 });
+  assert.equal(context.retryBatchItems(batchId, [1]).error, 'Wait for the batch to finish before retrying.');
+  await new Promise(resolve => {
+    const check = () => (sentMessages.some(message => message.type === 'BATCH_FINISHED') ? resolve() : setTimeout(check, 10));
+    check();
+  });
+
+  assert.deepEqual(statesOf(1), ['queued', 'extracting', 'exported']);
+  const batchMessages = sentMessages.filter(message => message.type.startsWith('BATCH_'));
+  assert.ok(batchMessages.every(message => message.type !== 'BATCH_STARTED' && message.batchId === batchId));
+  assert.equal(lastUpdateOf(1).errorCode, null);
+  // The retried video is its own file with its own report, not a second ZIP
+  assert.equal(downloads.length, zipDownloads + 3);
+  assert.match(downloads[zipDownloads].filename, /^YouTube-Bookshelf-.*\.md$/);
+});
+
+test('skips batch videos already exported in the same format', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  }, captionText);
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+  await context.clearExportHistory();
+  storedSettings = { version: 1, batch: { skipExported: 'exported', report: false } };
+  const videoItems = videoIds => videoIds.map(videoId => ({ videoUrl: `https://www.youtube.com/watch?v=${videoId}` }));
+
+  try {
+    const first = await context.runBatchExport(videoItems(['kxpbdFMgPJ4', 'jNQXAC9IVRw']), { format: 'plain' });
+    assert.equal(first.successCount, 2);
+    assert.equal(downloads.length, 2);
+
+    const record = await context.findPreviousExport('kxpbdFMgPJ4', 'plain');
+    assert.equal(record.title, 'Bookshelf');
+    assert.deepEqual({ ...record.captions, hash: typeof record.captions.hash }, {
+      language: 'en',
+      isAutoGenerated: false,
+      translatedFrom: null,
+      segmentCount: 7,
+      hash: 'string'
+    });
+
+    const progress = [];
+    const second = await context.runBatchExport(videoItems(['kxpbdFMgPJ4', 'hzA0sE7GVcU', 'jNQXAC9IVRw']), {
+      format: 'plain',
+      onProgress: (index, status) => progress.push(`${index}:${status}`)
+    });
+    assert.deepEqual([second.successCount, second.failCount, second.skippedCount], [1, 0, 2]);
+    assert.deepEqual(progress.filter(step => !step.startsWith('1:')), ['0:skipped', '2:skipped']);
+    assert.equal(second.batchResults[0].errorCode, 'ALREADY_EXPORTED');
+    assert.match(second.batchResults[0].error, /^Already exported on \d{4}-\d{2}-\d{2}$/);
+    assert.equal(downloads.length, 3);
+
+    // Another format is another file
+    const asSrt = await context.runBatchExport(videoItems(['kxpbdFMgPJ4']), { format: 'srt' });
+    assert.equal(asSrt.successCount, 1);
+
+    // Combined documents always include every video
+    const combined = await context.runBatchExport(videoItems(['kxpbdFMgPJ4']), { combine: 'download' });
+    assert.equal(combined.successCount, 1);
+
+    assert.equal(await context.clearExportHistory(), 4);
+    assert.equal(await context.findPreviousExport('kxpbdFMgPJ4', 'plain'), null);
+  } finally {
+    storedSettings = undefined;
+  }
+});
+
+test('exports a video again only when its captions changed', async () => {
+  const manualCaptions = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  const playerResponse = {
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  };
+  fakeYouTube(playerResponse, manualCaptions);
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+  await context.clearExportHistory();
+  storedSettings = { version: 1, batch: { skipExported: 'changed', report: false } };
+  const items = [{ videoUrl: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4' }];
+
+  try {
+    assert.equal((await context.runBatchExport(items, { format: 'plain' })).successCount, 1);
+
+    const unchanged = await context.runBatchExport(items, { format: 'plain' });
+    assert.equal(unchanged.skippedCount, 1);
+    assert.equal(unchanged.batchResults[0].errorCode, 'CAPTIONS_UNCHANGED');
+    assert.equal(downloads.length, 1);
+
+    // An edited cue is a change
+    fakeYouTube(playerResponse, manualCaptions.replace('Welcome back to the workshop.', 'Welcome to the workshop.'));
+    assert.equal((await context.runBatchExport(items, { format: 'plain' })).successCount, 1);
+    assert.equal(downloads.length, 2);
+    assert.equal((await context.runBatchExport(items, { format: 'plain' })).skippedCount, 1);
+  } finally {
+    storedSettings = undefined;
+  }
+
+  assert.equal(context.captionsChanged(null, { hash: '0' }), true);
+  assert.equal(context.captionsChanged(
+    { language: 'en', isAutoGenerated: true, translatedFrom: null, segmentCount: 5, hash: '1a2b3c4d' },
+    { language: 'en', isAutoGenerated: false, translatedFrom: null, segmentCount: 5, hash: '1a2b3c4d' }
+  ), true);
+});
+
+test('shows skipped videos apart from failures in the batch badge', () => {
+  const badges = [];
+  const { setBadgeText } = context.chrome.action;
+  context.chrome.action.setBadgeText = ({ text }) => badges.push(text);
+  try {
+    context.showBatchSummary(1, 3, 0, 3);
+    context.showBatchSummary(1, 0, 0, 4, 4);
+    context.showBatchSummary(1, 2, 0, 5, 3);
+    context.showBatchSummary(1, 2, 1, 5, 2);
+  } finally {
+    context.chrome.action.setBadgeText = setBadgeText;
+  }
+  assert.deepEqual(badges, ['✓3', '↷4', '2↷3', '2/5']);
+});
+
+test('counts a tab that is already exporting as skipped', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  }, captionText);
+  const youtubeFetch = context.fetch;
+  context.fetch = async (url, options) => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return youtubeFetch(url, options);
+  };
+  context.chrome.downloads = {
+    async download() {
+      return 1;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+
+  // The same tab twice, so the second worker finds it busy
+  const tab = { id: 12, url: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4' };
+  const { successCount, failCount, skippedCount, batchResults } = await context.runBatchExport([
+    { tab, videoUrl: tab.url },
+    { tab, videoUrl: tab.url }
+  ], { format: 'plain', zip: false });
+
+  assert.deepEqual([successCount, failCount, skippedCount], [1, 0, 1]);
+  assert.deepEqual(Array.from(batchResults, result => [result.status, result.errorCode]), [['exported', null], ['skipped', 'ALREADY_RUNNING']]);
+});
+
+test('exports library transcripts again through the export history', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+  const exportData = context.YouTubeTranscriptCore.buildExportData({
+    videoId: 'E6QjMPa3KcM',
+    metadata: { title: 'Workbench', channelName: 'Workshop' },
+    chapters: [],
+    transcript: {
+      segments: context.YouTubeTranscriptCore.parseCaptionResponse(captionText),
+      language: 'en',
+      isAutoGenerated: false,
+      source: 'captionTracks'
+    },
+    settings
+  });
+  await context.YouTubeTranscriptLibrary.saveToLibrary(exportData);
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+
+  const { filename } = await context.exportLibraryTranscript({ videoId: 'E6QjMPa3KcM', language: 'en', sourceLanguage: 'en' }, 'srt');
+
+  assert.match(filename, /^YouTube-Workbench-.*\.srt$/);
+  assert.equal(downloads.length, 1);
+  assert.equal(downloads[0].filename, filename);
+  assert.equal(downloads[0].conflictAction, 'uniquify');
+  const record = JSON.parse(localStorage.get('exported:E6QjMPa3KcM:srt'));
+  assert.equal(record.title, 'Workbench');
+  assert.deepEqual(record.captions, JSON.parse(JSON.stringify(context.describeCaptions(exportData))));
+
+  await assert.rejects(
+    context.exportLibraryTranscript({ videoId: 'E6QjMPa3KcM', language: 'fr', sourceLanguage: 'fr' }, 'srt'),
+    /no longer in the library/
+  );
+});
+
+test('cancels a running batch and keeps the videos already exported', async () => {
+  const captionText = fs.readFileSync(path.join(__dirname, 'fixtures', 'json3-manual-punctuated.json'), 'utf8');
+  fakeYouTube({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { title: 'Bookshelf' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=kxpbdFMgPJ4&lang=en', languageCode: 'en' }]
+      }
+    }
+  }, captionText);
+  const youtubeFetch = context.fetch;
+  let watchPagesRequested = 0;
+  let abortedRequests = 0;
+  // The first video answers at once, the rest wait until they are aborted
+  context.fetch = async (url, options) => {
+    if (url.startsWith('https://www.youtube.com/watch')) {
+      watchPagesRequested++;
+    }
+    if (!url.includes('kxpbdFMgPJ4')) {
+      await new Promise((resolve, reject) => {
+        setTimeout(resolve, 5000);
+        options.signal.addEventListener('abort', () => {
+          abortedRequests++;
+          reject(new DOMException('The operation was aborted', 'AbortError'));
+        });
+      });
+    }
+    return youtubeFetch(url, options);
+  };
+  const downloads = [];
+  context.chrome.downloads = {
+    async download(options) {
+      downloads.push(options);
+      return downloads.length;
+    },
+    async search() {
+      return [{ state: 'complete' }];
+    },
+    onChanged: { addListener() {}, removeListener() {} }
+  };
+  const menuUpdates = [];
+  context.chrome.contextMenus.update = (id, properties) => menuUpdates.push([id, properties.enabled]);
+  const activated = [];
+  context.chrome.tabs.query = async () => [{ id: 7 }];
+  context.chrome.tabs.update = async (tabId, properties) => {
+    activated.push([tabId, properties.active]);
+    return { id: tabId };
+  };
+
+  try {
+    assert.equal(context.cancelBatchExports(), 0);
+    const videoIds = ['kxpbdFMgPJ4', 'jNQXAC9IVRw', 'hzA0sE7GVcU', 'E6QjMPa3KcM', 'dQw4w9WgXcQ', 'aqz-KE-bpKQ'];
+    const running = context.runBatchExport(
+      videoIds.map(videoId => ({ videoUrl: `https://www.youtube.com/watch?v=${videoId}` })),
+      { format: 'plain', zip: false }
+    );
+    // Cancel once the first video is saved and the next two are being read
+    while (watchPagesRequested < 3 || downloads.length < 1) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.equal(context.cancelBatchExports(), 1);
+
+    const { successCount, failCount, skippedCount, cancelled, batchResults } = await running;
+    assert.equal(cancelled, true);
+    assert.deepEqual([successCount, failCount, skippedCount], [1, 0, 5]);
+    assert.deepEqual(Array.from(batchResults, result => result.errorCode), [null, 'CANCELLED', 'CANCELLED', 'CANCELLED', 'CANCELLED', 'CANCELLED']);
+    // Watch pages being read are aborted, not saved
+    assert.ok(abortedRequests >= 2, `expected the running reads to be aborted, saw ${abortedRequests}`);
+    // One transcript and the report of all six videos
+    assert.equal(downloads.length, 3);
+    assert.deepEqual(activated, [[7, true]]);
+    assert.deepEqual(menuUpdates, [['yt-cancel-batch', true], ['yt-cancel-batch', false]]);
+    assert.equal(context.cancelBatchExports(), 0);
+  } finally {
+    delete context.chrome.tabs.update;
+    context.chrome.tabs.query = () => {};
+    context.chrome.contextMenus.update = () => {};
+  }
+});
+
+test('stops waiting for a tab and activates no more tabs once cancelled', async () => {
+  const settings = await context.YouTubeTranscriptSettings.loadSettings();
+  context.chrome.scripting.executeScript = async () => {};
+  context.chrome.tabs.sendMessage = async () => {};
+  const controller = new AbortController();
+
+  const waiting = context.extractInTab(41, 'download', 'plain', settings, false, null, controller.signal);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  controller.abort();
+  await assert.rejects(waiting, error => error.code === 'CANCELLED');
+
+  let activations = 0;
+  context.chrome.tabs.update = async () => {
+    activations++;
+  };
+  try {
+    await assert.rejects(
+      context.extractWithActivatedTab({ id: 42 }, 'download', 'plain', settings, false, null, () => {}, controller.signal),
+      error => error.code === 'CANCELLED'
+    );
+    assert.equal(activations, 0);
+  } finally {
+    delete context.chrome.tabs.update;
+  }
+
+  // The cancelled tab reloaded instead of answering; its next single-tab
+  // export still gets its result
+  // The batch item frees its tab when it settles
+  vm.runInContext('activeOperations.delete(41)', context);
+  const copying = context.executeTranscriptAction({ id: 41, url: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4' }, 'clipboard');
+  await new Promise(resolve => setTimeout(resolve, 10));
+  for (const listener of messageListeners) {
+    listener({ type: 'EXTRACTION_SUCCESS', data: { mode: 'clipboard', videoId: 'kxpbdFMgPJ4' } }, { tab: { id: 41 } }, () => {});
+  }
+  assert.equal(await copying, true);
+});
@@ -7,16 +7,17 @@ const vm = require('node:vm');
 const contentScript = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8')
   .replace(/\n\}\)\(\);\s*$/, `
   window.__testHooks = {
-    collectTranscriptLines,
+    collectTranscriptSegments,
     cleanTranscriptLine,
-    extractJsonBlock,
+    extractSegmentsFromDomRows,
+    extractSegmentsFromInnertube,
+    extractSegmentsFromVisibleText,
     extractTextFromInnertube,
     extractTextFromDomSegments,
     extractTranscriptFromVisibleText,
     extractVideoId,
-    findTranscriptParams,
-    normalizeVideoId,
-    sanitizeFilename
+    findTranscriptLanguageOptions,
+    findTranscriptParams
   };
 })();`);
 
@@ -57,8 +58,28 @@ context.window.window = context.window;
 context.window.document = context.document;
 
 vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'settings.js'), 'utf8'), context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'filename-template.js'), 'utf8'), context);
+context.window.YouTubeTranscriptSettings = context.YouTubeTranscriptSettings;
+context.window.YouTubeTranscriptFilenames = context.YouTubeTranscriptFilenames;
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'transcript-core.js'), 'utf8'), context);
+context.window.YouTubeTranscriptCore = context.YouTubeTranscriptCore;
 vm.runInContext(contentScript, context);
 
+// Content script internals and the shared transcript helpers it uses
+const hooks = { ...context.YouTubeTranscriptCore, ...context.window.__testHooks };
+
+test('offers every output format with the extension it is saved under', () => {
+  const offered = context.YouTubeTranscriptSettings.EXPORT_FORMATS
+    .map(format => [format.id, format.extension])
+    .sort();
+  const saved = Object.entries(hooks.OUTPUT_FORMATS)
+    .map(([id, format]) => [id, format.extension])
+    .sort();
+
+  assert.deepEqual(JSON.parse(JSON.stringify(offered)), JSON.parse(JSON.stringify(saved)));
+});
+
 test('extracts video ids from supported URL forms', () => {
   const cases = [
     ['https://www.youtube.com/watch?v=kxpbdFMgPJ4', 'kxpbdFMgPJ4'],
@@ -70,7 +91,7 @@ test('extracts video ids from supported URL forms', () => {
   ];
 
   for (const [url, expected] of cases) {
-    assert.equal(context.window.__testHooks.extractVideoId(url), expected, url);
+    assert.equal(hooks.extractVideoId(url), expected, url);
   }
 });
 
@@ -83,19 +104,286 @@ test('rejects missing or malformed video ids', () => {
   ];
 
   for (const url of cases) {
-    assert.equal(context.window.__testHooks.extractVideoId(url), null, url);
+    assert.equal(hooks.extractVideoId(url), null, url);
+  }
+});
+
+test('reads pasted video lists one video per line', () => {
+  const { videos, rejected, duplicates } = hooks.parseVideoList([
+    'https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=10s',
+    '',
+    '  jNQXAC9IVRw  ',
+    'youtu.be/kxpbdFMgPJ4',
+    'www.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://www.youtube.com/playlist?list=PL123',
+    'not a video'
+  ].join('\r\n'));
+
+  assert.deepEqual(Array.from(videos, video => [video.line, video.videoId]), [
+    [1, 'kxpbdFMgPJ4'],
+    [3, 'jNQXAC9IVRw'],
+    [5, 'dQw4w9WgXcQ']
+  ]);
+  assert.equal(videos[1].videoUrl, 'https://www.youtube.com/watch?v=jNQXAC9IVRw');
+  assert.deepEqual(Array.from(duplicates, entry => [entry.line, entry.videoId]), [[4, 'kxpbdFMgPJ4']]);
+  assert.deepEqual(Array.from(rejected, entry => [entry.line, entry.text]), [
+    [6, 'https://www.youtube.com/playlist?list=PL123'],
+    [7, 'not a video']
+  ]);
+});
+
+test('reads playlist ids from playlist and watch URLs', () => {
+  const cases = [
+    ['https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'],
+    ['https://www.youtube.com/watch?v=kxpbdFMgPJ4&list=PL123_abc-XYZ&index=3', 'PL123_abc-XYZ'],
+    ['https://m.youtube.com/playlist?list=PL123', 'PL123'],
+    ['https://www.youtube.com/watch?v=kxpbdFMgPJ4', null],
+    ['https://www.youtube.com/feed/playlists', null],
+    ['https://example.com/playlist?list=PL123', null],
+    ['https://www.youtube.com/playlist?list=PL%3Cscript%3E', null]
+  ];
+
+  for (const [url, expected] of cases) {
+    assert.equal(hooks.parsePlaylistUrl(url), expected, url);
+  }
+});
+
+test('reads playlist videos and the continuation token', () => {
+  const video = (videoId, index, title) => ({
+    playlistVideoRenderer: { videoId, index: { simpleText: String(index) }, title: { runs: [{ text: title }] } }
+  });
+  const initialData = {
+    metadata: { playlistMetadataRenderer: { title: 'Woodworking basics' } },
+    contents: {
+      twoColumnBrowseResultsRenderer: {
+        tabs: [{
+          tabRenderer: {
+            content: {
+              sectionListRenderer: {
+                contents: [{
+                  itemSectionRenderer: {
+                    contents: [{
+                      playlistVideoListRenderer: {
+                        contents: [
+                          video('kxpbdFMgPJ4', 1, 'Measure'),
+                          video('jNQXAC9IVRw', 2, 'Cut'),
+                          { continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token: 'NEXT_PAGE' } } } }
+                        ]
+                      }
+                    }]
+                  }
+                }]
+              }
+            }
+          }
+        }]
+      }
+    }
+  };
+
+  const page = hooks.readPlaylistPage(initialData);
+  assert.equal(page.title, 'Woodworking basics');
+  assert.equal(page.continuation, 'NEXT_PAGE');
+  assert.deepEqual(JSON.parse(JSON.stringify(page.videos)), [
+    { videoId: 'kxpbdFMgPJ4', title: 'Measure', position: 1 },
+    { videoId: 'jNQXAC9IVRw', title: 'Cut', position: 2 }
+  ]);
+
+  const nextPage = hooks.readPlaylistContinuation({
+    onResponseReceivedActions: [{
+      appendContinuationItemsAction: { continuationItems: [video('dQw4w9WgXcQ', 3, 'Sand')] }
+    }]
+  });
+  assert.equal(nextPage.continuation, null);
+  assert.equal(nextPage.videos[0].position, 3);
+
+  assert.equal(hooks.readPlaylistPage({ contents: {} }), null);
+});
+
+test('reads channel links and handles', () => {
+  const cases = [
+    ['https://www.youtube.com/@Workshop', '/@Workshop'],
+    ['https://www.youtube.com/@Workshop/videos?view=0', '/@Workshop'],
+    ['youtube.com/@work.shop-1', '/@work.shop-1'],
+    ['@Workshop', '/@Workshop'],
+    ['https://www.youtube.com/channel/UCxxxxxxxxxxxxxxxxxxxxxx/streams', '/channel/UCxxxxxxxxxxxxxxxxxxxxxx'],
+    ['https://m.youtube.com/c/Workshop', '/c/Workshop'],
+    ['https://www.youtube.com/user/workshop', '/user/workshop'],
+    ['https://www.youtube.com/watch?v=kxpbdFMgPJ4', null],
+    ['https://www.youtube.com/channel/not-a-channel', null],
+    ['https://example.com/@Workshop', null]
+  ];
+
+  for (const [value, expected] of cases) {
+    assert.equal(hooks.parseChannelReference(value), expected, value);
   }
 });
 
+test('reads channel uploads and leaves out upcoming and live streams', () => {
+  const item = content => ({ richItemRenderer: { content } });
+  const page = hooks.readChannelPage({
+    metadata: { channelMetadataRenderer: { title: 'Workshop', externalId: 'UCxxxxxxxxxxxxxxxxxxxxxx' } },
+    contents: {
+      twoColumnBrowseResultsRenderer: {
+        tabs: [{ tabRenderer: { title: 'Home' } }, {
+          tabRenderer: {
+            selected: true,
+            content: {
+              richGridRenderer: {
+                contents: [
+                  item({ videoRenderer: { videoId: 'kxpbdFMgPJ4', title: { runs: [{ text: 'Measure' }] }, publishedTimeText: { simpleText: '3 days ago' } } }),
+                  item({ videoRenderer: { videoId: 'jNQXAC9IVRw', title: { simpleText: 'Soon' }, upcomingEventData: { startTime: '1900000000' } } }),
+                  item({ videoRenderer: { videoId: 'hzA0sE7GVcU', title: { simpleText: 'Now' }, badges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_LIVE_NOW' } }] } }),
+                  item({ reelItemRenderer: { videoId: 'E6QjMPa3KcM', headline: { simpleText: 'Quick tip' } } }),
+                  item({ shortsLockupViewModel: {
+                    onTap: { innertubeCommand: { reelWatchEndpoint: { videoId: 'dQw4w9WgXcQ' } } },
+                    overlayMetadata: { primaryText: { content: 'Another tip' } }
+                  } }),
+                  { continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token: 'NEXT_PAGE' } } } }
+                ]
+              }
+            }
+          }
+        }]
+      }
+    }
+  });
+
+  assert.equal(page.title, 'Workshop');
+  assert.equal(page.channelId, 'UCxxxxxxxxxxxxxxxxxxxxxx');
+  assert.equal(page.continuation, 'NEXT_PAGE');
+  assert.deepEqual(JSON.parse(JSON.stringify(page.videos)), [
+    { videoId: 'kxpbdFMgPJ4', title: 'Measure', publishedText: '3 days ago' },
+    { videoId: 'E6QjMPa3KcM', title: 'Quick tip', publishedText: null },
+    { videoId: 'dQw4w9WgXcQ', title: 'Another tip', publishedText: null }
+  ]);
+});
+
+test('turns relative upload times into publish date ranges', () => {
+  const now = new Date('2024-03-31T12:00:00.000Z');
+
+  assert.deepEqual({ ...hooks.parseRelativeDate('3 days ago', now) }, { earliest: '2024-03-27', latest: '2024-03-28' });
+  assert.deepEqual({ ...hooks.parseRelativeDate('Streamed 1 week ago', now) }, { earliest: '2024-03-17', latest: '2024-03-24' });
+  assert.equal(hooks.parseRelativeDate('Premieres tomorrow', now), null);
+
+  // Months may be 28 days and years 365, so the latest day is not too early
+  assert.deepEqual({ ...hooks.parseRelativeDate('1 month ago', now) }, { earliest: '2024-01-29', latest: '2024-03-03' });
+  assert.deepEqual(
+    { ...hooks.parseRelativeDate('1 year ago', new Date('2023-06-01T12:00:00.000Z')) },
+    { earliest: '2021-05-30', latest: '2022-06-01' }
+  );
+  assert.equal(hooks.mayBePublishedInRange({ publishedText: '1 month ago' }, { after: '2024-03-02' }, new Date('2024-03-30T12:00:00.000Z')), true);
+  assert.equal(hooks.mayBePublishedInRange({ publishedText: '1 year ago' }, { after: '2022-06-01' }, new Date('2023-06-01T12:00:00.000Z')), true);
+
+  const range = { after: '2024-03-01', before: '2024-03-25' };
+  assert.equal(hooks.mayBePublishedInRange({ publishedText: '3 days ago' }, range, now), false);
+  assert.equal(hooks.mayBePublishedInRange({ publishedText: '1 week ago' }, range, now), true);
+  assert.equal(hooks.mayBePublishedInRange({ publishedText: '2 months ago' }, range, now), false);
+  assert.equal(hooks.mayBePublishedInRange({ publishedText: null }, range, now), true);
+
+  assert.equal(hooks.isPublishedInRange('2024-03-01', range), true);
+  assert.equal(hooks.isPublishedInRange('2024-03-26', range), false);
+  assert.equal(hooks.isPublishedInRange('2024-03-26', { after: '2024-03-01', before: null }), true);
+  assert.equal(hooks.isPublishedInRange(null, range), true);
+});
+
+test('starts rate limited requests without waiting for earlier ones', async () => {
+  const limiter = new hooks.RateLimiter(10, 1000);
+  let inFlight = 0;
+  let mostInFlight = 0;
+  const slowRequest = value => limiter.execute(async () => {
+    inFlight++;
+    mostInFlight = Math.max(mostInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    inFlight--;
+    return value;
+  });
+
+  const requests = [slowRequest(1), slowRequest(2), slowRequest(3)];
+  assert.equal(limiter.queue.length, 2);
+  const room = limiter.waitForRoom(1);
+
+  assert.deepEqual(await Promise.all(requests), [1, 2, 3]);
+  await room;
+  assert.ok(mostInFlight > 1, `expected overlapping requests, saw ${mostInFlight}`);
+});
+
+test('backs off and retries requests YouTube rate limits', async () => {
+  const limiter = new hooks.RateLimiter(10, 10);
+  let attempts = 0;
+
+  const result = await limiter.execute(async () => {
+    attempts++;
+    if (attempts === 1) {
+      const error = new Error('Request failed: 429');
+      error.status = 429;
+      throw error;
+    }
+    return 'ok';
+  });
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 2);
+});
+
 test('keeps filenames usable on common file systems', () => {
-  assert.equal(context.window.__testHooks.sanitizeFilename(' A bad:/title?* '), 'A-bad-title');
-  assert.equal(context.window.__testHooks.sanitizeFilename('CON'), 'CON_');
-  assert.equal(context.window.__testHooks.sanitizeFilename(''), 'youtube-transcript');
+  const { sanitizeFilename } = context.YouTubeTranscriptFilenames;
+
+  assert.equal(sanitizeFilename(' A bad:/title?* '), 'A-bad-title');
+  assert.equal(sanitizeFilename('CON'), 'CON_');
+  assert.equal(sanitizeFilename(''), 'youtube-transcript');
+});
+
+test('builds filenames from templates with sanitized token values', () => {
+  const details = {
+    title: 'Part 1: "Intro" / Setup',
+    channelName: 'Some Channel',
+    videoId: 'kxpbdFMgPJ4',
+    publishDateIso: '2024-01-15',
+    exportedAt: '2024-02-01T10:30:05.000Z',
+    language: 'en-GB',
+    format: 'srt'
+  };
+  const { buildFilename } = hooks;
+
+  assert.equal(
+    buildFilename('{published:YYYY-MM-DD} {channel} - {title} [{videoId}]', details),
+    '2024-01-15-Some-Channel-Part-1-Intro-Setup-[kxpbdFMgPJ4].srt'
+  );
+  assert.equal(
+    buildFilename('YouTube-{title}-{exported}', { ...details, format: 'markdown' }),
+    'YouTube-Part-1-Intro-Setup-2024-02-01-10-30-05.md'
+  );
+  assert.equal(
+    buildFilename('{exported:YYYYMMDD-HHmm}_{lang}_{format}', { ...details, format: 'json' }),
+    '20240201-1030_en-GB_json.json'
+  );
+});
+
+test('puts downloads in templated folders without leaving Downloads', () => {
+  const { buildDownloadPath } = hooks;
+  const details = { channelName: 'AC/DC: Live', language: 'en', format: 'srt' };
+
+  assert.equal(buildDownloadPath('', 'name.srt', details), 'name.srt');
+  assert.equal(buildDownloadPath('yt-transcripts/{channel}/', 'name.srt', details), 'yt-transcripts/AC-DC-Live/name.srt');
+  assert.equal(buildDownloadPath('../{lang}\\{format}', 'name.srt', details), 'en/srt/name.srt');
+  assert.equal(buildDownloadPath('yt-transcripts/{channel}', 'name.srt', { format: 'srt' }), 'yt-transcripts/name.srt');
+});
+
+test('collapses missing filename tokens and keeps unknown ones', () => {
+  const { buildFilename } = hooks;
+  const details = { title: null, videoId: 'kxpbdFMgPJ4', format: 'vtt' };
+
+  assert.equal(buildFilename('{channel}-{published}-{title}', details), 'transcript.vtt');
+  assert.equal(buildFilename('{videoId}-{unknown}', details), 'kxpbdFMgPJ4-{unknown}.vtt');
+  assert.equal(buildFilename('', { ...details, exportedAt: '2024-02-01T10:30:05Z' }), 'YouTube-transcript-2024-02-01-10-30-05.vtt');
+  assert.equal(buildFilename('{lang}', { ...details, language: 'unknown' }), 'youtube-transcript.vtt');
+  assert.equal(buildFilename('{title}', { ...details, title: 'x'.repeat(300) }).length, 100 + '.vtt'.length);
 });
 
 test('extracts JSON blocks that contain braces inside strings', () => {
   const source = 'var ytInitialPlayerResponse = {"title":"a } tricky title","nested":{"text":"brace { here"}}; next();';
-  const json = context.window.__testHooks.extractJsonBlock(source, 'ytInitialPlayerResponse');
+  const json = hooks.extractJsonBlock(source, 'ytInitialPlayerResponse');
 
   assert.deepEqual(JSON.parse(json), {
     title: 'a } tricky title',
@@ -122,7 +410,7 @@ test('finds transcript params in current YouTube page data shape', () => {
     ]
   };
 
-  assert.equal(context.window.__testHooks.findTranscriptParams(data), 'transcript-param-token');
+  assert.equal(hooks.findTranscriptParams(data), 'transcript-param-token');
 });
 
 test('finds transcript params in older player response shape', () => {
@@ -148,7 +436,7 @@ test('finds transcript params in older player response shape', () => {
     ]
   };
 
-  assert.equal(context.window.__testHooks.findTranscriptParams(data), 'older-transcript-param-token');
+  assert.equal(hooks.findTranscriptParams(data), 'older-transcript-param-token');
 });
 
 test('extracts transcript lines from nested Innertube response data', () => {
@@ -199,7 +487,7 @@ test('extracts transcript lines from nested Innertube response data', () => {
   };
 
   assert.equal(
-    context.window.__testHooks.extractTextFromInnertube(data),
+    hooks.extractTextFromInnertube(data),
     'first line\nsection\nsecond line'
   );
 });
@@ -211,7 +499,7 @@ test('cleans YouTube transcript timestamps from visible rows', () => {
     '1 hour, 2 minutes, 43 secondsGod, family, friends.'
   ];
 
-  assert.deepEqual(context.window.__testHooks.extractTextFromDomSegments(rows), [
+  assert.deepEqual(hooks.extractTextFromDomSegments(rows), [
     'My number one bullet point is this',
     'the difference between being an investor and a trader',
     'God, family, friends.'
@@ -234,9 +522,787 @@ test('extracts visible transcript text when YouTube page data calls fail', () =>
     'From Invest Like The Best'
   ].join('\n');
 
-  assert.deepEqual(Array.from(context.window.__testHooks.extractTranscriptFromVisibleText(visibleText)), [
+  assert.deepEqual(Array.from(hooks.extractTranscriptFromVisibleText(visibleText)), [
     'My number one bullet point is you are going to make your money by riding a trend.',
     'you can be like Warren Buffett.',
     'the difference between being an investor and being a trader.'
   ]);
 });
+
+test('keeps caption start times from json3 events', () => {
+  const data = {
+    events: [
+      { tStartMs: 0, dDurationMs: 1500 },
+      { tStartMs: 1200, dDurationMs: 2300, segs: [{ utf8: 'hello ' }, { utf8: ' world' }] },
+      { tStartMs: 3500, dDurationMs: 2000, segs: [{ utf8: '\n' }] },
+      { tStartMs: 83000, dDurationMs: 1000, segs: [{ utf8: 'later line' }] }
+    ]
+  };
+
+  assert.deepEqual(JSON.parse(JSON.stringify(hooks.extractSegmentsFromJson3(data))), [
+    { startMs: 1200, durationMs: 2300, text: 'hello world' },
+    { startMs: 83000, durationMs: 1000, text: 'later line' }
+  ]);
+});
+
+test('keeps Innertube segment start and end times', () => {
+  const data = {
+    initialSegments: [
+      {
+        transcriptSegmentRenderer: {
+          startMs: '4000',
+          endMs: '6500',
+          snippet: { runs: [{ text: 'timed line' }] }
+        }
+      }
+    ]
+  };
+
+  assert.deepEqual(JSON.parse(JSON.stringify(hooks.extractSegmentsFromInnertube(data))), [
+    { startMs: 4000, durationMs: 2500, text: 'timed line' }
+  ]);
+});
+
+test('reads start times from visible transcript rows', () => {
+
+  assert.equal(hooks.parseRowTimestamp('0:077 secondsyou can be like Warren Buffett.'), 7000);
+  assert.equal(hooks.parseRowTimestamp('1:02:43God, family, friends.'), 3763000);
+  assert.equal(hooks.parseRowTimestamp('1 minute, 5 secondsthe difference'), 65000);
+  assert.equal(hooks.parseRowTimestamp('no timestamp here'), null);
+
+  assert.deepEqual(
+    Array.from(hooks.extractSegmentsFromDomRows(['1:051 minute, 5 secondsthe difference']), segment => segment.startMs),
+    [65000]
+  );
+});
+
+test('renders timestamped transcript lines as jump links', () => {
+  const segments = [
+    { startMs: 1200, durationMs: 2300, text: 'hello world' },
+    { startMs: 3763000, durationMs: null, text: 'much later' },
+    { startMs: null, durationMs: null, text: 'untimed' }
+  ];
+
+  assert.equal(
+    hooks.renderTranscript(segments, { timestamps: true, videoId: 'kxpbdFMgPJ4' }),
+    [
+      '[00:00:01](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=1s) hello world',
+      '[01:02:43](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=3763s) much later',
+      'untimed'
+    ].join('\n')
+  );
+  assert.equal(hooks.renderTranscript(segments), 'hello world\nmuch later\nuntimed');
+});
+
+const captionTracks = [
+  { languageCode: 'de', kind: 'asr', name: { simpleText: 'German (auto-generated)' }, baseUrl: 'https://example.test/de-asr' },
+  { languageCode: 'en', kind: 'asr', name: { simpleText: 'English (auto-generated)' }, baseUrl: 'https://example.test/en-asr' },
+  { languageCode: 'en-GB', name: { simpleText: 'English (United Kingdom)' }, baseUrl: 'https://example.test/en-gb' },
+  { languageCode: 'fr', name: { simpleText: 'French' }, baseUrl: 'https://example.test/fr' }
+];
+
+test('picks caption tracks by preferred language before human-made captions', () => {
+  const { selectCaptionTrack } = hooks;
+
+  assert.equal(
+    selectCaptionTrack(captionTracks, { preferredLanguages: ['de', 'en'], preferManualCaptions: true, fallback: 'any' }).baseUrl,
+    'https://example.test/de-asr'
+  );
+  assert.equal(
+    selectCaptionTrack(captionTracks, { preferredLanguages: ['en'], preferManualCaptions: true, fallback: 'any' }).baseUrl,
+    'https://example.test/en-gb'
+  );
+  assert.equal(
+    selectCaptionTrack(captionTracks, { preferredLanguages: ['en'], preferManualCaptions: false, fallback: 'any' }).baseUrl,
+    'https://example.test/en-asr'
+  );
+  assert.equal(
+    selectCaptionTrack(captionTracks, { preferredLanguages: ['en-us'], preferManualCaptions: true, fallback: 'none' }),
+    null
+  );
+});
+
+test('falls back to the best remaining caption track when allowed', () => {
+  const { selectCaptionTrack } = hooks;
+
+  assert.equal(
+    selectCaptionTrack(captionTracks, { preferredLanguages: ['ja'], preferManualCaptions: true, fallback: 'any' }).baseUrl,
+    'https://example.test/en-gb'
+  );
+  assert.equal(
+    selectCaptionTrack(captionTracks, { preferredLanguages: ['ja'], preferManualCaptions: true, fallback: 'none' }),
+    null
+  );
+});
+
+test('reads transcript panel language options from Innertube data', () => {
+  const data = {
+    footer: {
+      transcriptFooterRenderer: {
+        languageMenu: {
+          sortFilterSubMenuRenderer: {
+            subMenuItems: [
+              { title: 'English (auto-generated)', selected: true, continuation: { reloadContinuationData: { continuation: 'en-token' } } },
+              { title: 'French', selected: false, continuation: { reloadContinuationData: { continuation: 'fr-token' } } }
+            ]
+          }
+        }
+      }
+    }
+  };
+
+  assert.deepEqual(JSON.parse(JSON.stringify(hooks.findTranscriptLanguageOptions(data))), [
+    { title: 'English (auto-generated)', selected: true, params: 'en-token' },
+    { title: 'French', selected: false, params: 'fr-token' }
+  ]);
+});
+
+test('records caption language in the export header', () => {
+  const output = hooks.formatLegacyPlain({
+    title: 'Title',
+    videoId: 'kxpbdFMgPJ4',
+    language: 'en',
+    isAutoGenerated: true,
+    transcript: 'line'
+  });
+
+  assert.equal(output, 'Title\nhttps://www.youtube.com/watch?v=kxpbdFMgPJ4\nCaptions: en (auto-generated)\n\nline');
+});
+
+test('matches translation targets to YouTube translation languages', () => {
+  const translationLanguages = [
+    { languageCode: 'en', languageName: { simpleText: 'English' } },
+    { languageCode: 'zh-Hans', languageName: { simpleText: 'Chinese (Simplified)' } }
+  ];
+  const { findTranslationLanguage } = hooks;
+
+  assert.equal(findTranslationLanguage(translationLanguages, 'en'), 'en');
+  assert.equal(findTranslationLanguage(translationLanguages, 'zh'), 'zh-Hans');
+  assert.equal(findTranslationLanguage(translationLanguages, 'ko'), null);
+  assert.equal(findTranslationLanguage(undefined, 'en'), null);
+});
+
+test('notes machine translation and source language in the export header', () => {
+  const output = hooks.formatLegacyPlain({
+    title: 'Title',
+    videoId: 'kxpbdFMgPJ4',
+    language: 'en',
+    translatedFrom: 'fr',
+    isAutoGenerated: true,
+    transcript: 'line'
+  });
+
+  assert.match(output, /^Captions: en, YouTube machine translation from fr \(auto-generated\)$/m);
+});
+
+const subtitleSegments = [
+  { startMs: 1200, durationMs: 4000, text: 'overlapping rolling caption' },
+  { startMs: 3500, durationMs: 2000, text: 'uses <b>tags</b> & arrows --> here' },
+  { startMs: 3723004, durationMs: null, text: 'last cue' },
+  { startMs: null, durationMs: null, text: 'untimed row' }
+];
+
+test('builds subtitle cues that end before the next cue starts', () => {
+  assert.deepEqual(JSON.parse(JSON.stringify(hooks.buildCues(subtitleSegments))), [
+    { startMs: 1200, endMs: 3500, text: 'overlapping rolling caption' },
+    { startMs: 3500, endMs: 5500, text: 'uses <b>tags</b> & arrows --> here' },
+    { startMs: 3723004, endMs: 3727004, text: 'last cue' }
+  ]);
+});
+
+test('formats numbered SRT cues', () => {
+  assert.equal(hooks.formatSrt(subtitleSegments), [
+    '1',
+    '00:00:01,200 --> 00:00:03,500',
+    'overlapping rolling caption',
+    '',
+    '2',
+    '00:00:03,500 --> 00:00:05,500',
+    'uses <b>tags</b> & arrows -> here',
+    '',
+    '3',
+    '01:02:03,004 --> 01:02:07,004',
+    'last cue',
+    ''
+  ].join('\n'));
+});
+
+test('formats WebVTT cues with escaped cue text', () => {
+  const output = hooks.formatWebVtt(subtitleSegments, {
+    title: 'Q&A',
+    videoId: 'kxpbdFMgPJ4'
+  });
+
+  assert.equal(output, [
+    'WEBVTT',
+    '',
+    'NOTE',
+    'Q&amp;A',
+    'https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+    '',
+    '00:00:01.200 --> 00:00:03.500',
+    'overlapping rolling caption',
+    '',
+    '00:00:03.500 --> 00:00:05.500',
+    'uses &lt;b&gt;tags&lt;/b&gt; &amp; arrows --&gt; here',
+    '',
+    '01:02:03.004 --> 01:02:07.004',
+    'last cue',
+    ''
+  ].join('\n'));
+});
+
+test('refuses subtitle output without caption timings', () => {
+  assert.throws(
+    () => hooks.formatSrt([{ startMs: null, durationMs: null, text: 'untimed' }]),
+    error => error.code === 'NO_TIMING'
+  );
+});
+
+test('writes JSON exports that follow the documented schema', () => {
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'docs', 'transcript-export.schema.json'), 'utf8'));
+  const exported = JSON.parse(hooks.formatJson({
+    videoId: 'kxpbdFMgPJ4',
+    title: 'Title',
+    channelId: 'UC1234567890123456789012',
+    channelName: 'Channel',
+    channelUrl: 'https://www.youtube.com/channel/UC1234567890123456789012',
+    publishDateIso: '2024-01-15',
+    language: 'en',
+    isAutoGenerated: false,
+    source: 'captionTracks',
+    exportedAt: '2024-02-01T10:30:00.000Z',
+    segments: [{ startMs: 1200, durationMs: 2300, text: 'hello world' }]
+  }));
+
+  assert.deepEqual(Object.keys(exported), Object.keys(schema.properties));
+  for (const field of schema.required) {
+    assert.ok(field in exported, field);
+  }
+  assert.equal(exported.schema, schema.properties.schema.const);
+  assert.equal(exported.schemaVersion, schema.properties.schemaVersion.const);
+  assert.deepEqual(Object.keys(exported.channel), schema.properties.channel.required);
+  assert.deepEqual(Object.keys(exported.track), schema.properties.track.required);
+  assert.deepEqual(Object.keys(exported.segments[0]), Object.keys(schema.properties.segments.items.properties));
+  for (const field of schema.properties.segments.items.required) {
+    assert.ok(field in exported.segments[0], `segments[] is missing ${field}`);
+  }
+  assert.equal(exported.description, null);
+  assert.equal(exported.track.translatedFrom, null);
+  assert.equal(exported.publishDate, '2024-01-15');
+  assert.deepEqual(exported.segments, [{ startMs: 1200, durationMs: 2300, text: 'hello world', speakerTurn: false }]);
+  assert.deepEqual(exported.chapters, []);
+  assert.equal(exported.playlist, null);
+});
+
+test('formats publish dates as ISO calendar dates', () => {
+  const { formatIsoDate } = hooks;
+
+  assert.equal(formatIsoDate('2024-01-15'), '2024-01-15');
+  assert.equal(formatIsoDate('2024-01-15T23:30:00-08:00'), '2024-01-15');
+  assert.equal(formatIsoDate('1705276800'), '2024-01-15');
+  assert.equal(formatIsoDate('not a date'), null);
+});
+
+test('writes Markdown with YAML front matter and sections', () => {
+  const output = hooks.formatMarkdown({
+    title: 'Q: "Quoted" title',
+    channelName: 'Channel',
+    channelUrl: 'https://www.youtube.com/channel/UC1234567890123456789012',
+    publishDateIso: '2024-01-15',
+    description: 'First line\n\nhttps://example.com',
+    language: 'en',
+    isAutoGenerated: false,
+    source: 'captionTracks',
+    exportedAt: '2024-02-01T10:30:00.000Z',
+    transcript: 'hello world',
+    videoId: 'kxpbdFMgPJ4'
+  });
+
+  assert.equal(output, [
+    '---',
+    'title: "Q: \\"Quoted\\" title"',
+    'channel: "Channel"',
+    'channel_url: "https://www.youtube.com/channel/UC1234567890123456789012"',
+    'video_url: "https://www.youtube.com/watch?v=kxpbdFMgPJ4"',
+    'published: 2024-01-15',
+    'language: "en"',
+    'auto_generated: false',
+    'source: "captionTracks"',
+    'exported_at: 2024-02-01T10:30:00.000Z',
+    '---',
+    '',
+    '# Q: "Quoted" title',
+    '',
+    '## Description',
+    '',
+    '> First line',
+    '>',
+    '> https://example.com',
+    '',
+    '## Transcript',
+    '',
+    'hello world',
+    ''
+  ].join('\n'));
+});
+
+test('marks machine translations and missing values in front matter', () => {
+  const output = hooks.formatMarkdown({
+    title: 'Title',
+    language: 'en',
+    translatedFrom: 'fr',
+    isAutoGenerated: true,
+    exportedAt: '2024-02-01T10:30:00.000Z',
+    transcript: 'hello',
+    videoId: 'kxpbdFMgPJ4'
+  });
+
+  assert.match(output, /^channel: null$/m);
+  assert.match(output, /^published: null$/m);
+  assert.match(output, /^translated_from: "fr"$/m);
+  assert.match(output, /^translation: "YouTube machine translation"$/m);
+  assert.doesNotMatch(output, /## Description/);
+});
+
+test('drops metadata fields turned off in settings', () => {
+  const data = hooks.applyMetadataFields({
+    title: 'Title',
+    channelName: 'Channel',
+    channelId: 'UC123',
+    channelUrl: 'https://www.youtube.com/@channel',
+    publishDate: 'Jan 15, 2024',
+    publishDateIso: '2024-01-15',
+    description: 'About',
+    language: 'fr',
+    isAutoGenerated: false,
+    translatedFrom: 'en',
+    videoId: 'kxpbdFMgPJ4'
+  }, { channel: false, publishDate: false, description: true, captionTrack: false });
+
+  assert.equal(data.title, 'Title');
+  assert.equal(data.channelName, null);
+  assert.equal(data.channelId, null);
+  assert.equal(data.channelUrl, 'https://www.youtube.com/@channel');
+  assert.equal(data.publishDate, null);
+  assert.equal(data.publishDateIso, null);
+  assert.equal(data.description, 'About');
+  assert.equal(data.language, null);
+  assert.equal(data.isAutoGenerated, null);
+  assert.equal(data.translatedFrom, 'en');
+
+  assert.match(
+    hooks.formatLegacyPlain({ ...data, transcript: 'hello' }),
+    /^Captions: YouTube machine translation from en$/m
+  );
+});
+
+test('uses browser languages when settings list none', () => {
+  const { buildTrackPolicy } = hooks;
+
+  const fromSettings = buildTrackPolicy({ preferredLanguages: ['de'], preferManualCaptions: false, fallback: 'none' });
+  assert.deepEqual(JSON.parse(JSON.stringify(fromSettings)), {
+    preferredLanguages: ['de'],
+    preferManualCaptions: false,
+    fallback: 'none'
+  });
+
+  const fromBrowser = buildTrackPolicy({ preferredLanguages: [], preferManualCaptions: true, fallback: 'any' });
+  assert.ok(Array.isArray(fromBrowser.preferredLanguages));
+  assert.equal(fromBrowser.fallback, 'any');
+});
+
+test('formats one video as a section of a combined document', () => {
+  const section = hooks.formatDocumentSection({
+    title: 'Title',
+    channelName: 'Channel',
+    channelUrl: 'https://www.youtube.com/channel/UC123',
+    publishDateIso: '2024-01-15',
+    description: 'About\n\nMore',
+    language: 'en',
+    isAutoGenerated: true,
+    videoId: 'kxpbdFMgPJ4',
+    segments: [
+      { startMs: 0, durationMs: 1000, text: 'hello' },
+      { startMs: 61000, durationMs: 1000, text: 'world' }
+    ]
+  }, 'timestamped');
+
+  assert.equal(section, [
+    '- Channel: [Channel](https://www.youtube.com/channel/UC123)',
+    '- Video: https://www.youtube.com/watch?v=kxpbdFMgPJ4',
+    '- Published: 2024-01-15',
+    '- Captions: en (auto-generated)',
+    '',
+    '### Description',
+    '',
+    '> About',
+    '>',
+    '> More',
+    '',
+    '### Transcript',
+    '',
+    '[00:00:00](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=0s) hello',
+    '[00:01:01](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=61s) world',
+    ''
+  ].join('\n'));
+});
+
+test('records the playlist and position in exported files', () => {
+  const data = {
+    title: 'Measure',
+    language: 'en',
+    isAutoGenerated: false,
+    exportedAt: '2024-02-01T10:30:00.000Z',
+    videoId: 'kxpbdFMgPJ4',
+    playlist: { id: 'PL123', title: 'Woodworking basics', position: 3, count: 12 },
+    segments: [{ startMs: 0, durationMs: 1000, text: 'hello' }]
+  };
+
+  const markdown = hooks.buildOutput('markdown', data);
+  assert.match(markdown, /^playlist: "Woodworking basics"$/m);
+  assert.match(markdown, /^playlist_url: "https:\/\/www\.youtube\.com\/playlist\?list=PL123"$/m);
+  assert.match(markdown, /^playlist_position: 3$/m);
+
+  assert.deepEqual(JSON.parse(hooks.buildOutput('json', data)).playlist, {
+    id: 'PL123',
+    title: 'Woodworking basics',
+    url: 'https://www.youtube.com/playlist?list=PL123',
+    position: 3
+  });
+  assert.match(
+    hooks.formatDocumentSection(data),
+    /^- Playlist: Woodworking basics \(video 3 of 12\) https:\/\/www\.youtube\.com\/playlist\?list=PL123$/m
+  );
+  assert.match(hooks.buildOutput('vtt', data), /^Playlist: Woodworking basics \(video 3 of 12\)/m);
+
+  const single = hooks.buildOutput('markdown', { ...data, playlist: null });
+  assert.doesNotMatch(single, /^playlist/m);
+});
+
+test('finds chapters in player bar markers and chapter list panels', () => {
+  const { findChapterMarkers, normalizeChapters } = hooks;
+  const initialData = {
+    playerOverlays: {
+      playerOverlayRenderer: {
+        decoratedPlayerBarRenderer: {
+          decoratedPlayerBarRenderer: {
+            playerBar: {
+              multiMarkersPlayerBarRenderer: {
+                markersMap: [{
+                  key: 'DESCRIPTION_CHAPTERS',
+                  value: {
+                    chapters: [
+                      { chapterRenderer: { title: { simpleText: 'Setup' }, timeRangeStartMillis: 65000 } },
+                      { chapterRenderer: { title: { simpleText: 'Intro' }, timeRangeStartMillis: 0 } }
+                    ]
+                  }
+                }]
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  const panelData = {
+    engagementPanels: [{
+      engagementPanelSectionListRenderer: {
+        content: {
+          macroMarkersListRenderer: {
+            contents: [
+              { macroMarkersListItemRenderer: { title: { runs: [{ text: 'Start ' }, { text: 'here' }] }, onTap: { watchEndpoint: { startTimeSeconds: 0 } } } },
+              { macroMarkersListItemRenderer: { title: { simpleText: 'Next' }, onTap: { watchEndpoint: { startTimeSeconds: 90 } } } }
+            ]
+          }
+        }
+      }
+    }]
+  };
+
+  assert.deepEqual(JSON.parse(JSON.stringify(normalizeChapters(findChapterMarkers(initialData)))), [
+    { title: 'Intro', startMs: 0 },
+    { title: 'Setup', startMs: 65000 }
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(normalizeChapters(findChapterMarkers(panelData)))), [
+    { title: 'Start here', startMs: 0 },
+    { title: 'Next', startMs: 90000 }
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(findChapterMarkers({ contents: [] }))), []);
+});
+
+test('reads chapters from description timestamps with YouTube rules', () => {
+  const { parseDescriptionChapters } = hooks;
+  const description = [
+    'Links below.',
+    '0:00 Intro',
+    '[01:05] - Setup: tools',
+    '• 12:30 | Deep dive',
+    'Wrap up 1:02:03',
+    'See https://example.com'
+  ].join('\n');
+
+  assert.deepEqual(JSON.parse(JSON.stringify(parseDescriptionChapters(description))), [
+    { title: 'Intro', startMs: 0 },
+    { title: 'Setup: tools', startMs: 65000 },
+    { title: 'Deep dive', startMs: 750000 },
+    { title: 'Wrap up', startMs: 3723000 }
+  ]);
+
+  assert.deepEqual(JSON.parse(JSON.stringify(parseDescriptionChapters('1:00 Late start\n2:00 Two\n3:00 Three'))), []);
+  assert.deepEqual(JSON.parse(JSON.stringify(parseDescriptionChapters('0:00 One\n2:00 Two'))), []);
+  assert.deepEqual(JSON.parse(JSON.stringify(parseDescriptionChapters('0:00 One\n5:00 Two\n2:00 Three'))), []);
+  assert.deepEqual(JSON.parse(JSON.stringify(parseDescriptionChapters(null))), []);
+});
+
+test('splits transcripts into chapter sections', () => {
+  const { renderTranscriptSections } = hooks;
+  const segments = [
+    { startMs: 0, durationMs: 1000, text: 'before' },
+    { startMs: 5000, durationMs: 1000, text: 'welcome' },
+    { startMs: 65000, durationMs: 1000, text: 'tools' },
+    { startMs: 70000, durationMs: 1000, text: 'more tools' }
+  ];
+  const chapters = [
+    { title: 'Intro', startMs: 2000 },
+    { title: 'Empty', startMs: 30000 },
+    { title: 'Setup', startMs: 65000 }
+  ];
+
+  assert.equal(renderTranscriptSections(segments, chapters, { headingLevel: 3 }), [
+    'before',
+    '',
+    '### Intro (00:00:02)',
+    '',
+    'welcome',
+    '',
+    '### Empty (00:00:30)',
+    '',
+    '### Setup (00:01:05)',
+    '',
+    'tools',
+    'more tools'
+  ].join('\n'));
+
+  assert.equal(
+    renderTranscriptSections(segments.slice(2), chapters.slice(2), { timestamps: true, videoId: 'kxpbdFMgPJ4', headingLevel: 4 }),
+    [
+      '#### [00:01:05](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=65s) Setup',
+      '',
+      '[00:01:05](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=65s) tools',
+      '[00:01:10](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=70s) more tools'
+    ].join('\n')
+  );
+
+  const untimed = [{ startMs: null, durationMs: null, text: 'no timing' }];
+  assert.equal(renderTranscriptSections(untimed, chapters, {}), 'no timing');
+});
+
+test('lists chapters in Markdown front matter', () => {
+  const output = hooks.formatMarkdown({
+    title: 'Title',
+    videoId: 'kxpbdFMgPJ4',
+    exportedAt: '2024-02-01T10:30:00.000Z',
+    transcript: 'hello',
+    chapters: [
+      { title: 'Intro', startMs: 0 },
+      { title: 'Q&A: "live"', startMs: 3723000 }
+    ]
+  });
+
+  assert.match(output, /^exported_at: 2024-02-01T10:30:00.000Z\nchapters:\n  - start: "00:00:00"\n    start_ms: 0\n    title: "Intro"\n  - start: "01:02:03"\n    start_ms: 3723000\n    title: "Q&A: \\"live\\""\n---$/m);
+});
+
+function loadCaptionFixture(name) {
+  const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+  return hooks.extractSegmentsFromJson3(data);
+}
+
+test('reflows punctuated captions into sentences and paragraphs', () => {
+  const { reflowSegments } = hooks;
+  const segments = loadCaptionFixture('json3-manual-punctuated.json');
+
+  assert.deepEqual(JSON.parse(JSON.stringify(reflowSegments(segments, 'sentences'))), [
+    { startMs: 1200, durationMs: 2400, text: 'Welcome back to the workshop.' },
+    { startMs: 3600, durationMs: 4800, text: "Today we're building a bookshelf out of reclaimed oak." },
+    { startMs: 6200, durationMs: 4200, text: "It's easier than it looks!" },
+    { startMs: 13500, durationMs: 2500, text: 'First, measure the wall.' },
+    { startMs: 16000, durationMs: 2800, text: 'Do you have a tape measure?' },
+    { startMs: 18800, durationMs: 2000, text: '[Music]' }
+  ]);
+
+  assert.deepEqual(
+    Array.from(reflowSegments(segments, 'paragraphs'), paragraph => paragraph.text),
+    [
+      "Welcome back to the workshop. Today we're building a bookshelf out of reclaimed oak. It's easier than it looks!",
+      'First, measure the wall. Do you have a tape measure? [Music]'
+    ]
+  );
+
+  assert.equal(reflowSegments(segments, 'off'), segments);
+});
+
+test('uses pauses to reflow auto-generated captions without punctuation', () => {
+  const { reflowSegments } = hooks;
+  const segments = loadCaptionFixture('json3-asr-unpunctuated.json');
+
+  assert.deepEqual(JSON.parse(JSON.stringify(reflowSegments(segments, 'sentences'))), [
+    { startMs: 160, durationMs: 4840, text: "so today we're going to talk about sourdough starters" },
+    { startMs: 6500, durationMs: 3300, text: "you need flour and water that's it" },
+    { startMs: 13000, durationMs: 3000, text: "now let's feed it" }
+  ]);
+
+  assert.deepEqual(JSON.parse(JSON.stringify(reflowSegments(segments, 'paragraphs'))), [
+    { startMs: 160, durationMs: 9640, text: "so today we're going to talk about sourdough starters you need flour and water that's it" },
+    { startMs: 13000, durationMs: 3000, text: "now let's feed it" }
+  ]);
+});
+
+test('caps reflowed sentence and paragraph length', () => {
+  const { reflowSegments } = hooks;
+  const words = Array.from({ length: 60 }, (_, index) => ({
+    startMs: index * 1000,
+    durationMs: 1000,
+    text: 'twenty characters ok'
+  }));
+
+  const sentences = reflowSegments(words, 'sentences');
+  assert.equal(sentences.length, 7);
+  assert.ok(sentences.every(sentence => sentence.text.length <= 200));
+  assert.equal(sentences[1].startMs, 9000);
+
+  const punctuated = words.map(word => ({ ...word, text: 'Twenty characters ok.' }));
+  const paragraphs = reflowSegments(punctuated, 'paragraphs');
+  assert.ok(paragraphs.length > 1);
+  assert.ok(paragraphs.every(paragraph => paragraph.text.length <= 800));
+  assert.equal(paragraphs.map(paragraph => paragraph.text).join(' '), punctuated.map(word => word.text).join(' '));
+
+  const untimed = [
+    { startMs: null, durationMs: null, text: 'no timing at all' },
+    { startMs: null, durationMs: null, text: 'still none' }
+  ];
+  assert.deepEqual(JSON.parse(JSON.stringify(reflowSegments(untimed, 'sentences'))), [
+    { startMs: null, durationMs: null, text: 'no timing at all still none' }
+  ]);
+});
+
+test('renders reflowed paragraphs with blank lines between them', () => {
+  const { renderTranscript } = hooks;
+  const segments = loadCaptionFixture('json3-manual-punctuated.json');
+
+  assert.equal(renderTranscript(segments.slice(0, 4), { reflow: 'sentences' }), [
+    'Welcome back to the workshop.',
+    "Today we're building a bookshelf out of reclaimed oak.",
+    "It's easier than it looks!"
+  ].join('\n'));
+
+  assert.equal(
+    renderTranscript(segments.slice(3, 5), { reflow: 'paragraphs', timestamps: true, videoId: 'kxpbdFMgPJ4' }),
+    [
+      '[00:00:08](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=8s) than it looks!',
+      '',
+      '[00:00:13](https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=13s) First, measure the wall.'
+    ].join('\n')
+  );
+});
+
+const ALL_CLEANUP = { decodeEntities: true, dedupeRollingCaptions: true, soundTags: 'drop', speakerTurns: true };
+
+function plainSegments(segments) {
+  return JSON.parse(JSON.stringify(segments));
+}
+
+test('decodes plain and double-escaped HTML entities', () => {
+  const { decodeHtmlEntities } = hooks;
+
+  assert.equal(decodeHtmlEntities('rock &amp; roll'), 'rock & roll');
+  assert.equal(decodeHtmlEntities('it&amp;#39;s &quot;fine&quot;'), 'it\'s "fine"');
+  assert.equal(decodeHtmlEntities('&lt;b&gt; &#x2014; caf&#233;&nbsp;au lait'), '<b> \u2014 caf\u00e9 au lait');
+  assert.equal(decodeHtmlEntities('&unknown; &#0; & alone'), '&unknown; &#0; & alone');
+});
+
+test('keeps or drops bracketed sound tags', () => {
+  const { cleanupSegments } = hooks;
+  const segments = [
+    { startMs: 0, durationMs: 2000, text: '[Music]' },
+    { startMs: 2000, durationMs: 2000, text: 'thanks everyone [Applause] for coming' },
+    { startMs: 4000, durationMs: 2000, text: 'see array[0] later' }
+  ];
+
+  assert.deepEqual(plainSegments(cleanupSegments(segments, { soundTags: 'keep' })), segments);
+  assert.deepEqual(plainSegments(cleanupSegments(segments, { soundTags: 'drop' })), [
+    { startMs: 2000, durationMs: 2000, text: 'thanks everyone for coming' },
+    { startMs: 4000, durationMs: 2000, text: 'see array later' }
+  ]);
+});
+
+test('splits speaker changes into new turns with a share of the cue time', () => {
+  const { splitSpeakerTurns } = hooks;
+
+  assert.deepEqual(plainSegments(splitSpeakerTurns({ startMs: 1000, durationMs: 2000, text: '>> Are you ready?' })), [
+    { startMs: 1000, durationMs: 2000, text: 'Are you ready?', speakerTurn: true }
+  ]);
+
+  assert.deepEqual(plainSegments(splitSpeakerTurns({ startMs: 1000, durationMs: 2000, text: 'Ready. >> Yes' })), [
+    { startMs: 1000, durationMs: 1385, text: 'Ready.' },
+    { startMs: 2385, durationMs: 615, text: 'Yes', speakerTurn: true }
+  ]);
+
+  assert.deepEqual(plainSegments(splitSpeakerTurns({ startMs: 5000, durationMs: null, text: 'a >> b' })), [
+    { startMs: 5000, durationMs: null, text: 'a' },
+    { startMs: 5000, durationMs: null, text: 'b', speakerTurn: true }
+  ]);
+
+  const plain = { startMs: 0, durationMs: 1000, text: 'no markers' };
+  assert.equal(splitSpeakerTurns(plain)[0], plain);
+});
+
+test('removes words repeated by rolling auto-generated captions', () => {
+  const { cleanupSegments, dedupeRollingCaptions } = hooks;
+  const rolling = [
+    { startMs: 0, durationMs: 3000, text: 'so today we are' },
+    { startMs: 1500, durationMs: 3000, text: 'so today we are going to talk' },
+    { startMs: 3000, durationMs: 3000, text: 'going to talk about bread' },
+    { startMs: 4500, durationMs: 3000, text: 'about bread' },
+    { startMs: 6000, durationMs: 2000, text: 'bread is great' }
+  ];
+
+  assert.deepEqual(plainSegments(dedupeRollingCaptions(rolling)), [
+    { startMs: 0, durationMs: 3000, text: 'so today we are' },
+    { startMs: 1500, durationMs: 3000, text: 'going to talk' },
+    { startMs: 3000, durationMs: 4500, text: 'about bread' },
+    { startMs: 6000, durationMs: 2000, text: 'bread is great' }
+  ]);
+
+  assert.deepEqual(
+    Array.from(dedupeRollingCaptions([
+      { startMs: 0, durationMs: 1000, text: 'we will, we will' },
+      { startMs: 1000, durationMs: 1000, text: 'We will rock you' }
+    ]), segment => segment.text),
+    ['we will, we will', 'rock you']
+  );
+
+  const manual = cleanupSegments(rolling, { dedupeRollingCaptions: true, isAutoGenerated: false });
+  assert.equal(manual.length, rolling.length);
+});
+
+test('runs every cleanup rule on real-shaped auto captions', () => {
+  const { cleanupSegments, renderTranscript, formatSrt } = hooks;
+  const segments = [
+    { startMs: 0, durationMs: 2000, text: '[Music]' },
+    { startMs: 2000, durationMs: 3000, text: '&gt;&gt; welcome back it&amp;#39;s' },
+    { startMs: 3500, durationMs: 3000, text: 'back it&amp;#39;s been a while' },
+    { startMs: 6500, durationMs: 2000, text: 'a while &gt;&gt; thanks' }
+  ];
+
+  const cleaned = cleanupSegments(segments, { ...ALL_CLEANUP, isAutoGenerated: true });
+  assert.deepEqual(plainSegments(cleaned), [
+    { startMs: 2000, durationMs: 3000, text: "welcome back it's", speakerTurn: true },
+    { startMs: 3500, durationMs: 4176, text: 'been a while' },
+    { startMs: 7676, durationMs: 824, text: 'thanks', speakerTurn: true }
+  ]);
+
+  assert.equal(renderTranscript(cleaned), "welcome back it's\nbeen a while\n\nthanks");
+  assert.equal(renderTranscript(cleaned, { reflow: 'sentences' }), "welcome back it's been a while\n\nthanks");
+  assert.match(formatSrt(cleaned), /^1\n00:00:02,000 --> 00:00:03,500\n>> welcome back it's\n/);
+});
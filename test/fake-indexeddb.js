@@ -0,0 +1,119 @@
+// In-memory stand-in for the parts of IndexedDB that transcript-library.js
+// uses. Requests succeed on a later tick and a transaction completes once its
+// requests have, like the real thing. Rows are copied on write, as structured
+// clone does. Keys and key paths are strings or arrays of strings.
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  return {
+    open(name, version = 1) {
+      const request = {};
+      setTimeout(() => {
+        const database = databases.get(name) || createDatabase();
+        databases.set(name, database);
+        request.result = database;
+
+        if (database.version >= version) {
+          request.onsuccess?.();
+          return;
+        }
+
+        // Open succeeds once the upgrade transaction has completed
+        const oldVersion = database.version;
+        database.version = version;
+        request.transaction = database.transaction();
+        database.upgradeTransaction = request.transaction;
+        request.transaction.oncomplete = () => {
+          database.upgradeTransaction = null;
+          request.onsuccess?.();
+        };
+        request.onupgradeneeded?.({ oldVersion, newVersion: version });
+      });
+      return request;
+    }
+  };
+}
+
+function createDatabase() {
+  const stores = new Map();
+
+  return {
+    version: 0,
+    upgradeTransaction: null,
+
+    // Only called while upgrading, like the real thing
+    createObjectStore(name, { keyPath }) {
+      const store = { keyPath, rows: new Map(), indexes: new Map() };
+      stores.set(name, store);
+      return {
+        ...this.upgradeTransaction.objectStore(name),
+        createIndex(indexName, indexKeyPath) {
+          store.indexes.set(indexName, indexKeyPath);
+        }
+      };
+    },
+
+    // Only called while upgrading, like the real thing
+    deleteObjectStore(name) {
+      stores.delete(name);
+    },
+
+    transaction() {
+      let pending = 0;
+      const finishLater = () => setTimeout(() => {
+        if (pending === 0) {
+          transaction.oncomplete?.();
+        }
+      });
+
+      const run = operation => {
+        const request = {};
+        pending++;
+        setTimeout(() => {
+          request.result = operation();
+          request.onsuccess?.();
+          pending--;
+          finishLater();
+        });
+        return request;
+      };
+
+      const transaction = {
+        objectStore(name) {
+          const store = stores.get(name);
+          const rowsWith = (keyPath, key) => [...store.rows.values()]
+            .filter(row => JSON.stringify(readKey(row.value, keyPath)) === JSON.stringify(key));
+
+          return {
+            put: value => run(() => {
+              const key = readKey(value, store.keyPath);
+              store.rows.set(JSON.stringify(key), { key, value: structuredClone(value) });
+            }),
+            get: key => run(() => store.rows.get(JSON.stringify(key))?.value),
+            getAll: () => run(() => [...store.rows.values()].map(row => row.value)),
+            delete: key => run(() => {
+              store.rows.delete(JSON.stringify(key));
+            }),
+            clear: () => run(() => {
+              store.rows.clear();
+            }),
+            index: indexName => ({
+              getAll: key => run(() => rowsWith(store.indexes.get(indexName), key).map(row => row.value)),
+              getAllKeys: key => run(() => rowsWith(store.indexes.get(indexName), key).map(row => row.key))
+            })
+          };
+        }
+      };
+
+      // Transactions that make no requests complete too
+      finishLater();
+      return transaction;
+    }
+  };
+}
+
+function readKey(value, keyPath) {
+  return Array.isArray(keyPath) ? keyPath.map(field => value[field]) : value[keyPath];
+}
+
+module.exports = { createFakeIndexedDB };
@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const settingsScript = fs.readFileSync(path.join(__dirname, '..', 'settings.js'), 'utf8');
+
+function loadSettingsModule(storedSettings) {
+  const writes = [];
+  const context = {
+    chrome: {
+      storage: {
+        sync: {
+          async get(key) {
+            return storedSettings === undefined ? {} : { [key]: storedSettings };
+          },
+          async set(items) {
+            writes.push(items);
+          }
+        }
+      }
+    },
+    console
+  };
+
+  vm.createContext(context);
+  vm.runInContext(settingsScript, context);
+  return { settings: context.YouTubeTranscriptSettings, writes };
+}
+
+// Settings objects come from another vm context, so compare them as plain data
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('fills missing settings from defaults', async () => {
+  const { settings } = loadSettingsModule(undefined);
+
+  assert.deepEqual(plain(await settings.loadSettings()), plain(settings.DEFAULT_SETTINGS));
+});
+
+test('keeps valid stored values and replaces invalid ones', () => {
+  const { settings } = loadSettingsModule();
+
+  const normalized = settings.normalizeSettings({
+    outputFormat: 'srt',
+    metadataFields: { description: false, channel: 'no' },
+    trackPolicy: { preferredLanguages: [' fr ', '', 3, 'en-GB'], fallback: 'sometimes' },
+    timeouts: { downloadMs: 10, clipboardMs: 12345.6, networkMs: Number.NaN },
+    rateLimit: { maxRequests: 1000 },
+    batch: { delayMs: '250', skipExported: 'always' },
+    unknownSetting: true
+  });
+
+  assert.equal(normalized.outputFormat, 'srt');
+  assert.equal(normalized.metadataFields.description, false);
+  assert.equal(normalized.metadataFields.channel, true);
+  assert.deepEqual(plain(normalized.trackPolicy.preferredLanguages), ['fr', 'en-GB']);
+  assert.equal(normalized.trackPolicy.fallback, 'any');
+  assert.equal(normalized.timeouts.downloadMs, 5000);
+  assert.equal(normalized.timeouts.clipboardMs, 12346);
+  assert.equal(normalized.timeouts.networkMs, 30000);
+  assert.equal(normalized.rateLimit.maxRequests, 100);
+  assert.equal(normalized.batch.delayMs, 500);
+  assert.equal(normalized.batch.skipExported, 'off');
+  assert.equal('unknownSetting' in normalized, false);
+});
+
+test('runs only migrations newer than the stored version', () => {
+  const { settings } = loadSettingsModule();
+  const migrations = [
+    {
+      version: 1,
+      migrate(stored) {
+        const { format, ...rest } = stored;
+        return { ...rest, outputFormat: format };
+      }
+    },
+    {
+      version: 2,
+      migrate(stored) {
+        return { ...stored, batch: { delayMs: stored.batch.delayMs * 2 } };
+      }
+    }
+  ];
+
+  const fromVersion0 = settings.migrateSettings({ format: 'vtt', batch: { delayMs: 300 } }, migrations);
+  assert.equal(fromVersion0.outputFormat, 'vtt');
+  assert.equal(fromVersion0.batch.delayMs, 600);
+  assert.equal(fromVersion0.version, settings.SETTINGS_VERSION);
+
+  const fromVersion1 = settings.migrateSettings({ version: 1, format: 'vtt', batch: { delayMs: 300 } }, migrations);
+  assert.equal(fromVersion1.outputFormat, 'markdown');
+  assert.equal(fromVersion1.batch.delayMs, 600);
+});
+
+test('upgrades stored settings only when they are older', async () => {
+  const older = loadSettingsModule({ outputFormat: 'json' });
+  assert.equal(await older.settings.upgradeStoredSettings(), true);
+  assert.equal(older.writes[0].settings.outputFormat, 'json');
+  assert.equal(older.writes[0].settings.version, older.settings.SETTINGS_VERSION);
+
+  const current = loadSettingsModule({ version: older.settings.SETTINGS_VERSION, outputFormat: 'json' });
+  assert.equal(await current.settings.upgradeStoredSettings(), false);
+  assert.equal(current.writes.length, 0);
+
+  const missing = loadSettingsModule(undefined);
+  assert.equal(await missing.settings.upgradeStoredSettings(), false);
+});
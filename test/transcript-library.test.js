@@ -0,0 +1,242 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+const { createFakeIndexedDB } = require('./fake-indexeddb');
+
+const scripts = ['filename-template.js', 'transcript-core.js', 'transcript-search.js', 'transcript-library.js']
+  .map(name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8'));
+
+// Each call gives a library with its own connection to indexedDB
+function loadLibrary(indexedDB) {
+  const context = { TextEncoder, indexedDB, navigator: { languages: ['en-US'] } };
+  vm.createContext(context);
+  for (const script of scripts) {
+    vm.runInContext(script, context);
+  }
+  return context.YouTubeTranscriptLibrary;
+}
+
+const library = loadLibrary(createFakeIndexedDB());
+
+// Library objects come from another vm context, so compare them as plain data
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function exportDataFor(videoId, overrides = {}) {
+  return {
+    videoId,
+    title: `Video ${videoId}`,
+    channelName: 'Workshop',
+    channelId: 'UCworkshop000000000000000',
+    channelUrl: 'https://www.youtube.com/channel/UCworkshop000000000000000',
+    publishDate: 'January 15, 2024',
+    publishDateIso: '2024-01-15',
+    description: null,
+    segments: [{ startMs: 0, durationMs: 1000, text: 'Hello', speakerTurn: false }],
+    language: 'en',
+    isAutoGenerated: false,
+    translatedFrom: null,
+    source: 'captionTracks',
+    chapters: [],
+    reflow: 'sentences',
+    playlist: { id: 'PL123', title: 'Basics', position: 2, count: 5 },
+    exportedAt: '2024-02-01T10:30:00.000Z',
+    ...overrides
+  };
+}
+
+test('splits export data into a list entry and the stored transcript', () => {
+  const { entry, transcript } = library.buildLibraryRecord(exportDataFor('kxpbdFMgPJ4', { language: null }), new Date('2024-03-01T08:00:00.000Z'));
+
+  assert.deepEqual(plain(entry), {
+    videoId: 'kxpbdFMgPJ4',
+    language: 'unknown',
+    sourceLanguage: 'unknown',
+    title: 'Video kxpbdFMgPJ4',
+    channelName: 'Workshop',
+    channelId: 'UCworkshop000000000000000',
+    publishDateIso: '2024-01-15',
+    isAutoGenerated: false,
+    translatedFrom: null,
+    extractionMethod: 'captionTracks',
+    segmentCount: 1,
+    savedAt: '2024-03-01T08:00:00.000Z',
+    size: Buffer.byteLength(JSON.stringify(transcript.data))
+  });
+  assert.equal(transcript.language, 'unknown');
+  assert.equal(transcript.data.reflow, undefined);
+  assert.equal(transcript.data.playlist, undefined);
+  assert.equal(transcript.data.exportedAt, undefined);
+  assert.equal(transcript.data.segments[0].text, 'Hello');
+
+  const exportData = library.toExportData(transcript, { reflow: 'paragraphs' }, new Date('2024-04-01T00:00:00.000Z'));
+  assert.equal(exportData.reflow, 'paragraphs');
+  assert.equal(exportData.playlist, null);
+  assert.equal(exportData.exportedAt, '2024-04-01T00:00:00.000Z');
+  assert.equal(exportData.channelName, 'Workshop');
+});
+
+test('filters library entries by channel and date', () => {
+  const entries = [
+    { videoId: 'a', channelId: 'UC1', channelName: 'Workshop', publishDateIso: '2024-01-15', savedAt: '2024-03-01T08:00:00.000Z' },
+    { videoId: 'b', channelId: 'UC2', channelName: 'Garden', publishDateIso: '2023-06-01', savedAt: '2024-03-05T08:00:00.000Z' },
+    { videoId: 'c', channelId: null, channelName: 'Archive', publishDateIso: null, savedAt: '2024-02-01T08:00:00.000Z' },
+    { videoId: 'd', channelId: 'UC1', channelName: 'Workshop', publishDateIso: '2024-02-20', savedAt: '2024-03-02T08:00:00.000Z' }
+  ];
+  const videoIds = result => Array.from(result, entry => entry.videoId);
+
+  assert.deepEqual(videoIds(library.filterLibraryEntries(entries)), ['b', 'd', 'a', 'c']);
+  assert.deepEqual(videoIds(library.filterLibraryEntries(entries, { channel: 'UC1' })), ['d', 'a']);
+  assert.deepEqual(videoIds(library.filterLibraryEntries(entries, { channel: 'Archive' })), ['c']);
+  assert.deepEqual(videoIds(library.filterLibraryEntries(entries, { after: '2024-01-01' })), ['d', 'a']);
+  assert.deepEqual(videoIds(library.filterLibraryEntries(entries, { dateField: 'saved', before: '2024-03-01' })), ['a', 'c']);
+
+  assert.deepEqual(plain(library.listLibraryChannels(entries)), [
+    { id: 'Archive', name: 'Archive', count: 1 },
+    { id: 'UC2', name: 'Garden', count: 1 },
+    { id: 'UC1', name: 'Workshop', count: 2 }
+  ]);
+});
+
+test('saves, replaces, reads, and deletes library transcripts', async () => {
+  await library.saveToLibrary(exportDataFor('kxpbdFMgPJ4'));
+  await library.saveToLibrary(exportDataFor('kxpbdFMgPJ4', { language: 'fr', translatedFrom: 'en' }));
+  await library.saveToLibrary(exportDataFor('kxpbdFMgPJ4', { language: 'fr', title: 'Own French captions' }));
+  await library.saveToLibrary(exportDataFor('hzA0sE7GVcU'));
+  await library.saveToLibrary(exportDataFor('kxpbdFMgPJ4', { title: 'Renamed' }));
+
+  const entries = await library.listLibraryEntries();
+  assert.deepEqual(Array.from(entries, entry => `${entry.videoId}/${entry.language}/${entry.sourceLanguage}`).sort(),
+    ['hzA0sE7GVcU/en/en', 'kxpbdFMgPJ4/en/en', 'kxpbdFMgPJ4/fr/en', 'kxpbdFMgPJ4/fr/fr']);
+  assert.equal(entries.find(entry => entry.videoId === 'kxpbdFMgPJ4' && entry.language === 'en').title, 'Renamed');
+
+  // A translation into French and the video's own French captions are kept apart
+  const translation = await library.getLibraryTranscript({ videoId: 'kxpbdFMgPJ4', language: 'fr', sourceLanguage: 'en' });
+  assert.equal(translation.data.translatedFrom, 'en');
+  const ownCaptions = await library.getLibraryTranscript({ videoId: 'kxpbdFMgPJ4', language: 'fr', sourceLanguage: 'fr' });
+  assert.equal(ownCaptions.data.title, 'Own French captions');
+
+  await library.deleteFromLibrary([{ videoId: 'kxpbdFMgPJ4', language: 'fr', sourceLanguage: 'en' }]);
+  assert.equal(await library.getLibraryTranscript({ videoId: 'kxpbdFMgPJ4', language: 'fr', sourceLanguage: 'en' }), undefined);
+  assert.equal((await library.listLibraryEntries()).length, 3);
+
+  await library.clearLibrary();
+  assert.equal((await library.listLibraryEntries()).length, 0);
+});
+
+function segmentsOf(...texts) {
+  return texts.map((text, index) => ({ startMs: index * 5000, durationMs: 5000, text, speakerTurn: false }));
+}
+
+test('searches saved transcripts by phrase and channel', async () => {
+  const searchable = loadLibrary(createFakeIndexedDB());
+  await searchable.saveToLibrary(exportDataFor('kxpbdFMgPJ4', {
+    segments: segmentsOf('Welcome back to the workshop.', 'Today we build a bookshelf out of', 'reclaimed oak. Oak is easy.')
+  }));
+  await searchable.saveToLibrary(exportDataFor('hzA0sE7GVcU', {
+    channelName: 'Garden',
+    channelId: 'UCgarden00000000000000000',
+    segments: segmentsOf('Raised beds from reclaimed oak', 'last for years')
+  }));
+  await searchable.saveToLibrary(exportDataFor('dQw4w9WgXcQ', { segments: segmentsOf('Oak or pine?') }));
+
+  const found = await searchable.searchLibrary('"reclaimed oak"');
+  assert.equal(found.total, 2);
+  assert.deepEqual(Array.from(found.results, result => [result.entry.videoId, result.matchCount]),
+    [['hzA0sE7GVcU', 1], ['kxpbdFMgPJ4', 1]]);
+  assert.deepEqual(plain(found.results[1].snippets), [{
+    startMs: 10000,
+    time: '00:00:10',
+    url: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=10s',
+    text: 'reclaimed oak. Oak is easy.',
+    highlights: [[0, 13]]
+  }]);
+
+  // More matches rank first
+  const oak = await searchable.searchLibrary('oak');
+  assert.deepEqual(Array.from(oak.results, result => [result.entry.videoId, result.matchCount]),
+    [['kxpbdFMgPJ4', 2], ['dQw4w9WgXcQ', 1], ['hzA0sE7GVcU', 1]]);
+
+  const workshop = await searchable.searchLibrary('"reclaimed oak"', { channel: 'UCworkshop000000000000000' });
+  assert.deepEqual(Array.from(workshop.results, result => result.entry.videoId), ['kxpbdFMgPJ4']);
+  assert.equal((await searchable.searchLibrary('oak', { limit: 1 })).results.length, 1);
+  assert.equal((await searchable.searchLibrary('oak', { limit: 1 })).total, 3);
+  assert.equal((await searchable.searchLibrary('oak pine')).total, 1);
+  assert.equal((await searchable.searchLibrary('   ')).total, 0);
+
+  // Replacing or deleting a transcript updates the index
+  await searchable.saveToLibrary(exportDataFor('dQw4w9WgXcQ', { segments: segmentsOf('Maple or pine?') }));
+  assert.equal((await searchable.searchLibrary('oak')).total, 2);
+  assert.equal((await searchable.searchLibrary('maple')).total, 1);
+  await searchable.deleteFromLibrary([{ videoId: 'hzA0sE7GVcU', language: 'en', sourceLanguage: 'en' }]);
+  assert.equal((await searchable.searchLibrary('"reclaimed oak"')).total, 1);
+  await searchable.clearLibrary();
+  assert.equal((await searchable.searchLibrary('maple')).total, 0);
+});
+
+// A record as versions 1 and 2 stored it, keyed by video id and language only
+function oldLibraryRecord(exportData) {
+  const { entry, transcript } = library.buildLibraryRecord(exportData);
+  delete entry.sourceLanguage;
+  delete transcript.sourceLanguage;
+  return { entry, transcript };
+}
+
+test('indexes transcripts saved before search existed', async () => {
+  // A library as version 1 left it, with a transcript and no search index
+  const indexedDB = createFakeIndexedDB();
+  const { entry, transcript } = oldLibraryRecord(exportDataFor('kxpbdFMgPJ4', {
+    segments: segmentsOf('Measure the wall twice.')
+  }));
+  await new Promise(resolve => {
+    const request = indexedDB.open('transcript-library', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('entries', { keyPath: ['videoId', 'language'] }).put(entry);
+      request.result.createObjectStore('transcripts', { keyPath: ['videoId', 'language'] }).put(transcript);
+    };
+    request.onsuccess = resolve;
+  });
+
+  const upgraded = loadLibrary(indexedDB);
+  const found = await upgraded.searchLibrary('"the wall"');
+  assert.deepEqual(Array.from(found.results, result => result.entry.videoId), ['kxpbdFMgPJ4']);
+  assert.equal(found.results[0].snippets[0].url, 'https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=0s');
+});
+
+test('keys transcripts saved before version 3 by their source language', async () => {
+  // A version 2 library with a translation and its search index
+  const indexedDB = createFakeIndexedDB();
+  const { entry, transcript } = oldLibraryRecord(exportDataFor('kxpbdFMgPJ4', {
+    language: 'fr',
+    translatedFrom: 'en',
+    segments: segmentsOf('Mesurez le mur deux fois.')
+  }));
+  await new Promise(resolve => {
+    const request = indexedDB.open('transcript-library', 2);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('entries', { keyPath: ['videoId', 'language'] }).put(entry);
+      request.result.createObjectStore('transcripts', { keyPath: ['videoId', 'language'] }).put(transcript);
+      const postings = request.result.createObjectStore('postings', { keyPath: ['term', 'videoId', 'language'] });
+      postings.createIndex('term', 'term');
+      postings.createIndex('document', ['videoId', 'language']);
+      postings.put({ term: 'mur', videoId: 'kxpbdFMgPJ4', language: 'fr', positions: [2] });
+    };
+    request.onsuccess = resolve;
+  });
+
+  const upgraded = loadLibrary(indexedDB);
+  const entries = await upgraded.listLibraryEntries();
+  assert.deepEqual(Array.from(entries, item => [item.language, item.sourceLanguage]), [['fr', 'en']]);
+  const stored = await upgraded.getLibraryTranscript({ videoId: 'kxpbdFMgPJ4', language: 'fr', sourceLanguage: 'en' });
+  assert.equal(stored.data.translatedFrom, 'en');
+  assert.equal((await upgraded.searchLibrary('"le mur"')).total, 1);
+
+  // The video's own French captions no longer replace the translation
+  await upgraded.saveToLibrary(exportDataFor('kxpbdFMgPJ4', { language: 'fr', segments: segmentsOf('Le mur.') }));
+  assert.equal((await upgraded.listLibraryEntries()).length, 2);
+  await upgraded.deleteFromLibrary([{ videoId: 'kxpbdFMgPJ4', language: 'fr', sourceLanguage: 'fr' }]);
+  assert.equal((await upgraded.searchLibrary('mur')).total, 1);
+});
@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const context = { navigator: { languages: ['en-US'] } };
+vm.createContext(context);
+for (const name of ['filename-template.js', 'transcript-core.js', 'transcript-search.js']) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', name), 'utf8'), context);
+}
+const { parseCaptionResponse } = context.YouTubeTranscriptCore;
+const search = context.YouTubeTranscriptSearch;
+
+// Search objects come from another vm context, so compare them as plain data
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function loadFixtureTranscript(name, videoId) {
+  const segments = parseCaptionResponse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+  return { videoId, segments };
+}
+
+function findSnippets(transcript, query, options) {
+  const clauses = search.parseSearchQuery(query);
+  const matches = search.matchTranscript(clauses, search.buildPostings(transcript.segments));
+  return matches && plain(search.buildSnippets(transcript, matches, options));
+}
+
+test('tokenizes words without case, accents, or apostrophes', () => {
+  assert.deepEqual(plain(search.tokenizeText("Today we're at the Café, 2 o’clock!")), [
+    { term: 'today', start: 0, end: 5 },
+    { term: 'were', start: 6, end: 11 },
+    { term: 'at', start: 12, end: 14 },
+    { term: 'the', start: 15, end: 18 },
+    { term: 'cafe', start: 19, end: 23 },
+    { term: '2', start: 25, end: 26 },
+    { term: 'oclock', start: 27, end: 34 }
+  ]);
+  assert.equal(search.normalizeTerm('ÜBER'), 'uber');
+  assert.deepEqual(plain(search.tokenizeText('[Music] -- ...')), [{ term: 'music', start: 1, end: 6 }]);
+});
+
+test('parses words and quoted phrases into clauses', () => {
+  assert.deepEqual(plain(search.parseSearchQuery('oak "Tape Measure" wall')), [['oak'], ['tape', 'measure'], ['wall']]);
+  assert.deepEqual(plain(search.parseSearchQuery('"reclaimed oak')), [['reclaimed', 'oak']]);
+  assert.deepEqual(plain(search.parseSearchQuery('"" ... ')), []);
+  assert.deepEqual(plain(search.getQueryTerms(search.parseSearchQuery('oak "oak shelf"'))), ['oak', 'shelf']);
+});
+
+test('matches phrases in order, including across caption cues', () => {
+  const transcript = loadFixtureTranscript('json3-manual-punctuated.json', 'kxpbdFMgPJ4');
+  const postings = search.buildPostings(transcript.segments);
+  const match = query => plain(search.matchTranscript(search.parseSearchQuery(query), postings));
+
+  // "out of" ends one cue and "reclaimed oak" starts the next
+  assert.deepEqual(match('"out of reclaimed"'), [[10, 13]]);
+  assert.equal(match('"oak reclaimed"'), null);
+  assert.deepEqual(match('tape wall'), [[22, 23], [27, 28]]);
+  assert.equal(match('tape sourdough'), null);
+  assert.equal(match(''), null);
+});
+
+test('builds snippets with the segment time and a link to that moment', () => {
+  const transcript = loadFixtureTranscript('json3-manual-punctuated.json', 'kxpbdFMgPJ4');
+
+  assert.deepEqual(findSnippets(transcript, '"bookshelf out of reclaimed oak"'), [{
+    startMs: 3600,
+    time: '00:00:03',
+    url: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=3s',
+    text: "Today we're building a bookshelf out of reclaimed oak. It's easier",
+    highlights: [[23, 53]]
+  }]);
+
+  // Two matches in one segment share a snippet; the limit counts snippets
+  assert.deepEqual(findSnippets(transcript, 'the'), [
+    {
+      startMs: 1200,
+      time: '00:00:01',
+      url: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=1s',
+      text: 'Welcome back to the workshop.',
+      highlights: [[16, 19]]
+    },
+    {
+      startMs: 13500,
+      time: '00:00:13',
+      url: 'https://www.youtube.com/watch?v=kxpbdFMgPJ4&t=13s',
+      text: 'First, measure the wall.',
+      highlights: [[15, 18]]
+    }
+  ]);
+  assert.equal(findSnippets(transcript, 'the', { limit: 1 }).length, 1);
+});
+
+test('finds words in unpunctuated auto-generated captions', () => {
+  const transcript = loadFixtureTranscript('json3-asr-unpunctuated.json', 'hzA0sE7GVcU');
+
+  assert.deepEqual(findSnippets(transcript, 'Thats "FLOUR and water"'), [
+    {
+      startMs: 6500,
+      time: '00:00:06',
+      url: 'https://www.youtube.com/watch?v=hzA0sE7GVcU&t=6s',
+      text: 'you need flour and water',
+      highlights: [[9, 24]]
+    },
+    {
+      startMs: 8210,
+      time: '00:00:08',
+      url: 'https://www.youtube.com/watch?v=hzA0sE7GVcU&t=8s',
+      text: "that's it",
+      highlights: [[0, 6]]
+    }
+  ]);
+  assert.deepEqual(findSnippets(transcript, '"talk about sourdough"')[0].text, 'so today we\'re going to talk about sourdough starters');
+});
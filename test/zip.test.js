@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+const zlib = require('node:zlib');
+
+const zipScript = fs.readFileSync(path.join(__dirname, '..', 'zip.js'), 'utf8');
+
+const context = { TextEncoder };
+vm.createContext(context);
+vm.runInContext(zipScript, context);
+
+// Read a stored (uncompressed) archive through its central directory, like unzip does
+function unzip(bytes) {
+  const buffer = Buffer.from(bytes);
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(endOffset >= 0, 'end of central directory record');
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50);
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + size);
+
+    assert.equal(method, 0, `${name} is stored`);
+    assert.equal(flags & 0x0800, 0x0800, `${name} has a UTF-8 name`);
+    assert.equal(zlib.crc32(data), crc, `${name} checksum`);
+    files.push({ name, data, content: data.toString('utf8') });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+test('writes a ZIP archive that unzips to the original files', () => {
+  const entries = [
+    { name: 'index.md', content: '# Index\n' },
+    { name: 'Café-字幕.md', content: 'Unicode text ✓\n'.repeat(1000) },
+    { name: 'empty.txt', content: '' },
+    { name: 'bytes.bin', content: new Uint8Array([0, 1, 2, 255]) }
+  ];
+
+  const files = unzip(context.YouTubeTranscriptZip.createZip(entries, new Date(2024, 1, 1, 10, 30, 4)));
+
+  assert.deepEqual(files.map(file => file.name), entries.map(entry => entry.name));
+  assert.equal(files[0].content, '# Index\n');
+  assert.equal(files[1].content, entries[1].content);
+  assert.equal(files[2].content, '');
+  assert.deepEqual([...files[3].data], [0, 1, 2, 255]);
+});
+
+test('matches the standard CRC-32 checksum', () => {
+  const bytes = new TextEncoder().encode('The quick brown fox jumps over the lazy dog');
+  assert.equal(context.YouTubeTranscriptZip.crc32(bytes), 0x414fa339);
+  assert.equal(context.YouTubeTranscriptZip.crc32(bytes), zlib.crc32(bytes));
+});
@@ -0,0 +1,1924 @@
+// Transcript parsing and formatting shared by content.js and the service worker.
+// Nothing here touches the page, so the service worker can build an export
+// from a fetched watch page without opening the tab.
+(function(root) {
+  'use strict';
+
+  // content.js injects this file on every extraction, so only define it once per page
+  if (root.YouTubeTranscriptCore) {
+    return;
+  }
+
+  const { renderFilenameTemplate, renderFolderTemplate } = root.YouTubeTranscriptFilenames;
+
+  // Output formats, keyed by the format name the background sends
+  const OUTPUT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+    timestamped: { label: 'Markdown with timestamps', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+    plain: { label: 'legacy plain text', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+    srt: { label: 'SRT subtitles', extension: 'srt', mimeType: 'application/x-subrip;charset=utf-8' },
+    vtt: { label: 'WebVTT subtitles', extension: 'vtt', mimeType: 'text/vtt;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' }
+  };
+
+  // JSON export schema, documented in docs/transcript-json-schema.md.
+  // Bump the version when a field is removed, renamed, or changes meaning.
+  const JSON_EXPORT_SCHEMA = 'youtube-transcript-export';
+  const JSON_EXPORT_SCHEMA_VERSION = 1;
+
+  // Cues without a known duration stay on screen until the next cue, up to this long
+  const DEFAULT_CUE_DURATION_MS = 4000;
+
+  // Caption track choice: preferred languages in order, human-made captions
+  // before auto-generated (asr) ones. fallback 'any' takes the best remaining
+  // track when no preferred language exists, 'none' fails instead.
+  const DEFAULT_TRACK_POLICY = {
+    preferredLanguages: getBrowserLanguages(),
+    preferManualCaptions: true,
+    fallback: 'any'
+  };
+
+  // Errors with a code the service worker and the screen reader messages use
+  class ExtensionError extends Error {
+    constructor(message, code) {
+      super(message);
+      this.code = code;
+      this.name = 'ExtensionError';
+    }
+  }
+
+  // Rate limiting to prevent YouTube blocking
+  class RateLimiter {
+    constructor(maxRequests = 10, windowMs = 1000) {
+      this.maxRequests = maxRequests;
+      this.windowMs = windowMs;
+      this.queue = [];
+      this.processing = false;
+      this.requestTimes = [];
+      this.roomWaiters = [];
+      this.pausedUntil = 0;
+    }
+    
+    async execute(fn, priority = 'normal') {
+      return new Promise((resolve, reject) => {
+        // Prevent memory exhaustion with simple queue bound
+        if (this.queue.length > 100) {
+          reject(new Error('Rate limiter queue full - too many concurrent requests'));
+          return;
+        }
+        
+        const request = { fn, resolve, reject, priority, timestamp: Date.now() };
+        
+        // Add to queue based on priority
+        if (priority === 'high') {
+          this.queue.unshift(request);
+        } else {
+          this.queue.push(request);
+        }
+        
+        this.process();
+      });
+    }
+    
+    // Starts requests without waiting for earlier ones to finish, so several
+    // callers can have requests in flight within the limit
+    process() {
+      if (this.processing || this.queue.length === 0) return;
+      this.processing = true;
+      
+      // Remove old request times outside window
+      const now = Date.now();
+      this.requestTimes = this.requestTimes.filter(time => now - time < this.windowMs);
+
+      // Hold everything back while backing off from a 429
+      if (this.pausedUntil > now) {
+        setTimeout(() => {
+          this.processing = false;
+          this.process();
+        }, this.pausedUntil - now);
+        return;
+      }
+      
+      // Check if we can make a request
+      if (this.requestTimes.length >= this.maxRequests) {
+        // Wait until window allows
+        const oldestRequest = this.requestTimes[0];
+        const waitTime = this.windowMs - (now - oldestRequest);
+        
+        // Add random jitter (0-500ms) to prevent thundering herd
+        const jitter = Math.random() * 500;
+        setTimeout(() => {
+          this.processing = false;
+          this.process();
+        }, waitTime + jitter);
+        return;
+      }
+      
+      // Execute next request
+      const request = this.queue.shift();
+      this.requestTimes.push(now);
+      this.releaseRoomWaiters();
+      void this.run(request);
+      
+      // Continue processing
+      setTimeout(() => {
+        this.processing = false;
+        this.process();
+      }, 100); // Small delay between requests
+    }
+
+    async run(request) {
+      try {
+        const result = await request.fn();
+        request.resolve(result);
+      } catch (error) {
+        // Check for rate limit error
+        if (error.status === 429 || error.message?.includes('Too Many Requests')) {
+          // Exponential backoff
+          const backoffMs = Math.min(60000, this.windowMs * Math.pow(2, this.requestTimes.length));
+          console.warn(`Rate limited, backing off for ${backoffMs}ms`);
+          
+          // Put request back in queue
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + backoffMs);
+          this.queue.unshift(request);
+          this.process();
+          return;
+        }
+        request.reject(error);
+      }
+    }
+    
+    configure(maxRequests, windowMs) {
+      this.maxRequests = maxRequests;
+      this.windowMs = windowMs;
+    }
+
+    // Back-pressure for batch workers: resolves once fewer than maxQueued
+    // requests are waiting, so new work starts only when the queue drains
+    waitForRoom(maxQueued) {
+      if (this.queue.length < maxQueued) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => this.roomWaiters.push({ maxQueued, resolve }));
+    }
+
+    releaseRoomWaiters() {
+      this.roomWaiters = this.roomWaiters.filter(waiter => {
+        if (this.queue.length < waiter.maxQueued) {
+          waiter.resolve();
+          return false;
+        }
+        return true;
+      });
+    }
+    
+    clear() {
+      this.queue = [];
+      this.requestTimes = [];
+      this.processing = false;
+      this.pausedUntil = 0;
+      this.releaseRoomWaiters();
+    }
+  }
+
+  function extractJsonBlock(source, marker) {
+    if (!source || !marker) {
+      return null;
+    }
+
+    const markerIndex = source.indexOf(marker);
+    if (markerIndex === -1) {
+      return null;
+    }
+
+    const startIndex = source.indexOf('{', markerIndex);
+    if (startIndex === -1) {
+      return null;
+    }
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = startIndex; i < source.length; i++) {
+      const char = source[i];
+
+      if (escaped) {
+        escaped = false;
+        continue;
+      }
+
+      if (char === '\\') {
+        escaped = inString;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = !inString;
+        continue;
+      }
+
+      if (inString) {
+        continue;
+      }
+
+      if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return source.slice(startIndex, i + 1);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  function tryParseJson(text) {
+    if (typeof text !== 'string' || !text) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.warn('Failed to parse JSON block:', error);
+      return null;
+    }
+  }
+
+  // The video id of a watch, Shorts, embed, or youtu.be URL on a YouTube host, else null
+  function parseVideoUrl(value) {
+    if (!value) {
+      return null;
+    }
+
+    try {
+      const url = new URL(value);
+      const hostname = url.hostname.replace(/^www\./, '');
+      const pathParts = url.pathname.split('/').filter(Boolean);
+
+      if (hostname === 'youtu.be') {
+        return normalizeVideoId(pathParts[0]);
+      }
+
+      if (hostname === 'youtube.com' || hostname === 'm.youtube.com') {
+        if (url.pathname === '/watch') {
+          return normalizeVideoId(url.searchParams.get('v'));
+        }
+
+        if (pathParts[0] === 'shorts' || pathParts[0] === 'embed') {
+          return normalizeVideoId(pathParts[1]);
+        }
+      }
+    } catch (error) {
+      // Not a URL
+    }
+
+    return null;
+  }
+
+  function normalizeVideoId(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const trimmed = value.trim();
+    return /^[A-Za-z0-9_-]{11}$/.test(trimmed) ? trimmed : null;
+  }
+
+  // A pasted line: a bare video id, or a video URL with or without "https://"
+  function parseVideoReference(text) {
+    const value = String(text || '').trim();
+    const videoId = normalizeVideoId(value) || parseVideoUrl(value);
+    if (videoId || !/^(?:[\w-]+\.)*(?:youtube\.com|youtu\.be)\//i.test(value)) {
+      return videoId;
+    }
+    return parseVideoUrl(`https://${value}`);
+  }
+
+  // One video per line. Blank lines are skipped, and each video is kept once
+  // in first-seen order. Line numbers start at 1.
+  function parseVideoList(text) {
+    const videos = [];
+    const rejected = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) {
+        return;
+      }
+
+      const videoId = parseVideoReference(line);
+      if (!videoId) {
+        rejected.push({ line: index + 1, text: line });
+      } else if (seen.has(videoId)) {
+        duplicates.push({ line: index + 1, text: line, videoId });
+      } else {
+        seen.add(videoId);
+        videos.push({ line: index + 1, videoId, videoUrl: `https://www.youtube.com/watch?v=${videoId}` });
+      }
+    });
+
+    return { videos, rejected, duplicates };
+  }
+
+  // The playlist id of a playlist page or a watch page with a "list" parameter, else null
+  function parsePlaylistUrl(value) {
+    if (!value) {
+      return null;
+    }
+
+    try {
+      const url = new URL(value);
+      const hostname = url.hostname.replace(/^www\./, '');
+      if ((hostname === 'youtube.com' || hostname === 'm.youtube.com') &&
+          (url.pathname === '/playlist' || url.pathname === '/watch')) {
+        const playlistId = url.searchParams.get('list');
+        return playlistId && /^[A-Za-z0-9_-]+$/.test(playlistId) ? playlistId : null;
+      }
+    } catch (error) {
+      // Not a URL
+    }
+
+    return null;
+  }
+
+  // Playlist title, the videos on the first page, and the token for the next
+  // page. Returns null when the page has no playlist video list.
+  function readPlaylistPage(initialData) {
+    const items = findPlaylistItems(initialData?.contents);
+    if (!items) {
+      return null;
+    }
+
+    const title = initialData.metadata?.playlistMetadataRenderer?.title ||
+      readRendererText(initialData.header?.playlistHeaderRenderer?.title) ||
+      initialData.header?.pageHeaderRenderer?.pageTitle ||
+      null;
+
+    return { title, ...items };
+  }
+
+  // The next page of a playlist, from a youtubei "browse" continuation response
+  function readPlaylistContinuation(response) {
+    return findPlaylistItems(response?.onResponseReceivedActions) || { videos: [], continuation: null };
+  }
+
+  // Search by shape for the list that holds playlistVideoRenderer items. The
+  // last item of a long list is a continuationItemRenderer with the next token.
+  function findPlaylistItems(source) {
+    if (!source || typeof source !== 'object') {
+      return null;
+    }
+
+    if (Array.isArray(source) && source.some(item => item?.playlistVideoRenderer)) {
+      const videos = [];
+      let continuation = null;
+
+      for (const item of source) {
+        const renderer = item?.playlistVideoRenderer;
+        const videoId = normalizeVideoId(renderer?.videoId);
+        if (videoId) {
+          const position = Number.parseInt(readRendererText(renderer.index), 10);
+          videos.push({
+            videoId,
+            title: readRendererText(renderer.title) || null,
+            position: Number.isFinite(position) ? position : null
+          });
+        }
+        continuation = item?.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token || continuation;
+      }
+
+      return { videos, continuation };
+    }
+
+    for (const value of Object.values(source)) {
+      const items = findPlaylistItems(value);
+      if (items) {
+        return items;
+      }
+    }
+
+    return null;
+  }
+
+  // The base path of a channel page, like "/@handle", "/channel/UC...", or
+  // "/c/name", from a channel URL or a bare "@handle". Else null.
+  function parseChannelReference(text) {
+    const value = String(text || '').trim();
+    if (/^@[\w.-]+$/.test(value)) {
+      return `/${value}`;
+    }
+
+    const withScheme = /^(?:[\w-]+\.)*youtube\.com\//i.test(value) ? `https://${value}` : value;
+    try {
+      const url = new URL(withScheme);
+      const hostname = url.hostname.replace(/^www\./, '');
+      if (hostname !== 'youtube.com' && hostname !== 'm.youtube.com') {
+        return null;
+      }
+
+      const [first, second] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (/^@[\w.-]+$/.test(first || '')) {
+        return `/${first}`;
+      }
+      if (first === 'channel' && /^UC[\w-]{22}$/.test(second || '')) {
+        return `/channel/${second}`;
+      }
+      if ((first === 'c' || first === 'user') && /^[\w.-]+$/.test(second || '')) {
+        return `/${first}/${second}`;
+      }
+    } catch (error) {
+      // Not a URL
+    }
+
+    return null;
+  }
+
+  // Channel name and id, the videos on the first page of a channel tab
+  // (Videos, Shorts, or Live), and the token for the next page. Returns null
+  // when the page has no video grid.
+  function readChannelPage(initialData) {
+    const items = findChannelItems(initialData?.contents);
+    if (!items) {
+      return null;
+    }
+
+    const metadata = initialData.metadata?.channelMetadataRenderer;
+    return {
+      title: metadata?.title || initialData.header?.pageHeaderRenderer?.pageTitle || null,
+      channelId: metadata?.externalId || null,
+      ...items
+    };
+  }
+
+  // The next page of a channel tab, from a youtubei "browse" continuation response
+  function readChannelContinuation(response) {
+    return findChannelItems(response?.onResponseReceivedActions) || { videos: [], continuation: null };
+  }
+
+  // Search by shape for the grid of richItemRenderer items. Videos and live
+  // streams use videoRenderer, Shorts use reelItemRenderer or the newer
+  // shortsLockupViewModel. Upcoming and currently live streams are left out,
+  // since they have no transcript yet.
+  function findChannelItems(source) {
+    if (!source || typeof source !== 'object') {
+      return null;
+    }
+
+    if (Array.isArray(source) && source.some(item => item?.richItemRenderer || item?.continuationItemRenderer)) {
+      const videos = [];
+      let continuation = null;
+
+      for (const item of source) {
+        const video = readChannelItem(item?.richItemRenderer?.content);
+        if (video) {
+          videos.push(video);
+        }
+        continuation = item?.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token || continuation;
+      }
+
+      return { videos, continuation };
+    }
+
+    for (const value of Object.values(source)) {
+      const items = findChannelItems(value);
+      if (items) {
+        return items;
+      }
+    }
+
+    return null;
+  }
+
+  function readChannelItem(content) {
+    const renderer = content?.videoRenderer;
+    if (renderer) {
+      const videoId = normalizeVideoId(renderer.videoId);
+      if (!videoId || renderer.upcomingEventData || isLiveNow(renderer)) {
+        return null;
+      }
+      return {
+        videoId,
+        title: readRendererText(renderer.title) || null,
+        publishedText: readRendererText(renderer.publishedTimeText) || null
+      };
+    }
+
+    const reel = content?.reelItemRenderer;
+    const lockup = content?.shortsLockupViewModel;
+    const videoId = normalizeVideoId(reel?.videoId || lockup?.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId);
+    if (!videoId) {
+      return null;
+    }
+
+    // The Shorts grid shows no publish date
+    return {
+      videoId,
+      title: readRendererText(reel?.headline) || lockup?.overlayMetadata?.primaryText?.content || null,
+      publishedText: null
+    };
+  }
+
+  function isLiveNow(renderer) {
+    return (renderer.badges || []).some(badge => badge?.metadataBadgeRenderer?.style === 'BADGE_STYLE_TYPE_LIVE_NOW') ||
+      (renderer.thumbnailOverlays || []).some(overlay => overlay?.thumbnailOverlayTimeStatusRenderer?.style === 'LIVE');
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Months and years vary in length, so each unit has its shortest and longest
+  const RELATIVE_TIME_UNITS_MS = {
+    second: { shortest: 1000, longest: 1000 },
+    minute: { shortest: 60 * 1000, longest: 60 * 1000 },
+    hour: { shortest: 60 * 60 * 1000, longest: 60 * 60 * 1000 },
+    day: { shortest: DAY_MS, longest: DAY_MS },
+    week: { shortest: 7 * DAY_MS, longest: 7 * DAY_MS },
+    month: { shortest: 28 * DAY_MS, longest: 31 * DAY_MS },
+    year: { shortest: 365 * DAY_MS, longest: 366 * DAY_MS }
+  };
+
+  // Channel grids show upload times like "3 weeks ago" or "Streamed 2 days
+  // ago". "3 weeks ago" means 3 to 4 weeks, so this returns the range of
+  // possible publish days as { earliest, latest } YYYY-MM-DD strings, or null.
+  // The range is as wide as the unit allows, so no video in it is left out.
+  function parseRelativeDate(text, now = new Date()) {
+    const match = String(text || '').match(/(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i);
+    if (!match) {
+      return null;
+    }
+
+    const amount = Number(match[1]);
+    const { shortest, longest } = RELATIVE_TIME_UNITS_MS[match[2].toLowerCase()];
+    return {
+      earliest: formatIsoDay(new Date(now.getTime() - (amount + 1) * longest)),
+      latest: formatIsoDay(new Date(now.getTime() - amount * shortest))
+    };
+  }
+
+  function formatIsoDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // range is { after, before } as inclusive YYYY-MM-DD strings; either may be
+  // empty. Videos without a date, like Shorts, are kept for a later check.
+  function mayBePublishedInRange(video, range, now = new Date()) {
+    const days = parseRelativeDate(video.publishedText, now);
+    if (!days) {
+      return true;
+    }
+    return (!range.after || days.latest >= range.after) && (!range.before || days.earliest <= range.before);
+  }
+
+  function isPublishedInRange(publishDateIso, range) {
+    if (!publishDateIso) {
+      return true;
+    }
+    return (!range.after || publishDateIso >= range.after) && (!range.before || publishDateIso <= range.before);
+  }
+
+  // The key and client context that youtubei requests need, from page script text
+  function readInnertubeConfig(text) {
+    if (!text || !text.includes('INNERTUBE_API_KEY')) {
+      return null;
+    }
+
+    const apiKeyMatch = text.match(/"INNERTUBE_API_KEY"\s*:\s*"([^"\\]+)"/);
+    const context = tryParseJson(extractJsonBlock(text, '"INNERTUBE_CONTEXT"'));
+    if (!apiKeyMatch || !context) {
+      return null;
+    }
+
+    const versionMatch = text.match(/"INNERTUBE_CLIENT_VERSION"\s*:\s*"([^"\\]+)"/);
+    return {
+      apiKey: apiKeyMatch[1],
+      context,
+      clientVersion: versionMatch ? versionMatch[1] : null
+    };
+  }
+
+  // Page data embedded in a fetched watch or playlist page. The page assigns
+  // each object once, like "var ytInitialPlayerResponse = {...};".
+  function parseWatchPage(html) {
+    const readBlock = name => tryParseJson(extractJsonBlock(html, `${name} = `)) ||
+      tryParseJson(extractJsonBlock(html, name));
+
+    return {
+      playerResponse: readBlock('ytInitialPlayerResponse'),
+      initialData: readBlock('ytInitialData')
+    };
+  }
+
+  // Video details from the player response. Missing values are null.
+  function readVideoMetadata(playerResponse) {
+    const videoDetails = playerResponse?.videoDetails;
+    const microformat = playerResponse?.microformat?.playerMicroformatRenderer;
+
+    const metadata = {
+      title: videoDetails?.title || null,
+      channelName: videoDetails?.author || microformat?.ownerChannelName || null,
+      publishDate: null,
+      publishDateIso: null,
+      description: null,
+      channelId: null,
+      channelUrl: null
+    };
+
+    const publishDate = videoDetails?.publishDate || microformat?.publishDate || microformat?.uploadDate;
+    if (publishDate) {
+      const formatted = formatPublishDate(publishDate);
+      if (formatted) {
+        metadata.publishDate = formatted;
+        metadata.publishDateIso = formatIsoDate(publishDate);
+      }
+    }
+
+    const description = videoDetails?.shortDescription;
+    if (description && description.trim()) {
+      metadata.description = description.trim();
+    }
+
+    const channelId = videoDetails?.channelId || microformat?.externalChannelId;
+    if (channelId) {
+      metadata.channelId = channelId;
+      metadata.channelUrl = `https://www.youtube.com/channel/${channelId}`;
+    }
+
+    return metadata;
+  }
+
+  function parsePublishDate(dateString) {
+    if (!dateString) return null;
+    
+    try {
+      let date = null;
+      
+      // Handle various date formats that YouTube might provide
+      if (typeof dateString === 'string') {
+        dateString = dateString.trim();
+      }
+      
+      // Try different parsing strategies
+      if (dateString.includes('-') || dateString.includes('/')) {
+        // ISO format (2024-01-15), US format (01/15/2024), etc.
+        date = new Date(dateString);
+      } else if (/^\d+$/.test(dateString)) {
+        // Pure numeric timestamp
+        const timestamp = parseInt(dateString);
+        
+        // Handle both seconds and milliseconds timestamps
+        if (timestamp > 1e12) {
+          // Milliseconds timestamp (13+ digits)
+          date = new Date(timestamp);
+        } else if (timestamp > 1e9) {
+          // Seconds timestamp (10+ digits)
+          date = new Date(timestamp * 1000);
+        }
+      } else {
+        // Try parsing as-is (handles many natural formats)
+        date = new Date(dateString);
+      }
+      
+      // Validate date is reasonable (not before 2005 when YouTube started, not in future)
+      if (!date || isNaN(date.getTime())) {
+        console.warn('Invalid date format:', dateString);
+        return null;
+      }
+      
+      const now = new Date();
+      const youtubeStart = new Date('2005-01-01');
+      
+      if (date < youtubeStart || date > now) {
+        console.warn('Date out of reasonable range:', dateString, '→', date.toISOString());
+        return null;
+      }
+      
+      return date;
+    } catch (error) {
+      console.warn('Failed to parse publish date:', dateString, error);
+      return null;
+    }
+  }
+
+  function formatPublishDate(dateString) {
+    const date = parsePublishDate(dateString);
+    if (!date) {
+      return null;
+    }
+
+    // Format as readable date (e.g., "January 15, 2024")
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  // ISO calendar date (YYYY-MM-DD). Keep the date YouTube wrote when it is
+  // already ISO, so a time zone offset cannot move it to another day.
+  function formatIsoDate(dateString) {
+    const date = parsePublishDate(dateString);
+    if (!date) {
+      return null;
+    }
+
+    const isoPrefix = String(dateString).trim().match(/^\d{4}-\d{2}-\d{2}/);
+    return isoPrefix ? isoPrefix[0] : date.toISOString().slice(0, 10);
+  }
+
+  // Chapters come from page data first: the chapter markers on the player bar,
+  // then the chapter list panel. Description timestamps are the last source.
+  // pageData lists the parsed page objects to search, best first.
+  function readChapters(pageData, description) {
+    for (const source of pageData) {
+      const chapters = normalizeChapters(findChapterMarkers(source));
+      if (chapters.length > 0) {
+        return chapters;
+      }
+    }
+
+    return parseDescriptionChapters(description);
+  }
+
+  // Search page data by shape, since the chapter path moves between layouts
+  function findChapterMarkers(source) {
+    return findChapterRenderers(source) || findMacroMarkers(source) || [];
+  }
+
+  function findChapterRenderers(source) {
+    if (!source || typeof source !== 'object') {
+      return null;
+    }
+
+    if (Array.isArray(source.chapters) && source.chapters.some(item => item?.chapterRenderer)) {
+      return source.chapters
+        .map(item => item?.chapterRenderer)
+        .filter(Boolean)
+        .map(renderer => ({
+          title: readRendererText(renderer.title),
+          startMs: Number(renderer.timeRangeStartMillis)
+        }));
+    }
+
+    for (const value of Object.values(source)) {
+      const chapters = findChapterRenderers(value);
+      if (chapters) {
+        return chapters;
+      }
+    }
+
+    return null;
+  }
+
+  function findMacroMarkers(source) {
+    if (!source || typeof source !== 'object') {
+      return null;
+    }
+
+    const items = source.macroMarkersListRenderer?.contents;
+    if (Array.isArray(items)) {
+      const markers = items
+        .map(item => item?.macroMarkersListItemRenderer)
+        .filter(Boolean)
+        .map(renderer => ({
+          title: readRendererText(renderer.title),
+          startMs: Number(renderer.onTap?.watchEndpoint?.startTimeSeconds) * 1000
+        }));
+      if (markers.length > 0) {
+        return markers;
+      }
+    }
+
+    for (const value of Object.values(source)) {
+      const markers = findMacroMarkers(value);
+      if (markers) {
+        return markers;
+      }
+    }
+
+    return null;
+  }
+
+  function normalizeChapters(chapters) {
+    const seenStarts = new Set();
+
+    return chapters
+      .map(chapter => ({ title: String(chapter.title || '').replace(/\s+/g, ' ').trim(), startMs: chapter.startMs }))
+      .filter(chapter => chapter.title && Number.isFinite(chapter.startMs) && chapter.startMs >= 0)
+      .sort((a, b) => a.startMs - b.startMs)
+      .filter(chapter => {
+        if (seenStarts.has(chapter.startMs)) {
+          return false;
+        }
+        seenStarts.add(chapter.startMs);
+        return true;
+      });
+  }
+
+  // Description lines like "0:00 Intro", "[01:05] - Setup", or "Wrap up 1:02:03"
+  const CHAPTER_TIME = '[([]?((?:\\d{1,2}:)?\\d{1,2}:\\d{2})[)\\]]?';
+  const CHAPTER_LINE_TIME_FIRST = new RegExp(`^(?:[-*•]\\s*)?${CHAPTER_TIME}\\s*(?:[-–—:|]\\s*)?(.+)$`);
+  const CHAPTER_LINE_TIME_LAST = new RegExp(`^(?:[-*•]\\s*)?(.+?)\\s*(?:[-–—:|]\\s*)?${CHAPTER_TIME}$`);
+
+  // YouTube only turns description timestamps into chapters when the list
+  // starts at 0:00, has at least three entries, and runs in order. Follow
+  // the same rules so timestamps mentioned in passing are not chapters.
+  function parseDescriptionChapters(description) {
+    if (typeof description !== 'string') {
+      return [];
+    }
+
+    const chapters = [];
+    for (const line of description.split(/\r?\n/)) {
+      const text = line.trim();
+      const timeFirst = text.match(CHAPTER_LINE_TIME_FIRST);
+      const timeLast = timeFirst ? null : text.match(CHAPTER_LINE_TIME_LAST);
+
+      if (timeFirst) {
+        chapters.push({ title: timeFirst[2].trim(), startMs: parseRowTimestamp(timeFirst[1]) });
+      } else if (timeLast) {
+        chapters.push({ title: timeLast[1].trim(), startMs: parseRowTimestamp(timeLast[2]) });
+      }
+    }
+
+    const inOrder = chapters.every((chapter, index) => index === 0 || chapter.startMs > chapters[index - 1].startMs);
+    if (chapters.length < 3 || chapters[0].startMs !== 0 || !inOrder) {
+      return [];
+    }
+
+    return chapters;
+  }
+
+  function getCaptionTracks(playerResponse) {
+    const tracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+    return Array.isArray(tracks) ? tracks.filter(track => track?.languageCode) : [];
+  }
+
+  function selectCaptionTrack(tracks, trackPolicy = DEFAULT_TRACK_POLICY) {
+    const candidates = trackPolicy.preferManualCaptions
+      ? [...tracks.filter(track => !isAutoGeneratedTrack(track)), ...tracks.filter(isAutoGeneratedTrack)]
+      : tracks;
+
+    for (const language of trackPolicy.preferredLanguages || []) {
+      const match = candidates.find(track => languageMatches(track.languageCode, language));
+      if (match) {
+        return match;
+      }
+    }
+
+    return trackPolicy.fallback === 'none' ? null : candidates[0] || null;
+  }
+
+  // A bare language like "en" matches regional tracks such as "en-GB"
+  function languageMatches(trackLanguage, preferredLanguage) {
+    if (typeof trackLanguage !== 'string' || typeof preferredLanguage !== 'string') {
+      return false;
+    }
+
+    const track = trackLanguage.toLowerCase();
+    const preferred = preferredLanguage.trim().toLowerCase();
+    return track === preferred || (!preferred.includes('-') && track.split('-')[0] === preferred);
+  }
+
+  function isAutoGeneratedTrack(track) {
+    return track?.kind === 'asr';
+  }
+
+  function getTrackName(track) {
+    return readRendererText(track?.name);
+  }
+
+  // YouTube text fields are either { simpleText } or { runs: [{ text }] }
+  function readRendererText(text) {
+    return text?.simpleText ||
+      (Array.isArray(text?.runs) ? text.runs.map(run => run?.text || '').join('') : '');
+  }
+
+  // An empty language list in settings means the browser languages
+  function buildTrackPolicy(trackSettings) {
+    const preferredLanguages = trackSettings?.preferredLanguages?.length > 0
+      ? trackSettings.preferredLanguages
+      : DEFAULT_TRACK_POLICY.preferredLanguages;
+
+    return { ...DEFAULT_TRACK_POLICY, ...trackSettings, preferredLanguages };
+  }
+
+  function getBrowserLanguages() {
+    const languages = Array.isArray(navigator.languages) && navigator.languages.length > 0
+      ? navigator.languages
+      : [navigator.language || 'en'];
+
+    return [...new Set(languages.filter(Boolean).map(language => language.split('-')[0].toLowerCase()))];
+  }
+
+  function findTranslationLanguage(translationLanguages, wantedLanguage) {
+    if (!Array.isArray(translationLanguages)) {
+      return null;
+    }
+
+    const codes = translationLanguages
+      .map(language => language?.languageCode)
+      .filter(Boolean);
+
+    return codes.find(code => code.toLowerCase() === wantedLanguage.toLowerCase()) ||
+      codes.find(code => languageMatches(code, wantedLanguage)) ||
+      null;
+  }
+
+  // Caption track URLs from the player response return json3 with fmt set.
+  // Only this URL accepts a translation language (tlang).
+  function buildCaptionTrackUrl(track, translationLanguage = null) {
+    const url = new URL(track.baseUrl);
+    if (!url.searchParams.has('fmt')) {
+      url.searchParams.set('fmt', 'json3');
+    }
+    if (translationLanguage) {
+      url.searchParams.set('tlang', translationLanguage);
+    }
+    return url.toString();
+  }
+
+  // YouTube answers some caption requests with an empty body instead of an error
+  function parseCaptionResponse(rawText) {
+    if (!rawText.trim()) {
+      throw new Error('Caption response was empty');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(rawText);
+    } catch (error) {
+      throw new Error('Caption response was not valid JSON');
+    }
+
+    return extractSegmentsFromJson3(data);
+  }
+
+  function extractSegmentsFromJson3(data) {
+    if (!data?.events || !Array.isArray(data.events)) {
+      throw new Error('Invalid JSON3 caption data');
+    }
+    
+    const segments = [];
+    
+    for (const event of data.events) {
+      if (!event.segs || !Array.isArray(event.segs)) {
+        continue;
+      }
+      
+      const lineText = event.segs
+        .map(seg => seg.utf8 || '')
+        .join('')
+        .trim();
+      
+      if (lineText) {
+        segments.push(createSegment(event.tStartMs, event.dDurationMs, lineText));
+      }
+    }
+    
+    if (segments.length === 0) {
+      throw new Error('Transcript data empty');
+    }
+
+    return segments;
+  }
+
+  // A segment is one caption cue: start and duration in milliseconds (null when unknown)
+  function createSegment(startMs, durationMs, text) {
+    return {
+      startMs: toMilliseconds(startMs),
+      durationMs: toMilliseconds(durationMs),
+      text: text.replace(/\s+/g, ' ').trim()
+    };
+  }
+
+  function toMilliseconds(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+  }
+
+  function segmentsToText(segments) {
+    return segments.map(segment => segment.text).join('\n').trim();
+  }
+
+  // Read the start time that cleanTranscriptLine strips from a transcript row
+  function parseRowTimestamp(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const row = text.replace(/\s+/g, ' ').trim();
+
+    const clockMatch = row.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (clockMatch) {
+      const [, first, second, third] = clockMatch;
+      const parts = third === undefined ? [0, first, second] : [first, second, third];
+      const [hours, minutes, seconds] = parts.map(Number);
+      return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+    }
+
+    const spokenMatch = row.match(/^(?:(\d+)\s+hours?,\s*)?(?:(\d+)\s+minutes?,\s*)?(\d+)\s+seconds?/i);
+    if (spokenMatch) {
+      const [hours, minutes, seconds] = spokenMatch.slice(1).map(value => Number(value || 0));
+      return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+    }
+
+    return null;
+  }
+
+  // Caption text carries artifacts from how YouTube shows captions. Cleanup runs
+  // on the segments of every extraction path before anything is rendered.
+  // options: the cleanup settings plus isAutoGenerated from the extraction result.
+  function cleanupSegments(segments, options = {}) {
+    let cleaned = segments;
+
+    if (options.decodeEntities) {
+      cleaned = cleaned.map(segment => ({ ...segment, text: decodeHtmlEntities(segment.text) }));
+    }
+    if (options.speakerTurns) {
+      cleaned = cleaned.flatMap(splitSpeakerTurns);
+    }
+    if (options.soundTags === 'drop') {
+      cleaned = cleaned.map(segment => ({ ...segment, text: segment.text.replace(SOUND_TAG, ' ') }));
+    }
+
+    cleaned = cleaned
+      .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+      .filter(segment => segment.text.length > 0);
+
+    // Human-made captions can repeat words on purpose, so only auto-generated
+    // tracks (or tracks of unknown kind) are de-duplicated
+    if (options.dedupeRollingCaptions && options.isAutoGenerated !== false) {
+      cleaned = dedupeRollingCaptions(cleaned);
+    }
+
+    return cleaned;
+  }
+
+  const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+  };
+
+  // Some tracks are escaped twice, like "&amp;#39;", so decode until nothing changes
+  function decodeHtmlEntities(text) {
+    let decoded = text;
+
+    for (let pass = 0; pass < 3; pass++) {
+      const next = decoded.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const codePoint = entity[1].toLowerCase() === 'x'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+          return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+      });
+
+      if (next === decoded) {
+        break;
+      }
+      decoded = next;
+    }
+
+    return decoded;
+  }
+
+  // Non-speech tags like [Music] or [Applause]
+  const SOUND_TAG = /\[[^\[\]]{1,40}\]/g;
+
+  // ">>" marks a new speaker. A cue with markers inside is split, and each
+  // part gets a share of the cue time by its position in the text.
+  function splitSpeakerTurns(segment) {
+    const markers = [...segment.text.matchAll(/>>+/g)];
+    if (markers.length === 0) {
+      return [segment];
+    }
+
+    const ranges = [];
+    let position = 0;
+    for (const marker of markers) {
+      ranges.push({ from: position, to: marker.index, speakerTurn: ranges.length > 0 || segment.speakerTurn });
+      position = marker.index + marker[0].length;
+    }
+    ranges.push({ from: position, to: segment.text.length, speakerTurn: true });
+
+    const parts = ranges
+      .map(range => ({ ...range, text: segment.text.slice(range.from, range.to).trim() }))
+      .filter(range => range.text.length > 0);
+
+    const timed = segment.startMs !== null && segment.durationMs !== null;
+    const startOf = range => (timed
+      ? segment.startMs + Math.round(segment.durationMs * range.from / segment.text.length)
+      : segment.startMs);
+
+    return parts.map((part, index) => {
+      const startMs = index === 0 ? segment.startMs : startOf(part);
+      const endMs = index < parts.length - 1 ? startOf(parts[index + 1]) : getSegmentEnd(segment);
+      return {
+        startMs,
+        durationMs: timed ? endMs - startMs : segment.durationMs,
+        text: part.text,
+        ...(part.speakerTurn ? { speakerTurn: true } : {})
+      };
+    });
+  }
+
+  // Shortest repeat removed from rolling captions, unless a whole cue repeats.
+  // Single words repeat in normal speech ("that that"), so they are left alone.
+  const MIN_ROLLING_OVERLAP_WORDS = 2;
+
+  // Auto-generated captions scroll: each cue often starts with the end of the
+  // previous one. Remove the repeated words, and drop cues that only repeat.
+  function dedupeRollingCaptions(segments) {
+    const result = [];
+
+    for (const segment of segments) {
+      const previous = result[result.length - 1];
+      if (!previous || segment.speakerTurn) {
+        result.push(segment);
+        continue;
+      }
+
+      const words = segment.text.split(' ');
+      const overlap = findWordOverlap(previous.text.split(' '), words);
+
+      if (overlap === words.length) {
+        const endMs = Math.max(getSegmentEnd(previous) ?? -1, getSegmentEnd(segment) ?? -1);
+        if (previous.startMs !== null && endMs >= previous.startMs) {
+          result[result.length - 1] = { ...previous, durationMs: endMs - previous.startMs };
+        }
+        continue;
+      }
+
+      result.push(overlap > 0 ? { ...segment, text: words.slice(overlap).join(' ') } : segment);
+    }
+
+    return result;
+  }
+
+  // Number of words at the start of `words` that repeat the end of `previousWords`
+  function findWordOverlap(previousWords, words) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+    for (let size = Math.min(previousWords.length, words.length); size > 0; size--) {
+      const wholeCue = size === previousWords.length || size === words.length;
+      if (size < MIN_ROLLING_OVERLAP_WORDS && !wholeCue) {
+        break;
+      }
+
+      const tail = previousWords.slice(-size);
+      if (tail.every((word, index) => normalize(word) === normalize(words[index]))) {
+        return size;
+      }
+    }
+
+    return 0;
+  }
+
+  // Everything the formats need for one video. transcript is an extraction
+  // result: { segments, language, isAutoGenerated, translatedFrom, source }.
+  // playlist is { id, title, position, count } when the video is exported as
+  // part of a playlist, else null
+  function buildExportData({ videoId, metadata, chapters, transcript, settings, playlist = null }) {
+    const segments = transcript
+      ? cleanupSegments(transcript.segments, { ...settings.cleanup, isAutoGenerated: transcript.isAutoGenerated })
+      : [];
+    if (segments.length === 0) {
+      throw new ExtensionError('No transcript available for this video', 'NO_TRANSCRIPT');
+    }
+
+    return {
+      ...metadata,
+      segments,
+      language: transcript.language,
+      isAutoGenerated: transcript.isAutoGenerated,
+      translatedFrom: transcript.translatedFrom,
+      source: transcript.source,
+      chapters,
+      reflow: settings.reflow,
+      playlist: playlist || null,
+      exportedAt: new Date().toISOString(),
+      videoId
+    };
+  }
+
+  // collect returns one section of a combined document (the service worker adds
+  // the heading), clipboard returns the text, and download returns the file.
+  function buildExportResult(mode, format, exportData, settings) {
+    const outputData = applyMetadataFields(exportData, settings.metadataFields);
+
+    if (mode === 'collect') {
+      return { success: true, section: formatDocumentSection(outputData, format) };
+    }
+
+    const output = buildOutput(format, outputData);
+    if (mode === 'clipboard') {
+      return { success: true, text: output };
+    }
+
+    // Filenames use the full metadata even when fields are left out of the file
+    const details = { ...exportData, format };
+    const filename = buildFilename(settings.filenameTemplate, details);
+    return prepareDownload(output, buildDownloadPath(settings.downloadFolder, filename, details), format);
+  }
+
+  // options.reflow merges caption cues into sentences or paragraphs first.
+  // Paragraphs are separated by a blank line.
+  function renderTranscript(segments, options = {}) {
+    const units = reflowSegments(segments, options.reflow);
+    const separator = options.reflow === 'paragraphs' ? '\n\n' : '\n';
+
+    return units
+      .map((unit, index) => {
+        // A new speaker always starts a new paragraph
+        const prefix = index === 0 ? '' : (unit.speakerTurn ? '\n\n' : separator);
+        if (!options.timestamps || unit.startMs === null) {
+          return prefix + unit.text;
+        }
+        return `${prefix}${formatTimestampLink(unit.startMs, options.videoId)} ${unit.text}`;
+      })
+      .join('')
+      .trim();
+  }
+
+  // Reflow joins caption cues, which break mid-sentence, into readable text.
+  // Pauses are the silence between the end of one cue and the start of the next.
+  const REFLOW_LIMITS = {
+    // Ends a sentence in text without punctuation
+    sentencePauseMs: 1000,
+    // Ends a paragraph
+    paragraphPauseMs: 2000,
+    // Text without punctuation breaks at a cue boundary before this length
+    sentenceMaxChars: 200,
+    // Paragraphs break at a sentence boundary before this length
+    paragraphMaxChars: 800
+  };
+
+  // Sentence ends, allowing closing quotes or brackets after the mark
+  const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+  const SENTENCE_BOUNDARY = /(?<=[.!?…]["'”’)\]]*)\s+/;
+
+  // mode: 'off' keeps one cue per line, 'sentences' or 'paragraphs' merge cues.
+  // Returns segments of the same shape; subtitle and JSON exports keep the cues.
+  function reflowSegments(segments, mode = 'off', limits = REFLOW_LIMITS) {
+    if ((mode !== 'sentences' && mode !== 'paragraphs') || segments.length === 0) {
+      return segments;
+    }
+
+    const sentences = buildSentences(segments, limits);
+    const units = mode === 'paragraphs' ? buildParagraphs(sentences, limits) : sentences;
+    return units.map(({ startMs, durationMs, text, speakerTurn }) => ({
+      startMs,
+      durationMs,
+      text,
+      ...(speakerTurn ? { speakerTurn: true } : {})
+    }));
+  }
+
+  // Punctuated captions split on sentence marks, even inside a cue. Auto-generated
+  // captions often have no punctuation, so pauses and a length cap end sentences.
+  function buildSentences(segments, limits) {
+    const punctuated = hasSentencePunctuation(segments);
+    const sentences = [];
+    let current = null;
+
+    segments.forEach((segment, index) => {
+      const pauseAfterMs = getPauseAfter(segments, index);
+      const pieces = punctuated ? segment.text.split(SENTENCE_BOUNDARY) : [segment.text];
+
+      pieces.forEach((piece, pieceIndex) => {
+        const isLastPiece = pieceIndex === pieces.length - 1;
+        const unit = {
+          ...segment,
+          text: piece,
+          pauseAfterMs: isLastPiece ? pauseAfterMs : 0,
+          speakerTurn: pieceIndex === 0 && segment.speakerTurn
+        };
+
+        const tooLong = !punctuated && current && current.text.length + piece.length + 1 > limits.sentenceMaxChars;
+        if (current && (tooLong || unit.speakerTurn)) {
+          sentences.push(current);
+          current = null;
+        }
+
+        current = mergeReflowUnits(current, unit);
+
+        const endsSentence = punctuated
+          ? SENTENCE_END.test(piece) || unit.pauseAfterMs >= limits.paragraphPauseMs
+          : unit.pauseAfterMs >= limits.sentencePauseMs;
+        if (endsSentence) {
+          sentences.push(current);
+          current = null;
+        }
+      });
+    });
+
+    if (current) {
+      sentences.push(current);
+    }
+
+    return sentences;
+  }
+
+  function buildParagraphs(sentences, limits) {
+    const paragraphs = [];
+    let current = null;
+
+    for (const sentence of sentences) {
+      const tooLong = current && current.text.length + sentence.text.length + 1 > limits.paragraphMaxChars;
+      if (current && (tooLong || sentence.speakerTurn)) {
+        paragraphs.push(current);
+        current = null;
+      }
+
+      current = mergeReflowUnits(current, sentence);
+
+      if (sentence.pauseAfterMs >= limits.paragraphPauseMs) {
+        paragraphs.push(current);
+        current = null;
+      }
+    }
+
+    if (current) {
+      paragraphs.push(current);
+    }
+
+    return paragraphs;
+  }
+
+  function mergeReflowUnits(current, next) {
+    if (!current) {
+      return { ...next };
+    }
+
+    const endMs = Math.max(getSegmentEnd(current) ?? -1, getSegmentEnd(next) ?? -1);
+    return {
+      startMs: current.startMs ?? next.startMs,
+      durationMs: current.startMs !== null && endMs >= current.startMs ? endMs - current.startMs : null,
+      text: `${current.text} ${next.text}`,
+      pauseAfterMs: next.pauseAfterMs,
+      speakerTurn: current.speakerTurn
+    };
+  }
+
+  function getSegmentEnd(segment) {
+    return segment.startMs !== null && segment.durationMs !== null ? segment.startMs + segment.durationMs : null;
+  }
+
+  // Overlapping auto-caption cues and unknown timings count as no pause
+  function getPauseAfter(segments, index) {
+    const end = getSegmentEnd(segments[index]);
+    const nextStart = segments[index + 1]?.startMs ?? null;
+    if (end === null || nextStart === null) {
+      return 0;
+    }
+    return Math.max(0, nextStart - end);
+  }
+
+  // Treat text as punctuated when at least one cue in ten ends a sentence
+  function hasSentencePunctuation(segments) {
+    const marks = segments.filter(segment => /[.!?…]/.test(segment.text)).length;
+    return marks >= Math.max(1, segments.length / 10);
+  }
+
+  // Split the transcript under one heading per chapter, like
+  // "### Setup (00:01:05)", or "### [00:01:05](link) Setup" with timestamps.
+  // Transcripts without timings cannot be split and stay in one block.
+  function renderTranscriptSections(segments, chapters, options = {}) {
+    const groups = groupSegmentsByChapter(segments, chapters);
+    if (groups.every(group => !group.chapter)) {
+      return renderTranscript(segments, options);
+    }
+
+    const headingPrefix = '#'.repeat(options.headingLevel || 3);
+    return groups
+      .map(group => {
+        const body = renderTranscript(group.segments, options);
+        if (!group.chapter) {
+          return body;
+        }
+
+        const heading = options.timestamps
+          ? `${headingPrefix} ${formatTimestampLink(group.chapter.startMs, options.videoId)} ${group.chapter.title}`
+          : `${headingPrefix} ${group.chapter.title} (${formatTimestamp(group.chapter.startMs)})`;
+        return body ? `${heading}\n\n${body}` : heading;
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  // Segments before the first chapter form a group without a chapter.
+  // Untimed segments stay with the group of the segment before them.
+  function groupSegmentsByChapter(segments, chapters) {
+    if (!Array.isArray(chapters) || chapters.length === 0 || !segments.some(segment => segment.startMs !== null)) {
+      return [{ chapter: null, segments }];
+    }
+
+    const groups = [{ chapter: null, segments: [] }, ...chapters.map(chapter => ({ chapter, segments: [] }))];
+    let groupIndex = 0;
+
+    for (const segment of segments) {
+      if (segment.startMs !== null) {
+        while (groupIndex < chapters.length && segment.startMs >= chapters[groupIndex].startMs) {
+          groupIndex++;
+        }
+      }
+      groups[groupIndex].segments.push(segment);
+    }
+
+    return groups.filter(group => group.chapter || group.segments.length > 0);
+  }
+
+  // Render [hh:mm:ss] as a Markdown link that opens the video at that moment
+  function formatTimestampLink(startMs, videoId) {
+    return `[${formatTimestamp(startMs)}](${buildMomentUrl(videoId, startMs)})`;
+  }
+
+  // Watch link that starts playing at startMs, or at the start without a time
+  function buildMomentUrl(videoId, startMs) {
+    const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    return startMs === null || startMs === undefined ? videoUrl : `${videoUrl}&t=${Math.floor(startMs / 1000)}s`;
+  }
+
+  function formatTimestamp(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+  }
+
+  // Output data keys controlled by each metadata setting. Title and video
+  // link are always kept, and so is the machine translation notice.
+  const METADATA_FIELD_KEYS = {
+    channel: ['channelName', 'channelId'],
+    channelUrl: ['channelUrl'],
+    publishDate: ['publishDate', 'publishDateIso'],
+    description: ['description'],
+    captionTrack: ['language', 'isAutoGenerated'],
+    chapters: ['chapters']
+  };
+
+  function applyMetadataFields(data, metadataFields = {}) {
+    const filtered = { ...data };
+
+    for (const [field, keys] of Object.entries(METADATA_FIELD_KEYS)) {
+      if (metadataFields[field] === false) {
+        for (const key of keys) {
+          filtered[key] = null;
+        }
+      }
+    }
+
+    return filtered;
+  }
+
+  function buildOutput(format, data) {
+    if (format === 'srt') {
+      return formatSrt(data.segments);
+    }
+
+    if (format === 'vtt') {
+      return formatWebVtt(data.segments, data);
+    }
+
+    if (format === 'json') {
+      return formatJson(data);
+    }
+
+    if (format === 'plain') {
+      return formatLegacyPlain({
+        ...data,
+        transcript: renderTranscript(data.segments, { reflow: data.reflow })
+      });
+    }
+
+    return formatMarkdown({
+      ...data,
+      transcript: renderTranscriptSections(data.segments, data.chapters, {
+        timestamps: format === 'timestamped',
+        videoId: data.videoId,
+        reflow: data.reflow,
+        headingLevel: 3
+      })
+    });
+  }
+
+  function formatMarkdown(data) {
+    const frontMatter = {
+      title: data.title,
+      channel: data.channelName || null,
+      channel_url: data.channelUrl || null,
+      video_url: `https://www.youtube.com/watch?v=${data.videoId}`,
+      published: data.publishDateIso || null,
+      language: data.language && data.language !== 'unknown' ? data.language : null,
+      auto_generated: typeof data.isAutoGenerated === 'boolean' ? data.isAutoGenerated : null
+    };
+
+    if (data.translatedFrom) {
+      frontMatter.translated_from = data.translatedFrom;
+      frontMatter.translation = 'YouTube machine translation';
+    }
+
+    if (data.playlist) {
+      frontMatter.playlist = data.playlist.title || null;
+      frontMatter.playlist_url = formatPlaylistUrl(data.playlist.id);
+      frontMatter.playlist_position = data.playlist.position ?? null;
+    }
+
+    frontMatter.source = data.source || null;
+    frontMatter.exported_at = data.exportedAt || new Date().toISOString();
+
+    const lines = [
+      '---',
+      ...Object.entries(frontMatter).map(([key, value]) => `${key}: ${formatYamlValue(key, value)}`),
+      ...formatYamlChapters(data.chapters),
+      '---',
+      '',
+      `# ${data.title}`,
+      ''
+    ];
+
+    if (data.description) {
+      lines.push('## Description', '');
+      lines.push(...data.description.split(/\r?\n/).map(line => line.trim() ? `> ${line}` : '>'));
+      lines.push('');
+    }
+
+    lines.push('## Transcript', '', data.transcript, '');
+
+    return lines.join('\n');
+  }
+
+  // Video details as a list instead of front matter, with headings one level
+  // below the "## 1. Title" heading the combined document puts above them
+  function formatDocumentSection(data, format = 'markdown') {
+    const videoUrl = `https://www.youtube.com/watch?v=${data.videoId}`;
+    const lines = [];
+
+    if (data.channelName) {
+      lines.push(`- Channel: ${data.channelUrl ? `[${data.channelName}](${data.channelUrl})` : data.channelName}`);
+    }
+    lines.push(`- Video: ${videoUrl}`);
+    if (data.publishDateIso) {
+      lines.push(`- Published: ${data.publishDateIso}`);
+    }
+    const captionLanguage = describeCaptionLanguage(data);
+    if (captionLanguage) {
+      lines.push(`- Captions: ${captionLanguage}`);
+    }
+    if (data.playlist) {
+      lines.push(`- Playlist: ${describePlaylistPosition(data.playlist)}`);
+    }
+    lines.push('');
+
+    if (data.description) {
+      lines.push('### Description', '');
+      lines.push(...data.description.split(/\r?\n/).map(line => line.trim() ? `> ${line}` : '>'));
+      lines.push('');
+    }
+
+    const transcript = renderTranscriptSections(data.segments, data.chapters, {
+      timestamps: format === 'timestamped',
+      videoId: data.videoId,
+      reflow: data.reflow,
+      headingLevel: 4
+    });
+    lines.push('### Transcript', '', transcript, '');
+
+    return lines.join('\n');
+  }
+
+  // Chapters as a YAML list, so scripts can read them without parsing headings
+  function formatYamlChapters(chapters) {
+    if (!Array.isArray(chapters) || chapters.length === 0) {
+      return [];
+    }
+
+    return [
+      'chapters:',
+      ...chapters.flatMap(chapter => [
+        `  - start: ${JSON.stringify(formatTimestamp(chapter.startMs))}`,
+        `    start_ms: ${chapter.startMs}`,
+        `    title: ${JSON.stringify(chapter.title)}`
+      ])
+    ];
+  }
+
+  // Dates stay unquoted so notes tools read them as dates
+  const YAML_DATE_KEYS = new Set(['published', 'exported_at']);
+
+  // JSON strings are valid YAML double-quoted scalars, which keeps colons,
+  // quotes, and leading symbols in titles from breaking the front matter
+  function formatYamlValue(key, value) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+
+    if (typeof value === 'boolean' || typeof value === 'number' || YAML_DATE_KEYS.has(key)) {
+      return String(value);
+    }
+
+    return JSON.stringify(String(value));
+  }
+
+  // Turn segments into subtitle cues with an end time. Rolling auto-captions
+  // overlap, so each cue ends no later than the next one starts.
+  function buildCues(segments) {
+    const timedSegments = segments.filter(segment => segment.startMs !== null);
+    if (timedSegments.length === 0) {
+      throw new ExtensionError('Subtitle formats need caption timings, and this transcript has none', 'NO_TIMING');
+    }
+
+    return timedSegments.map((segment, index) => {
+      const nextStartMs = timedSegments[index + 1]?.startMs ?? null;
+      let endMs = segment.durationMs !== null
+        ? segment.startMs + segment.durationMs
+        : segment.startMs + DEFAULT_CUE_DURATION_MS;
+
+      if (nextStartMs !== null && nextStartMs > segment.startMs) {
+        endMs = Math.min(endMs, nextStartMs);
+      }
+
+      // Subtitles keep YouTube's own speaker marker
+      return {
+        startMs: segment.startMs,
+        endMs: Math.max(endMs, segment.startMs + 1),
+        text: segment.speakerTurn ? `>> ${segment.text}` : segment.text
+      };
+    });
+  }
+
+  function formatSrt(segments) {
+    return buildCues(segments)
+      .map((cue, index) => [
+        String(index + 1),
+        `${formatCueTime(cue.startMs, ',')} --> ${formatCueTime(cue.endMs, ',')}`,
+        escapeSrtText(cue.text)
+      ].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  function formatWebVtt(segments, data = {}) {
+    const blocks = ['WEBVTT'];
+
+    const noteLines = [
+      data.title,
+      data.videoId ? `https://www.youtube.com/watch?v=${data.videoId}` : null,
+      data.playlist ? `Playlist: ${describePlaylistPosition(data.playlist)}` : null
+    ]
+      .filter(Boolean)
+      .map(line => escapeWebVttText(line));
+    if (noteLines.length > 0) {
+      blocks.push(`NOTE\n${noteLines.join('\n')}`);
+    }
+
+    for (const cue of buildCues(segments)) {
+      blocks.push(`${formatCueTime(cue.startMs, '.')} --> ${formatCueTime(cue.endMs, '.')}\n${escapeWebVttText(cue.text)}`);
+    }
+
+    return blocks.join('\n\n') + '\n';
+  }
+
+  function formatCueTime(ms, fractionSeparator) {
+    const milliseconds = String(Math.floor(ms % 1000)).padStart(3, '0');
+    return `${formatTimestamp(ms)}${fractionSeparator}${milliseconds}`;
+  }
+
+  // A blank line ends an SRT cue and "-->" marks a timing line, so neither may appear in cue text
+  function escapeSrtText(text) {
+    return text
+      .replace(/\r?\n\s*\r?\n/g, '\n')
+      .replace(/-->/g, '->')
+      .trim();
+  }
+
+  // WebVTT cue text is HTML-like: escape markup characters, which also breaks up "-->"
+  function escapeWebVttText(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\r?\n\s*\r?\n/g, '\n')
+      .trim();
+  }
+
+  function formatJson(data) {
+    const exportData = {
+      schema: JSON_EXPORT_SCHEMA,
+      schemaVersion: JSON_EXPORT_SCHEMA_VERSION,
+      videoId: data.videoId,
+      videoUrl: `https://www.youtube.com/watch?v=${data.videoId}`,
+      title: data.title,
+      channel: {
+        id: data.channelId || null,
+        name: data.channelName || null,
+        url: data.channelUrl || null
+      },
+      publishDate: data.publishDateIso || null,
+      description: data.description || null,
+      track: {
+        language: data.language && data.language !== 'unknown' ? data.language : null,
+        isAutoGenerated: typeof data.isAutoGenerated === 'boolean' ? data.isAutoGenerated : null,
+        translatedFrom: data.translatedFrom || null
+      },
+      chapters: (data.chapters || []).map(chapter => ({
+        title: chapter.title,
+        startMs: chapter.startMs
+      })),
+      playlist: data.playlist
+        ? {
+          id: data.playlist.id,
+          title: data.playlist.title || null,
+          url: formatPlaylistUrl(data.playlist.id),
+          position: data.playlist.position ?? null
+        }
+        : null,
+      extractionMethod: data.source || null,
+      exportedAt: data.exportedAt || new Date().toISOString(),
+      segments: data.segments.map(segment => ({
+        startMs: segment.startMs,
+        durationMs: segment.durationMs,
+        text: segment.text,
+        speakerTurn: segment.speakerTurn === true
+      }))
+    };
+
+    return JSON.stringify(exportData, null, 2) + '\n';
+  }
+
+  function formatPlaylistUrl(playlistId) {
+    return `https://www.youtube.com/playlist?list=${playlistId}`;
+  }
+
+  // Like "Woodworking basics (video 3 of 12) https://www.youtube.com/playlist?list=..."
+  function describePlaylistPosition(playlist) {
+    const position = playlist.position
+      ? ` (video ${playlist.position}${playlist.count ? ` of ${playlist.count}` : ''})`
+      : '';
+    return `${playlist.title || 'Untitled playlist'}${position} ${formatPlaylistUrl(playlist.id)}`;
+  }
+
+  function describeCaptionLanguage(data) {
+    if (data.translatedFrom) {
+      const sourceKind = data.isAutoGenerated ? ' (auto-generated)' : '';
+      const language = data.language ? `${data.language}, ` : '';
+      return `${language}YouTube machine translation from ${data.translatedFrom}${sourceKind}`;
+    }
+
+    if (!data.language || data.language === 'unknown') {
+      return null;
+    }
+
+    if (data.isAutoGenerated === true) {
+      return `${data.language} (auto-generated)`;
+    }
+
+    return data.isAutoGenerated === false ? `${data.language} (human-made)` : data.language;
+  }
+
+  // The original layout: bare metadata lines, a blank line, then the transcript
+  function formatLegacyPlain(data) {
+    const lines = [];
+    
+    // Required: title
+    lines.push(data.title);
+    
+    // Optional metadata (skip if null)
+    if (data.channelName) {
+      lines.push(data.channelName);
+    }
+    
+    if (data.publishDate) {
+      lines.push(data.publishDate);
+    }
+    
+    if (data.description) {
+      lines.push(data.description);
+    }
+    
+    // Always include video URL
+    lines.push(`https://www.youtube.com/watch?v=${data.videoId}`);
+    
+    // Optional channel URL
+    if (data.channelUrl) {
+      lines.push(data.channelUrl);
+    }
+
+    // Optional caption track language
+    const captionLanguage = describeCaptionLanguage(data);
+    if (captionLanguage) {
+      lines.push(`Captions: ${captionLanguage}`);
+    }
+
+    // Optional playlist and position
+    if (data.playlist) {
+      lines.push(`Playlist: ${describePlaylistPosition(data.playlist)}`);
+    }
+    
+    // Empty line before transcript
+    lines.push('');
+    
+    // Required: transcript
+    lines.push(data.transcript);
+    
+    return lines.join('\n');
+  }
+
+  function buildFilename(template, details) {
+    return `${renderFilenameTemplate(template, details)}.${OUTPUT_FORMATS[details.format].extension}`;
+  }
+
+  // Path inside the Downloads folder, like "yt-transcripts/Channel/name.md"
+  function buildDownloadPath(folderTemplate, filename, details) {
+    const folder = renderFolderTemplate(folderTemplate, details);
+    return folder ? `${folder}/${filename}` : filename;
+  }
+
+  function prepareDownload(text, filename, format = 'markdown') {
+    const { mimeType } = OUTPUT_FORMATS[format];
+    return {
+      success: true,
+      filename,
+      file: { filename, mimeType, content: text }
+    };
+  }
+
+  root.YouTubeTranscriptCore = {
+    DEFAULT_TRACK_POLICY,
+    ExtensionError,
+    OUTPUT_FORMATS,
+    RateLimiter,
+    applyMetadataFields,
+    buildCaptionTrackUrl,
+    buildCues,
+    buildDownloadPath,
+    buildExportData,
+    buildExportResult,
+    buildFilename,
+    buildMomentUrl,
+    buildOutput,
+    buildTrackPolicy,
+    cleanupSegments,
+    createSegment,
+    decodeHtmlEntities,
+    dedupeRollingCaptions,
+    extractJsonBlock,
+    extractSegmentsFromJson3,
+    findChapterMarkers,
+    findTranslationLanguage,
+    formatDocumentSection,
+    formatIsoDate,
+    formatJson,
+    formatLegacyPlain,
+    formatMarkdown,
+    formatSrt,
+    formatTimestamp,
+    formatWebVtt,
+    getCaptionTracks,
+    getTrackName,
+    isAutoGeneratedTrack,
+    isPublishedInRange,
+    mayBePublishedInRange,
+    normalizeChapters,
+    normalizeVideoId,
+    parseCaptionResponse,
+    parseChannelReference,
+    parseDescriptionChapters,
+    parsePlaylistUrl,
+    parseRelativeDate,
+    parseRowTimestamp,
+    parseVideoList,
+    parseVideoReference,
+    parseVideoUrl,
+    parseWatchPage,
+    readChapters,
+    readChannelContinuation,
+    readChannelPage,
+    readInnertubeConfig,
+    readPlaylistContinuation,
+    readPlaylistPage,
+    readRendererText,
+    readVideoMetadata,
+    reflowSegments,
+    renderTranscript,
+    renderTranscriptSections,
+    segmentsToText,
+    selectCaptionTrack,
+    splitSpeakerTurns,
+    tryParseJson
+  };
+})(globalThis);
@@ -0,0 +1,351 @@
+// Local transcript library: every successful extraction is kept in IndexedDB in
+// the extension's own origin, keyed by video id, caption language, and the
+// language it was translated from (its own language when it was not), with a
+// full-text index for search. The service worker saves transcripts; the
+// library page lists, exports, and deletes them, and the search page searches
+// them. Needs transcript-search.js.
+(function(root) {
+  'use strict';
+
+  if (root.YouTubeTranscriptLibrary) {
+    return;
+  }
+
+  const {
+    buildPostings,
+    buildSnippets,
+    getQueryTerms,
+    matchTranscript,
+    parseSearchQuery
+  } = root.YouTubeTranscriptSearch;
+
+  const DATABASE_NAME = 'transcript-library';
+  // Version 2 added the search index, and version 3 the source language to the key
+  const DATABASE_VERSION = 3;
+  // Small rows for listing and filtering, so the page never reads every transcript
+  const ENTRIES_STORE = 'entries';
+  // The export data of each entry, read only to export it again
+  const TRANSCRIPTS_STORE = 'transcripts';
+  // One row per term and transcript with the term's token positions, found by
+  // term when searching and by transcript when it is replaced or deleted
+  const POSTINGS_STORE = 'postings';
+  // A translation into French and the video's own French captions are separate
+  // transcripts, so the key has the language the text was read from
+  const KEY_PATH = ['videoId', 'language', 'sourceLanguage'];
+  const POSTING_KEY_PATH = ['term', 'videoId', 'language', 'sourceLanguage'];
+
+  // Key language for tracks without a language code
+  const UNKNOWN_LANGUAGE = 'unknown';
+
+  // Export data fields that describe one export rather than the video
+  const EXPORT_ONLY_FIELDS = ['reflow', 'playlist', 'exportedAt'];
+
+  let databasePromise = null;
+
+  // Split buildExportData's result into a list entry and the stored transcript.
+  // Saving the same video, language, and source language again replaces both.
+  function buildLibraryRecord(exportData, savedAt = new Date()) {
+    const data = { ...exportData };
+    for (const field of EXPORT_ONLY_FIELDS) {
+      delete data[field];
+    }
+
+    const language = exportData.language || UNKNOWN_LANGUAGE;
+    const key = {
+      videoId: exportData.videoId,
+      language,
+      sourceLanguage: exportData.translatedFrom || language
+    };
+
+    return {
+      entry: {
+        ...key,
+        title: exportData.title || null,
+        channelName: exportData.channelName || null,
+        channelId: exportData.channelId || null,
+        publishDateIso: exportData.publishDateIso || null,
+        isAutoGenerated: exportData.isAutoGenerated ?? null,
+        translatedFrom: exportData.translatedFrom || null,
+        extractionMethod: exportData.source || null,
+        segmentCount: exportData.segments.length,
+        savedAt: savedAt.toISOString(),
+        // UTF-8 size of the stored transcript, for the storage summary
+        size: new TextEncoder().encode(JSON.stringify(data)).length
+      },
+      transcript: { ...key, data }
+    };
+  }
+
+  // Export data for buildExportResult from a stored transcript, with the
+  // current reflow setting and a new export time
+  function toExportData(transcript, settings, exportedAt = new Date()) {
+    return {
+      ...transcript.data,
+      reflow: settings.reflow,
+      playlist: null,
+      exportedAt: exportedAt.toISOString()
+    };
+  }
+
+  // Channels in the library by name, for the channel filter. Entries without
+  // a channel id are grouped by channel name.
+  function listLibraryChannels(entries) {
+    const channels = new Map();
+    for (const entry of entries) {
+      const id = getChannelKey(entry);
+      if (!id) {
+        continue;
+      }
+      const channel = channels.get(id) || { id, name: entry.channelName || entry.channelId, count: 0 };
+      channel.count++;
+      channels.set(id, channel);
+    }
+    return [...channels.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Search index rows for a stored transcript
+  function buildPostingRows(transcript) {
+    const { videoId, language, sourceLanguage } = transcript;
+    return Object.entries(buildPostings(transcript.data.segments))
+      .map(([term, positions]) => ({ term, videoId, language, sourceLanguage, positions }));
+  }
+
+  // The IndexedDB key of an entry, transcript, or { videoId, language, sourceLanguage }
+  function toKey(record) {
+    return [record.videoId, record.language, record.sourceLanguage];
+  }
+
+  function getChannelKey(entry) {
+    return entry.channelId || entry.channelName || null;
+  }
+
+  // filters: { channel, dateField: 'published' | 'saved', after, before } with
+  // YYYY-MM-DD days. Entries without a publish date never match a published range.
+  // Returns the matching entries, most recently saved first.
+  function filterLibraryEntries(entries, { channel = '', dateField = 'published', after = '', before = '' } = {}) {
+    return entries
+      .filter(entry => {
+        if (channel && getChannelKey(entry) !== channel) {
+          return false;
+        }
+        if (!after && !before) {
+          return true;
+        }
+        const day = dateField === 'saved' ? entry.savedAt.slice(0, 10) : entry.publishDateIso;
+        return Boolean(day) && (!after || day >= after) && (!before || day <= before);
+      })
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  function openLibraryDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = root.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = event => {
+          if (event.oldVersion < 1) {
+            createStores(request.result);
+          } else {
+            rebuildStores(request.result, request.transaction, event.oldVersion);
+          }
+        };
+        request.onsuccess = () => {
+          const database = request.result;
+          // Let a newer version of the extension upgrade the database
+          database.onversionchange = () => {
+            database.close();
+            databasePromise = null;
+          };
+          resolve(database);
+        };
+        request.onerror = () => {
+          databasePromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return databasePromise;
+  }
+
+  function createStores(database) {
+    const stores = {
+      entries: database.createObjectStore(ENTRIES_STORE, { keyPath: KEY_PATH }),
+      transcripts: database.createObjectStore(TRANSCRIPTS_STORE, { keyPath: KEY_PATH }),
+      postings: database.createObjectStore(POSTINGS_STORE, { keyPath: POSTING_KEY_PATH })
+    };
+    stores.postings.createIndex('term', 'term');
+    stores.postings.createIndex('document', KEY_PATH);
+    return stores;
+  }
+
+  // Key paths cannot change in place, so a library from before version 3 is
+  // read, its stores made again, and every transcript saved and indexed again.
+  // Version 1 had no search index, so its transcripts are indexed here too.
+  function rebuildStores(database, transaction, oldVersion) {
+    const entriesRequest = transaction.objectStore(ENTRIES_STORE).getAll();
+    entriesRequest.onsuccess = () => {
+      const transcriptsRequest = transaction.objectStore(TRANSCRIPTS_STORE).getAll();
+      transcriptsRequest.onsuccess = () => {
+        database.deleteObjectStore(ENTRIES_STORE);
+        database.deleteObjectStore(TRANSCRIPTS_STORE);
+        if (oldVersion >= 2) {
+          database.deleteObjectStore(POSTINGS_STORE);
+        }
+
+        const stores = createStores(database);
+        for (const entry of entriesRequest.result) {
+          stores.entries.put({ ...entry, sourceLanguage: entry.translatedFrom || entry.language });
+        }
+        for (const stored of transcriptsRequest.result) {
+          const transcript = { ...stored, sourceLanguage: stored.data.translatedFrom || stored.language };
+          stores.transcripts.put(transcript);
+          for (const row of buildPostingRows(transcript)) {
+            stores.postings.put(row);
+          }
+        }
+      };
+    };
+  }
+
+  // Run work(stores) in one transaction and resolve with its result once the
+  // transaction commits
+  async function runTransaction(mode, work) {
+    const database = await openLibraryDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction([ENTRIES_STORE, TRANSCRIPTS_STORE, POSTINGS_STORE], mode);
+      let result;
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+      Promise.resolve(work({
+        entries: transaction.objectStore(ENTRIES_STORE),
+        transcripts: transaction.objectStore(TRANSCRIPTS_STORE),
+        postings: transaction.objectStore(POSTINGS_STORE)
+      })).then(value => {
+        result = value;
+      }, reject);
+    });
+  }
+
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // A request made after awaiting another one still belongs to the
+  // transaction, which stays open while any of its requests are running
+  async function removePostings(stores, key) {
+    const postingKeys = await requestResult(stores.postings.index('document').getAllKeys(toKey(key)));
+    for (const postingKey of postingKeys) {
+      stores.postings.delete(postingKey);
+    }
+  }
+
+  async function saveToLibrary(exportData) {
+    const { entry, transcript } = buildLibraryRecord(exportData);
+    await runTransaction('readwrite', async stores => {
+      stores.entries.put(entry);
+      stores.transcripts.put(transcript);
+      await removePostings(stores, transcript);
+      for (const row of buildPostingRows(transcript)) {
+        stores.postings.put(row);
+      }
+    });
+    return entry;
+  }
+
+  function listLibraryEntries() {
+    return runTransaction('readonly', stores => requestResult(stores.entries.getAll()));
+  }
+
+  // key: { videoId, language, sourceLanguage }, like an entry
+  function getLibraryTranscript(key) {
+    return runTransaction('readonly', stores => requestResult(stores.transcripts.get(toKey(key))));
+  }
+
+  function deleteFromLibrary(keys) {
+    return runTransaction('readwrite', async stores => {
+      for (const key of keys) {
+        stores.entries.delete(toKey(key));
+        stores.transcripts.delete(toKey(key));
+        await removePostings(stores, key);
+      }
+    });
+  }
+
+  function clearLibrary() {
+    return runTransaction('readwrite', stores => {
+      stores.entries.clear();
+      stores.transcripts.clear();
+      stores.postings.clear();
+    });
+  }
+
+  // Transcripts with every word and quoted phrase of query, most matches
+  // first. channel is a listLibraryChannels id. Returns { total, results:
+  // [{ entry, matchCount, snippets }] } with at most limit results, each with
+  // buildSnippets snippets.
+  function searchLibrary(query, { channel = '', limit = 50, snippetsPerVideo = 3 } = {}) {
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) {
+      return Promise.resolve({ total: 0, results: [] });
+    }
+
+    return runTransaction('readonly', async stores => {
+      // Postings of each transcript that has every query term so far
+      let candidates = null;
+      for (const term of getQueryTerms(clauses)) {
+        const rows = await requestResult(stores.postings.index('term').getAll(term));
+        const next = new Map();
+        for (const row of rows) {
+          const key = JSON.stringify(toKey(row));
+          if (!candidates || candidates.has(key)) {
+            next.set(key, { ...candidates?.get(key), [term]: row.positions });
+          }
+        }
+        candidates = next;
+        if (candidates.size === 0) {
+          break;
+        }
+      }
+
+      const found = [];
+      for (const [key, postings] of candidates) {
+        const matches = matchTranscript(clauses, postings);
+        if (!matches) {
+          continue;
+        }
+        const entry = await requestResult(stores.entries.get(JSON.parse(key)));
+        if (entry && (!channel || getChannelKey(entry) === channel)) {
+          found.push({ entry, matches });
+        }
+      }
+      found.sort((a, b) => b.matches.length - a.matches.length || b.entry.savedAt.localeCompare(a.entry.savedAt));
+
+      const results = [];
+      for (const { entry, matches } of found.slice(0, limit)) {
+        const transcript = await requestResult(stores.transcripts.get(toKey(entry)));
+        results.push({
+          entry,
+          matchCount: matches.length,
+          snippets: buildSnippets(transcript.data, matches, { limit: snippetsPerVideo })
+        });
+      }
+      return { total: found.length, results };
+    });
+  }
+
+  root.YouTubeTranscriptLibrary = {
+    buildLibraryRecord,
+    clearLibrary,
+    deleteFromLibrary,
+    filterLibraryEntries,
+    getLibraryTranscript,
+    listLibraryChannels,
+    listLibraryEntries,
+    saveToLibrary,
+    searchLibrary,
+    toExportData
+  };
+})(globalThis);
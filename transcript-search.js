@@ -0,0 +1,181 @@
+// Full-text search over saved transcripts. Each transcript is split into
+// tokens numbered through the whole video, and the index stores the token
+// positions of every term, so phrases match across caption cues. Shared by
+// the transcript library, which keeps the index in IndexedDB, and the search
+// page. Needs transcript-core.js.
+(function(root) {
+  'use strict';
+
+  if (root.YouTubeTranscriptSearch) {
+    return;
+  }
+
+  const { buildMomentUrl, formatTimestamp } = root.YouTubeTranscriptCore;
+
+  // Words and numbers, with inner apostrophes like "we're" kept in the word
+  const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+  // Lower case without accents or apostrophes, so "Café" finds "cafe" and
+  // "were" finds "we're"
+  function normalizeTerm(word) {
+    return word.normalize('NFKD').replace(/\p{M}/gu, '').replace(/['’]/g, '').toLowerCase();
+  }
+
+  // [{ term, start, end }] with character offsets into text
+  function tokenizeText(text) {
+    return Array.from(String(text || '').matchAll(TOKEN_PATTERN), match => ({
+      term: normalizeTerm(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  // Tokens of every segment in order; a token's position is its array index
+  function tokenizeSegments(segments) {
+    const tokens = [];
+    segments.forEach((segment, segmentIndex) => {
+      for (const token of tokenizeText(segment.text)) {
+        tokens.push({ ...token, segmentIndex });
+      }
+    });
+    return tokens;
+  }
+
+  // { term: [positions] } for one transcript, positions in ascending order
+  function buildPostings(segments) {
+    const postings = {};
+    tokenizeSegments(segments).forEach((token, position) => {
+      (postings[token.term] = postings[token.term] || []).push(position);
+    });
+    return postings;
+  }
+
+  // Quoted text is a phrase; every other word is its own clause. A video
+  // matches when it has every clause. Returns [[term, ...], ...].
+  function parseSearchQuery(query) {
+    const clauses = [];
+    const parts = String(query || '').split('"');
+    parts.forEach((part, index) => {
+      const terms = tokenizeText(part).map(token => token.term);
+      // Odd parts were inside quotes; an unclosed quote runs to the end
+      if (index % 2 === 1) {
+        if (terms.length > 0) {
+          clauses.push(terms);
+        }
+      } else {
+        clauses.push(...terms.map(term => [term]));
+      }
+    });
+    return clauses;
+  }
+
+  function getQueryTerms(clauses) {
+    return [...new Set(clauses.flat())];
+  }
+
+  // Token ranges [start, end) where every clause matches, in order, or null
+  // when a clause has no match. postings is one transcript's { term: positions }.
+  function matchTranscript(clauses, postings) {
+    if (clauses.length === 0) {
+      return null;
+    }
+
+    const matches = [];
+    for (const clause of clauses) {
+      const following = clause.slice(1).map(term => new Set(postings[term] || []));
+      const starts = (postings[clause[0]] || [])
+        .filter(position => following.every((positions, offset) => positions.has(position + offset + 1)));
+      if (starts.length === 0) {
+        return null;
+      }
+      matches.push(...starts.map(start => [start, start + clause.length]));
+    }
+    return matches.sort((a, b) => a[0] - b[0]);
+  }
+
+  // Snippets for the first matches: the caption text from the segment of the
+  // match's first token to the segment of its last, with character ranges to
+  // highlight. Matches within the same segments share a snippet.
+  // Returns [{ startMs, time, url, text, highlights: [[start, end]] }].
+  function buildSnippets(transcript, matches, { limit = 3 } = {}) {
+    const { segments, videoId } = transcript;
+    const tokens = tokenizeSegments(segments);
+    const snippets = [];
+
+    for (const [start, end] of matches) {
+      const firstSegment = tokens[start].segmentIndex;
+      const lastSegment = tokens[end - 1].segmentIndex;
+      let snippet = snippets[snippets.length - 1];
+
+      // Matches start in order, so a match inside the last snippet's segments joins it
+      if (!snippet || lastSegment > snippet.lastSegment) {
+        if (snippets.length === limit) {
+          break;
+        }
+        snippet = createSnippet(segments, videoId, firstSegment, lastSegment);
+        snippets.push(snippet);
+      }
+
+      for (const token of tokens.slice(start, end)) {
+        const offset = snippet.offsets[token.segmentIndex - snippet.firstSegment];
+        snippet.highlights.push([offset + token.start, offset + token.end]);
+      }
+    }
+
+    return snippets.map(({ startMs, time, url, text, highlights }) => ({
+      startMs,
+      time,
+      url,
+      text,
+      highlights: mergeRanges(highlights)
+    }));
+  }
+
+  function createSnippet(segments, videoId, firstSegment, lastSegment) {
+    const offsets = [];
+    let text = '';
+    for (let index = firstSegment; index <= lastSegment; index++) {
+      if (text) {
+        text += ' ';
+      }
+      offsets.push(text.length);
+      text += segments[index].text;
+    }
+
+    const startMs = segments[firstSegment].startMs ?? null;
+    return {
+      firstSegment,
+      lastSegment,
+      offsets,
+      startMs,
+      time: startMs === null ? null : formatTimestamp(startMs),
+      url: buildMomentUrl(videoId, startMs),
+      text,
+      highlights: []
+    };
+  }
+
+  // Adjacent highlighted words of a phrase become one range
+  function mergeRanges(ranges) {
+    const merged = [];
+    for (const range of [...ranges].sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1] + 1) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    }
+    return merged;
+  }
+
+  root.YouTubeTranscriptSearch = {
+    buildPostings,
+    buildSnippets,
+    getQueryTerms,
+    matchTranscript,
+    normalizeTerm,
+    parseSearchQuery,
+    tokenizeText
+  };
+})(globalThis);
@@ -5,7 +5,7 @@ echo "=== YouTube Transcript Copier Validation ==="
 echo ""
 
 echo "1. File Structure Check:"
-for file in manifest.json background.js content.js README.md; do
+for file in manifest.json background.js content.js settings.js filename-template.js transcript-core.js zip.js options.html options.js batch.html batch.js progress.html progress.js library.html library.js transcript-library.js search.html search.js transcript-search.js offscreen.html offscreen.js README.md; do
   if [ -f "$file" ]; then
     lines=$(wc -l < "$file")
     echo "  ✓ $file exists ($lines lines)"
@@ -39,6 +39,8 @@ echo "4. Manifest Configuration:"
 version=$(grep '"version"' manifest.json | cut -d'"' -f4)
 echo "  Version: $version"
 grep '"contextMenus"' manifest.json > /dev/null && echo "  ✓ contextMenus permission added" || echo "  ✗ contextMenus permission missing"
+grep '"storage"' manifest.json > /dev/null && echo "  ✓ storage permission added" || echo "  ✗ storage permission missing"
+grep '"downloads"' manifest.json > /dev/null && echo "  ✓ downloads permission added" || echo "  ✗ downloads permission missing"
 grep '"default_popup"' manifest.json > /dev/null && echo "  ✗ Popup still configured (should be removed)" || echo "  ✓ No popup configured"
 for host in 'https://youtube.com/*' 'https://www.youtube.com/*' 'https://m.youtube.com/*' 'https://youtu.be/*'; do
   grep -F "\"$host\"" manifest.json > /dev/null && echo "  ✓ $host host permission present" || {
@@ -53,6 +55,30 @@ node -c background.js
 echo "  ✓ background.js is valid"
 node -c content.js
 echo "  ✓ content.js is valid"
+node -c settings.js
+echo "  ✓ settings.js is valid"
+node -c filename-template.js
+echo "  ✓ filename-template.js is valid"
+node -c transcript-core.js
+echo "  ✓ transcript-core.js is valid"
+node -c zip.js
+echo "  ✓ zip.js is valid"
+node -c options.js
+echo "  ✓ options.js is valid"
+node -c batch.js
+echo "  ✓ batch.js is valid"
+node -c progress.js
+echo "  ✓ progress.js is valid"
+node -c library.js
+echo "  ✓ library.js is valid"
+node -c transcript-library.js
+echo "  ✓ transcript-library.js is valid"
+node -c search.js
+echo "  ✓ search.js is valid"
+node -c transcript-search.js
+echo "  ✓ transcript-search.js is valid"
+node -c offscreen.js
+echo "  ✓ offscreen.js is valid"
 
 echo ""
 echo "6. Unit Tests:"
@@ -87,19 +113,27 @@ echo "   - Look for ✓ badge on the icon"
 echo ""
 echo "4. TEST EXTENSION ICON RIGHT-CLICK:"
 echo "   - Right-click the extension icon itself"
-echo "   - You should see three options:"
+echo "   - You should see six options:"
+echo "     • Export This Tab Transcript (format submenu, plus Translated, Entire Playlist, and Channel Uploads)"
 echo "     • Copy This Tab Transcript to Clipboard"
-echo "     • Export This Tab Transcript (Markdown)"
-echo "     • Export All Open YouTube Transcripts"
+echo "     • Export All Open YouTube Transcripts (format submenu, plus All as One Document and Cancel Running Export)"
+echo "     • Copy All Open YouTube Transcripts to Clipboard"
+echo "     • Export Transcripts From a List of Links…"
+echo "     • Show Export Progress"
 echo ""
 echo "5. TEST BULK EXPORT (NEW!):"
 echo "   - Open multiple YouTube videos in different tabs"
 echo "   - Right-click the extension icon"
-echo "   - Select 'Export All Open YouTube Transcripts'"
-echo "   - Each video downloads as a separate .md file"
+echo "   - Select 'Export All Open YouTube Transcripts', then a format"
+echo "   - Each video downloads as a separate file (.md, .srt, .vtt, or .json)"
 echo "   - Badge shows count (e.g., ✓3 = 3 successful)"
+echo "   - 'All as One Document' saves one .md with a table of contents"
+echo "   - 'Copy All Open YouTube Transcripts' copies that document instead"
+echo "   - 'Show Export Progress' opens a side panel with each video's state and time"
 echo ""
 echo "Badge Indicators:"
 echo "  ... (gray) = Processing"
 echo "  ✓ (green) = Success"
 echo "  ! (red) = Error"
+echo "  ↷ (blue) = Batch skipped videos exported before"
+echo "  3/10 (gray) = Batch cancelled after saving 3 of 10 videos"
@@ -0,0 +1,122 @@
+// Minimal ZIP writer for bundling batch exports, so no third-party library is needed.
+// Files are stored without compression. Transcripts are small text files, and
+// stored entries open in every unzip tool.
+(function(root) {
+  'use strict';
+
+  if (root.YouTubeTranscriptZip) {
+    return;
+  }
+
+  const LOCAL_FILE_HEADER = 0x04034b50;
+  const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+  const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+  const ZIP_VERSION = 20;
+  // Bit 11 marks file names as UTF-8
+  const UTF8_NAMES_FLAG = 0x0800;
+  const STORED = 0;
+
+  const CRC32_TABLE = buildCrc32Table();
+
+  // entries: [{ name, content }] where content is a string or Uint8Array.
+  // date sets the modified time shown by unzip tools. Returns a Uint8Array.
+  function createZip(entries, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { dosTime, dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const data = typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+      const crc = crc32(data);
+
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, LOCAL_FILE_HEADER, true);
+      localHeader.setUint16(4, ZIP_VERSION, true);
+      localHeader.setUint16(6, UTF8_NAMES_FLAG, true);
+      localHeader.setUint16(8, STORED, true);
+      localHeader.setUint16(10, dosTime, true);
+      localHeader.setUint16(12, dosDate, true);
+      localHeader.setUint32(14, crc, true);
+      localHeader.setUint32(18, data.length, true);
+      localHeader.setUint32(22, data.length, true);
+      localHeader.setUint16(26, name.length, true);
+      localHeader.setUint16(28, 0, true);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+      centralHeader.setUint16(4, ZIP_VERSION, true);
+      centralHeader.setUint16(6, ZIP_VERSION, true);
+      centralHeader.setUint16(8, UTF8_NAMES_FLAG, true);
+      centralHeader.setUint16(10, STORED, true);
+      centralHeader.setUint16(12, dosTime, true);
+      centralHeader.setUint16(14, dosDate, true);
+      centralHeader.setUint32(16, crc, true);
+      centralHeader.setUint32(20, data.length, true);
+      centralHeader.setUint32(24, data.length, true);
+      centralHeader.setUint16(28, name.length, true);
+      // Extra field, comment, disk number, and attributes stay zero
+      centralHeader.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(localHeader.buffer), name, data);
+      centralParts.push(new Uint8Array(centralHeader.buffer), name);
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+  }
+
+  // ZIP times use the local clock with two-second steps, starting in 1980
+  function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      dosDate: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function buildCrc32Table() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  }
+
+  function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      result.set(part, position);
+      position += part.length;
+    }
+    return result;
+  }
+
+  root.YouTubeTranscriptZip = {
+    crc32,
+    createZip
+  };
+})(globalThis);